@@ -143,530 +143,2498 @@
     return el.contentDocument || el.contentWindow.document;
   }
 
-  // Grabs the text from an element and preserves whitespace
-  function _getText(el) {
-    var theText;
-    // Make sure to check for type of string because if the body of the page
-    // doesn't have any text it'll be "" which is falsey and will go into
-    // the else which is meant for Firefox and shit will break
-    if (typeof document.body.innerText == 'string') {
-      theText = el.innerText;
-    }
-    else {
-      // First replace <br>s before replacing the rest of the HTML
-      theText = el.innerHTML.replace(/<br>/gi, "\n");
-      // Now we can clean the HTML
-      theText = theText.replace(/<(?:.|\n)*?>/gm, '');
-      // Now fix HTML entities
-      theText = theText.replace(/&lt;/gi, '<');
-      theText = theText.replace(/&gt;/gi, '>');
-    }
-    return theText;
-  }
-
-  function _setText(el, content) {
-    // Don't convert lt/gt characters as HTML when viewing the editor window
-    // TODO: Write a test to catch regressions for this
-    content = content.replace(/</g, '&lt;');
-    content = content.replace(/>/g, '&gt;');
-    content = content.replace(/\n/g, '<br>');
-    
-    // Make sure to there aren't two spaces in a row (replace one with &nbsp;)
-    // If you find and replace every space with a &nbsp; text will not wrap.
-    // Hence the name (Non-Breaking-SPace).
-    // TODO: Probably need to test this somehow...
-    content = content.replace(/<br>\s/g, '<br>&nbsp;')
-    content = content.replace(/\s\s\s/g, '&nbsp; &nbsp;')
-    content = content.replace(/\s\s/g, '&nbsp; ')
-    content = content.replace(/^ /, '&nbsp;')
-
-    el.innerHTML = content;
-    return true;
-  }
+  // Steps of typing that are this many milliseconds apart are undone separately
+  var _historyDelay = 500;
 
-  /**
-   * Converts the 'raw' format of a file's contents into plaintext
-   * @param   {string} content Contents of the file
-   * @returns {string} the sanitized content
-   */
-  function _sanitizeRawContent(content) {
-    // Get this, 2 spaces in a content editable actually converts to:
-    // 0020 00a0, meaning, "space no-break space". So, manually convert
-    // no-break spaces to spaces again before handing to marked.
-    // Also, WebKit converts no-break to unicode equivalent and FF HTML.
-    return content.replace(/\u00a0/g, ' ').replace(/&nbsp;/g, ' ');
-  }
+  // The most steps kept to undo
+  var _historyMax = 100;
+
+  // Milliseconds to wait after the last change before highlighting it
+  var _highlightDelay = 100;
 
   /**
-   * Will return the version number if the browser is IE. If not will return -1
-   * TRY NEVER TO USE THIS AND USE FEATURE DETECTION IF POSSIBLE
-   * @returns {Number} -1 if false or the version number if true
+   * Checks if a node starts a new line of text in a contentEditable element,
+   * like the <div>s some browsers wrap lines in. A <br> that ends a line
+   * block only gives an empty last line its height, so it isn't one.
+   * @param   {object} node The node
+   * @returns {Boolean}
    */
-  function _isIE() {
-    var rv = -1 // Return value assumes failure.
-      , ua = navigator.userAgent
-      , re;
-    if (navigator.appName == 'Microsoft Internet Explorer') {
-      re = /MSIE ([0-9]{1,}[\.0-9]{0,})/;
-      if (re.exec(ua) != null) {
-        rv = parseFloat(RegExp.$1, 10);
+  function _isLineBreak(node) {
+    var next = node.nextSibling;
+    if (node.nodeName == 'BR') {
+      while (next && next.nodeType == 3 && next.nodeValue === '') {
+        next = next.nextSibling;
       }
+      return next !== null || !(/^(BODY|DIV|P)$/).test(node.parentNode.nodeName);
     }
-    return rv;
+    return (node.nodeName == 'DIV' || node.nodeName == 'P') && node.previousSibling !== null;
   }
 
   /**
-   * Same as the isIE(), but simply returns a boolean
-   * THIS IS TERRIBLE AND IS ONLY USED BECAUSE FULLSCREEN IN SAFARI IS BORKED
-   * If some other engine uses WebKit and has support for fullscreen they
-   * probably wont get native fullscreen until Safari's fullscreen is fixed
-   * @returns {Boolean} true if Safari
+   * Gets the text of a contentEditable element exactly as it was typed. The
+   * element keeps its whitespace with white-space: pre-wrap so text nodes are
+   * read as they are, and only the line breaks browsers add as markup while
+   * editing are turned into newlines.
+   * @param   {object} el The element
+   * @param   {object} container Where to stop reading, leave out to read it all
+   * @param   {number} position The offset in the container to stop at, in
+   * characters of a text node or children of an element
+   * @returns {string} The text
    */
-  function _isSafari() {
-    var n = window.navigator;
-    return n.userAgent.indexOf('Safari') > -1 && n.userAgent.indexOf('Chrome') == -1;
+  function _getText(el, container, position) {
+    var text = ''
+      , done = false;
+
+    (function read(node) {
+      var child
+        , i;
+      for (child = node.firstChild, i = 0; child && !done; child = child.nextSibling, i++) {
+        if (node === container && i == position) {
+          done = true;
+        }
+        else if (child.nodeType == 3) {
+          if (child === container) {
+            text += child.nodeValue.slice(0, position);
+            done = true;
+          }
+          else {
+            text += child.nodeValue;
+          }
+        }
+        else if (child.nodeType == 1) {
+          if (_isLineBreak(child)) {
+            text += '\n';
+          }
+          read(child);
+        }
+      }
+      if (node === container) {
+        done = true;
+      }
+    })(el);
+
+    return text;
   }
 
   /**
-   * Same as the isIE(), but simply returns a boolean
-   * THIS IS TERRIBLE ONLY USE IF ABSOLUTELY NEEDED
-   * @returns {Boolean} true if Safari
+   * Gets the markup that shows text in a contentEditable element so that
+   * _getText() gives back exactly the same text
+   * @param   {string} content The text
+   * @param   {boolean} highlight Whether to highlight the Markdown in it
+   * @returns {string} The markup
    */
-  function _isFirefox() {
-    var n = window.navigator;
-    return n.userAgent.indexOf('Firefox') > -1 && n.userAgent.indexOf('Seamonkey') == -1;
+  function _textMarkup(content, highlight) {
+    var html = highlight ? _highlightMarkdown(content) : _escapeText(content);
+    // A newline at the very end doesn't make a line of its own until there's
+    // something on it
+    if (content.charAt(content.length - 1) == '\n') {
+      html += '<br>';
+    }
+    return html;
   }
 
   /**
-   * Determines if supplied value is a function
-   * @param {object} object to determine type
+   * Puts text into a contentEditable element so _getText() gives back exactly
+   * the same text
+   * @param   {object} el The element
+   * @param   {string} content The text
+   * @param   {boolean} highlight Whether to highlight the Markdown in it
+   * @returns {boolean}
    */
-  function _isFunction(functionToCheck) {
-    var getType = {};
-    return functionToCheck && getType.toString.call(functionToCheck) === '[object Function]';
+  function _setText(el, content, highlight) {
+    el.innerHTML = _textMarkup(content, highlight);
+    return true;
   }
 
   /**
-   * Overwrites obj1's values with obj2's and adds obj2's if non existent in obj1
-   * @param {boolean} [deepMerge=false] If true, will deep merge meaning it will merge sub-objects like {obj:obj2{foo:'bar'}}
-   * @param {object} first object
-   * @param {object} second object
-   * @returnss {object} a new object based on obj1 and obj2
+   * Gets where the selection is in an element, counted in characters of the
+   * text _getText() gives
+   * @param   {object} el The element
+   * @returns {object|null} The start and end of the selection or null if it
+   * isn't in the element
    */
-  function _mergeObjs() {
-    // copy reference to target object
-    var target = arguments[0] || {}
-      , i = 1
-      , length = arguments.length
-      , deep = false
-      , options
-      , name
-      , src
-      , copy
+  function _getSelection(el) {
+    var doc = el.ownerDocument
+      , selection = doc.getSelection ? doc.getSelection() : null
+      , range;
 
-    // Handle a deep copy situation
-    if (typeof target === "boolean") {
-      deep = target;
-      target = arguments[1] || {};
-      // skip the boolean and the target
-      i = 2;
+    if (!selection || !selection.rangeCount) {
+      return null;
     }
-
-    // Handle case when target is a string or something (possible in deep copy)
-    if (typeof target !== "object" && !_isFunction(target)) {
-      target = {};
+    range = selection.getRangeAt(0);
+    if (!el.contains(range.startContainer) || !el.contains(range.endContainer)) {
+      return null;
     }
-    // extend jQuery itself if only one argument is passed
-    if (length === i) {
-      target = this;
-      --i;
+
+    return {
+      start: _getText(el, range.startContainer, range.startOffset).length
+    , end: _getText(el, range.endContainer, range.endOffset).length
+    };
+  }
+
+  /**
+   * Selects part of the text of an element, counted the same way as by
+   * _getSelection()
+   * @param   {object} el The element
+   * @param   {number} start Where the selection starts
+   * @param   {number} end Where the selection ends
+   * @returns {undefined}
+   */
+  function _setSelection(el, start, end) {
+    var doc = el.ownerDocument
+      , selection = doc.getSelection ? doc.getSelection() : null
+      , range;
+
+    if (!selection) {
+      return;
     }
 
-    for (; i < length; i++) {
-      // Only deal with non-null/undefined values
-      if ((options = arguments[i]) != null) {
-        // Extend the base object
-        for (name in options) {
-          // @NOTE: added hasOwnProperty check
-          if (options.hasOwnProperty(name)) {
-            src = target[name];
-            copy = options[name];
-            // Prevent never-ending loop
-            if (target === copy) {
-              continue;
+    function position(offset) {
+      var found = null;
+      (function find(node) {
+        var child
+          , i;
+        for (child = node.firstChild, i = 0; child && !found; child = child.nextSibling, i++) {
+          if (_isLineBreak(child)) {
+            if (offset === 0) {
+              found = { node: node, offset: i };
+              return;
             }
-            // Recurse if we're merging object values
-            if (deep && copy && typeof copy === "object" && !copy.nodeType) {
-              target[name] = _mergeObjs(deep,
-                // Never move original objects, clone them
-                src || (copy.length != null ? [] : {})
-                , copy);
-            } else if (copy !== undefined) { // Don't bring in undefined values
-              target[name] = copy;
+            offset--;
+          }
+          if (child.nodeType == 3) {
+            if (offset <= child.nodeValue.length) {
+              found = { node: child, offset: offset };
+              return;
             }
+            offset -= child.nodeValue.length;
+          }
+          else {
+            find(child);
           }
         }
-      }
+      })(el);
+      return found || { node: el, offset: el.childNodes.length };
     }
 
-    // Return the modified object
-    return target;
+    start = position(start);
+    end = position(end);
+    range = doc.createRange();
+    range.setStart(start.node, start.offset);
+    range.setEnd(end.node, end.offset);
+    selection.removeAllRanges();
+    selection.addRange(range);
   }
 
   /**
-   * Initiates the EpicEditor object and sets up offline storage as well
-   * @class Represents an EpicEditor instance
-   * @param {object} options An optional customization object
-   * @returns {object} EpicEditor will be returned
+   * Escapes text the same way the browser does when it hands back innerHTML,
+   * so markup made from it can be compared with what's in the editor.
+   * Carriage returns are escaped too, or parsing the markup would turn them
+   * into newlines.
+   * @param   {string} text The text to escape
+   * @returns {string}
    */
-  function EpicEditor(options) {
-    // Default settings will be overwritten/extended by options arg
-    var self = this
-      , opts = options || {}
-      , _defaultFileSchema
-      , _defaultFile
-      , defaults = { container: 'epiceditor'
-        , basePath: 'epiceditor'
-        , textarea: undefined
-        , clientSideStorage: true
-        , localStorageName: 'epiceditor'
-        , useNativeFullscreen: true
-        , file: { name: null
-        , defaultContent: ''
-          , autoSave: 100 // Set to false for no auto saving
-          }
-        , theme: { base: '/themes/base/epiceditor.css'
-          , preview: '/themes/preview/github.css'
-          , editor: '/themes/editor/epic-dark.css'
-          }
-        , focusOnLoad: false
-        , shortcut: { modifier: 18 // alt keycode
-          , fullscreen: 70 // f keycode
-          , preview: 80 // p keycode
-          }
-        , string: { togglePreview: 'Toggle Preview Mode'
-          , toggleEdit: 'Toggle Edit Mode'
-          , toggleFullscreen: 'Enter Fullscreen'
-          }
-        , parser: typeof marked == 'function' ? marked : null
-        , autogrow: false
-        , button: { fullscreen: true
-          , preview: true
-          , bar: "auto"
-          }
-        }
-      , defaultStorage
-      , autogrowDefaults = { minHeight: 80
-        , maxHeight: false
-        , scroll: true
-        };
+  function _escapeText(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/\u00a0/g, '&nbsp;')
+      .replace(/\r/g, '&#13;');
+  }
 
-    self.settings = _mergeObjs(true, defaults, opts);
-    
-    var buttons = self.settings.button;
-    self._fullscreenEnabled = typeof(buttons) === 'object' ? typeof buttons.fullscreen === 'undefined' || buttons.fullscreen : buttons === true;
-    self._editEnabled = typeof(buttons) === 'object' ? typeof buttons.edit === 'undefined' || buttons.edit : buttons === true;
-    self._previewEnabled = typeof(buttons) === 'object' ? typeof buttons.preview === 'undefined' || buttons.preview : buttons === true;
+  /**
+   * Wraps markup in a span the editor theme can style. Every type gets an
+   * epiceditor-md- class.
+   * @param   {string} types The token types, separated by spaces
+   * @param   {string} html The markup to wrap
+   * @returns {string}
+   */
+  function _mdSpan(types, html) {
+    return '<span class="' + types.replace(/(\S+)/g, 'epiceditor-md-$1') + '">' + html + '</span>';
+  }
 
-    if (!(typeof self.settings.parser == 'function' && typeof self.settings.parser('TEST') == 'string')) {
-      self.settings.parser = function (str) {
-        return str;
+  // Escaped characters, code spans, links, autolinks, strong and emphasis
+  var _inlinePattern = /(\\[\\`*_{}\[\]()#+\-.!>~|])|(`+)([^`]|[^`][\s\S]*?[^`])\2(?!`)|(!?\[)([^\]]*)(\]\([^)]*\)|\]\[[^\]]*\])|(<(?:https?|ftp|mailto):[^>\s]+>)|(\*\*|__)(?=\S)([\s\S]*?\S)\8|(\*|_)(?=\S)([\s\S]*?\S)\10/g;
+
+  /**
+   * Highlights the Markdown syntax within a line of text
+   * @param   {string} text The text
+   * @returns {string} The markup, with exactly the same text as was given
+   */
+  function _highlightInline(text) {
+    var pattern = new RegExp(_inlinePattern.source, 'g')
+      , html = ''
+      , last = 0
+      , match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      // Underscores inside of a word, like in snake_case, are just text
+      if ((match[8] || match[10]) && match[0].charAt(0) == '_' && _isWordChar(text.charAt(match.index - 1))) {
+        pattern.lastIndex = match.index + 1;
+        continue;
       }
-    }
 
-    if (self.settings.autogrow) {
-      if (self.settings.autogrow === true) {
-        self.settings.autogrow = autogrowDefaults;
+      html += _escapeText(text.slice(last, match.index));
+      if (match[1]) {
+        html += _escapeText(match[1]);
+      }
+      else if (match[2]) {
+        html += _mdSpan('code', _escapeText(match[0]));
+      }
+      else if (match[4]) {
+        html += _mdSpan('link', _mdSpan('syntax', _escapeText(match[4])) + _highlightInline(match[5]) + _mdSpan('url', _escapeText(match[6])));
+      }
+      else if (match[7]) {
+        html += _mdSpan('url', _escapeText(match[7]));
+      }
+      else if (match[8]) {
+        html += _mdSpan('strong', _mdSpan('syntax', match[8]) + _highlightInline(match[9]) + _mdSpan('syntax', match[8]));
       }
       else {
-        self.settings.autogrow = _mergeObjs(true, autogrowDefaults, self.settings.autogrow);
+        html += _mdSpan('em', _mdSpan('syntax', match[10]) + _highlightInline(match[11]) + _mdSpan('syntax', match[10]));
       }
-      self._oldHeight = -1;
-    }
-
-    // If you put an absolute link as the path of any of the themes ignore the basePath
-    // preview theme
-    if (!self.settings.theme.preview.match(/^https?:\/\//)) {
-      self.settings.theme.preview = self.settings.basePath + self.settings.theme.preview;
-    }
-    // editor theme
-    if (!self.settings.theme.editor.match(/^https?:\/\//)) {
-      self.settings.theme.editor = self.settings.basePath + self.settings.theme.editor;
-    }
-    // base theme
-    if (!self.settings.theme.base.match(/^https?:\/\//)) {
-      self.settings.theme.base = self.settings.basePath + self.settings.theme.base;
+      last = pattern.lastIndex;
     }
 
-    // Grab the container element and save it to self.element
-    // if it's a string assume it's an ID and if it's an object
-    // assume it's a DOM element
-    if (typeof self.settings.container == 'string') {
-      self.element = document.getElementById(self.settings.container);
-    }
-    else if (typeof self.settings.container == 'object') {
-      self.element = self.settings.container;
-    }
+    return html + _escapeText(text.slice(last));
+  }
 
-    if (typeof self.settings.textarea == 'undefined' && typeof self.element != 'undefined') {
-      var textareas = self.element.getElementsByTagName('textarea');
-      if (textareas.length > 0) {
-        self.settings.textarea = textareas[0];
-        _applyStyles(self.settings.textarea, {
-          display: 'none'
-        });
+  /**
+   * Highlights Markdown syntax for the editor: headings, emphasis, code spans
+   * and fences, links, lists, blockquotes and horizontal rules. Only spans
+   * are added, so the text stays exactly the same.
+   * @param   {string} text The Markdown
+   * @returns {string} The markup
+   */
+  function _highlightMarkdown(text) {
+    var lines = text.split('\n')
+      , html = []
+      , fence = null
+      , paragraph = false
+      , line
+      , match
+      , i;
+
+    for (i = 0; i < lines.length; i++) {
+      line = lines[i];
+
+      if (fence) {
+        if (new RegExp('^ {0,3}' + fence.charAt(0) + '{' + fence.length + ',}\\s*$').test(line)) {
+          fence = null;
+        }
+        html.push(line ? _mdSpan('fence', _escapeText(line)) : '');
+        paragraph = false;
       }
-    }
-    
-    // Figure out the file name. If no file name is given we'll use the ID.
-    // If there's no ID either we'll use a namespaced file name that's incremented
-    // based on the calling order. As long as it doesn't change, drafts will be saved.
-    if (!self.settings.file.name) {
-      if (typeof self.settings.container == 'string') {
-        self.settings.file.name = self.settings.container;
+      else if ((match = line.match(/^ {0,3}(`{3,}|~{3,})/))) {
+        fence = match[1];
+        html.push(_mdSpan('fence', _escapeText(line)));
+        paragraph = false;
       }
-      else if (typeof self.settings.container == 'object') {
-        if (self.element.id) {
-          self.settings.file.name = self.element.id;
-        }
-        else {
-          if (!EpicEditor._data.unnamedEditors) {
-            EpicEditor._data.unnamedEditors = [];
-          }
-          EpicEditor._data.unnamedEditors.push(self);
-          self.settings.file.name = '__epiceditor-untitled-' + EpicEditor._data.unnamedEditors.length;
-        }
+      else if ((match = line.match(/^ {0,3}#{1,6}(?=\s|$)/))) {
+        html.push(_mdSpan('heading', _mdSpan('syntax', match[0]) + _highlightInline(line.slice(match[0].length))));
+        paragraph = false;
+      }
+      // A line of = or - under a paragraph turns it into a heading
+      else if (paragraph && /^ {0,3}(=+|-+)\s*$/.test(line)) {
+        html[i - 1] = _mdSpan('heading', html[i - 1]);
+        html.push(_mdSpan('heading syntax', _escapeText(line)));
+        paragraph = false;
+      }
+      else if (/^ {0,3}([\-*_])(?:[ \t]*\1){2,}\s*$/.test(line)) {
+        html.push(_mdSpan('hr', _escapeText(line)));
+        paragraph = false;
+      }
+      else if ((match = line.match(/^(?: {0,3}>[ \t]?)+/))) {
+        html.push(_mdSpan('quote', _mdSpan('syntax', _escapeText(match[0])) + _highlightInline(line.slice(match[0].length))));
+        paragraph = false;
+      }
+      else if ((match = line.match(/^([ \t]*)([*+\-]|\d{1,9}[.)])(?=[ \t]|\r?$)/))) {
+        html.push(match[1] + _mdSpan('list', match[2]) + _highlightInline(line.slice(match[0].length)));
+        paragraph = false;
+      }
+      else {
+        html.push(_highlightInline(line));
+        paragraph = /\S/.test(line);
       }
     }
 
-    if (self.settings.button.bar === "show") {
-      self.settings.button.bar = true;
-    }
+    return html.join('\n');
+  }
 
-    if (self.settings.button.bar === "hide") {
-      self.settings.button.bar = false;
+  // Everything format() can do, in the order the buttons are shown
+  var _formatCommands = ['bold', 'italic', 'heading1', 'heading2', 'heading3', 'heading4', 'heading5', 'heading6', 'link', 'image', 'code', 'quote', 'bulletList', 'numberedList'];
+
+  /**
+   * Counts how many times a character repeats from a position of a text
+   * @param   {string} text The text
+   * @param   {number} index Where to start counting
+   * @param   {string} ch The character
+   * @param   {number} step 1 to count forwards, -1 to count backwards
+   * @returns {number}
+   */
+  function _countRun(text, index, ch, step) {
+    var count = 0;
+    while (text.charAt(index + count * step) == ch) {
+      count++;
     }
+    return count;
+  }
 
-    // Protect the id and overwrite if passed in as an option
-    // TODO: Put underscrore to denote that this is private
-    self._instanceId = 'epiceditor-' + Math.round(Math.random() * 100000);
-    self._storage = {};
-    self._canSave = true;
+  /**
+   * Wraps the selection in an inline Markdown marker, like ** for bold, or
+   * unwraps it if it's already wrapped. Bold and italic share the asterisk,
+   * so *** counts as both.
+   * @param   {string} text The text
+   * @param   {number} start Where the selection starts
+   * @param   {number} end Where the selection ends
+   * @param   {string} marker The marker
+   * @returns {object} The new text and selection
+   */
+  function _toggleInline(text, start, end, marker) {
+    var ch = marker.charAt(0)
+      , size = marker.length
+      , selected
+      , around
+      , inside;
+
+    // Markdown doesn't allow spaces just inside of the markers
+    while (start < end && /\s/.test(text.charAt(start))) {
+      start++;
+    }
+    while (end > start && /\s/.test(text.charAt(end - 1))) {
+      end--;
+    }
+    selected = text.slice(start, end);
 
-    // Setup local storage of files
-    self._defaultFileSchema = function () {
-      return {
-        content: self.settings.file.defaultContent
-      , created: new Date()
-      , modified: new Date()
-      }
+    function isApplied(run) {
+      return run == size || (ch == '*' && run == 3);
     }
 
-    if (localStorage && self.settings.clientSideStorage) {
-      this._storage = localStorage;
-      if (this._storage[self.settings.localStorageName] && self.getFiles(self.settings.file.name) === undefined) {
-        _defaultFile = self._defaultFileSchema();
-        _defaultFile.content = self.settings.file.defaultContent;
-      }
+    around = Math.min(_countRun(text, start - 1, ch, -1), _countRun(text, end, ch, 1));
+    if (isApplied(around)) {
+      return {
+        text: text.slice(0, start - size) + selected + text.slice(end + size)
+      , start: start - size
+      , end: end - size
+      };
     }
 
-    if (!this._storage[self.settings.localStorageName]) {
-      defaultStorage = {};
-      defaultStorage[self.settings.file.name] = self._defaultFileSchema();
-      defaultStorage = JSON.stringify(defaultStorage);
-      this._storage[self.settings.localStorageName] = defaultStorage;
+    inside = Math.min(_countRun(selected, 0, ch, 1), _countRun(selected, selected.length - 1, ch, -1));
+    if (selected.length >= size * 2 && isApplied(inside)) {
+      return {
+        text: text.slice(0, start) + selected.slice(size, selected.length - size) + text.slice(end)
+      , start: start
+      , end: end - size * 2
+      };
     }
 
-    // A string to prepend files with to save draft versions of files
-    // and reset all preview drafts on each load!
-    self._previewDraftLocation = '__draft-';
-    self._storage[self._previewDraftLocation + self.settings.localStorageName] = self._storage[self.settings.localStorageName];
+    return {
+      text: text.slice(0, start) + marker + selected + marker + text.slice(end)
+    , start: start + size
+    , end: end + size
+    };
+  }
 
-    // This needs to replace the use of classes to check the state of EE
-    self._eeState = {
-      fullscreen: false
-    , preview: false
-    , edit: false
-    , loaded: false
-    , unloaded: false
+  /**
+   * Turns the selection into a link or an image, or back into plain text if
+   * it already is one
+   * @param   {string} text The text
+   * @param   {number} start Where the selection starts
+   * @param   {number} end Where the selection ends
+   * @param   {string} opening [ for a link, ![ for an image
+   * @param   {string} url The address, http:// is put in and selected to be
+   * typed over if there isn't one
+   * @returns {object} The new text and selection
+   */
+  function _toggleLink(text, start, end, opening, url) {
+    var before = text.slice(0, start)
+      , target = text.slice(end).match(/^\]\([^)\n]*\)/)
+      , isImage = before.slice(-2) == '![';
+
+    if (target && before.slice(-opening.length) == opening && (opening == '![' || !isImage)) {
+      return {
+        text: text.slice(0, start - opening.length) + text.slice(start, end) + text.slice(end + target[0].length)
+      , start: start - opening.length
+      , end: end - opening.length
+      };
     }
 
-    // Now that it exists, allow binding of events if it doesn't exist yet
-    if (!self.events) {
-      self.events = {};
+    text = before + opening + text.slice(start, end) + '](' + (url || 'http://') + ')' + text.slice(end);
+    start += opening.length;
+    end += opening.length;
+    // The address is selected so it can be typed in, unless it was given
+    if (url) {
+      return { text: text, start: start, end: end };
     }
+    return { text: text, start: end + 2, end: end + 9 };
+  }
 
-    return this;
+  /**
+   * Gets where the lines the selection is on start and end
+   * @param   {string} text The text
+   * @param   {number} start Where the selection starts
+   * @param   {number} end Where the selection ends
+   * @returns {object} The start and end of the lines, without the newline
+   * that ends the last one
+   */
+  function _lineRange(text, start, end) {
+    var lineEnd = text.indexOf('\n', end > start && text.charAt(end - 1) == '\n' ? end - 1 : end);
+    return {
+      start: text.lastIndexOf('\n', start - 1) + 1
+    , end: lineEnd == -1 ? text.length : lineEnd
+    };
   }
 
   /**
-   * Inserts the EpicEditor into the DOM via an iframe and gets it ready for editing and previewing
-   * @returns {object} EpicEditor will be returned
+   * Adds or removes something at the start of every selected line, like the
+   * > of a quote. If every line already has it it's removed, otherwise it
+   * replaces whatever similar syntax the lines had.
+   * @param   {string} text The text
+   * @param   {number} start Where the selection starts
+   * @param   {number} end Where the selection ends
+   * @param   {RegExp} applied Matches the syntax being toggled
+   * @param   {RegExp} replaced Matches the syntax it replaces, if any
+   * @param   {function} prefix Gets the syntax for a line from its index
+   * @returns {object} The new text and selection
    */
-  EpicEditor.prototype.load = function (callback) {
+  function _toggleLines(text, start, end, applied, replaced, prefix) {
+    var range = _lineRange(text, start, end)
+      , lineStart = range.start
+      , lineEnd = range.end
+      , original
+      , lines
+      , isApplied
+      , block;
+
+    original = text.slice(lineStart, lineEnd).split('\n');
+    isApplied = original.every(function (line) {
+      return applied.test(line);
+    });
 
-    // Get out early if it's already loaded
-    if (this.is('loaded')) { return this; }
+    lines = original.map(function (line, i) {
+      if (isApplied) {
+        return line.replace(applied, '');
+      }
+      return prefix(i) + (replaced ? line.replace(replaced, '') : line);
+    });
+    block = lines.join('\n');
+    text = text.slice(0, lineStart) + block + text.slice(lineEnd);
 
-    // TODO: Gotta get the privates with underscores!
-    // TODO: Gotta document what these are for...
-    var self = this
-      , _HtmlTemplates
-      , iframeElement
-      , baseTag
-      , utilBtns
-      , utilBar
-      , utilBarTimer
-      , keypressTimer
-      , mousePos = { y: -1, x: -1 }
-      , _elementStates
-      , _isInEdit
-      , nativeFs = false
-      , nativeFsWebkit = false
-      , nativeFsMoz = false
-      , nativeFsW3C = false
-      , fsElement
-      , isMod = false
-      , isCtrl = false
-      , eventableIframes
-      , i // i is reused for loops
-      , boundAutogrow;
+    // A caret keeps its place in the line, a selection covers the lines
+    if (start == end) {
+      start = Math.max(lineStart, start + lines[0].length - original[0].length);
+      return { text: text, start: start, end: start };
+    }
+    return { text: text, start: lineStart, end: lineStart + block.length };
+  }
 
-    // Startup is a way to check if this EpicEditor is starting up. Useful for
-    // checking and doing certain things before EpicEditor emits a load event.
-    self._eeState.startup = true;
+  /**
+   * Puts the selected lines in a fenced code block, or takes them out of the
+   * one they're in
+   * @param   {string} text The text
+   * @param   {number} start Where the selection starts
+   * @param   {number} end Where the selection ends
+   * @returns {object} The new text and selection
+   */
+  function _toggleFence(text, start, end) {
+    var range = _lineRange(text, start, end)
+      , block = text.slice(range.start, range.end)
+      , aboveStart = range.start > 0 ? text.lastIndexOf('\n', range.start - 2) + 1 : -1
+      , belowEnd = range.end < text.length ? _lineRange(text, range.end + 1, range.end + 1).end : -1;
 
-    if (self.settings.useNativeFullscreen) {
-      nativeFsWebkit = document.body.webkitRequestFullScreen ? true : false;
-      nativeFsMoz = document.body.mozRequestFullScreen ? true : false;
-      nativeFsW3C = document.body.requestFullscreen ? true : false;
-      nativeFs = nativeFsWebkit || nativeFsMoz || nativeFsW3C;
+    if (aboveStart != -1 && belowEnd != -1 && /^ {0,3}```/.test(text.slice(aboveStart, range.start - 1)) && /^ {0,3}```\s*$/.test(text.slice(range.end + 1, belowEnd))) {
+      return {
+        text: text.slice(0, aboveStart) + block + text.slice(belowEnd)
+      , start: aboveStart
+      , end: aboveStart + block.length
+      };
     }
 
-    // Fucking Safari's native fullscreen works terribly
-    // REMOVE THIS IF SAFARI 7 WORKS BETTER
-    if (_isSafari()) {
-      nativeFs = false;
-      nativeFsWebkit = false;
-    }
+    return {
+      text: text.slice(0, range.start) + '```\n' + block + '\n```' + text.slice(range.end)
+    , start: range.start + 4
+    , end: range.start + 4 + block.length
+    };
+  }
 
-    // It opens edit mode by default (for now);
-    if (!self.is('edit') && !self.is('preview')) {
-      self._eeState.edit = true;
+  /**
+   * Applies one of the format() commands to text
+   * @param   {string} text The text
+   * @param   {number} start Where the selection starts
+   * @param   {number} end Where the selection ends
+   * @param   {string} command The command
+   * @param   {string} value The address for links and images
+   * @returns {object} The new text and selection
+   */
+  function _formatText(text, start, end, command, value) {
+    var level = command.match(/^heading([1-6])$/)
+      , hashes;
+
+    if (level) {
+      hashes = new Array(parseInt(level[1], 10) + 1).join('#');
+      return _toggleLines(text, start, end, new RegExp('^' + hashes + '(?!#)[ \\t]*'), /^#{1,6}[ \t]*/, function () {
+        return hashes + ' ';
+      });
     }
 
-    callback = callback || function () {};
+    switch (command) {
+    case 'bold':
+      return _toggleInline(text, start, end, '**');
+    case 'italic':
+      return _toggleInline(text, start, end, '*');
+    case 'code':
+      // Code that spans lines needs a block
+      if (text.slice(start, end).indexOf('\n') == -1) {
+        return _toggleInline(text, start, end, '`');
+      }
+      return _toggleFence(text, start, end);
+    case 'link':
+      return _toggleLink(text, start, end, '[', value);
+    case 'image':
+      return _toggleLink(text, start, end, '![', value);
+    case 'quote':
+      return _toggleLines(text, start, end, /^>[ \t]?/, null, function () {
+        return '> ';
+      });
+    case 'bulletList':
+      return _toggleLines(text, start, end, /^[ \t]*[*+\-][ \t]+/, /^[ \t]*\d{1,9}[.)][ \t]+/, function () {
+        return '- ';
+      });
+    case 'numberedList':
+      return _toggleLines(text, start, end, /^[ \t]*\d{1,9}[.)][ \t]+/, /^[ \t]*[*+\-][ \t]+/, function (i) {
+        return (i + 1) + '. ';
+      });
+    }
+  }
 
-    // The editor HTML
-    // TODO: edit-mode class should be dynamically added
-    _HtmlTemplates = {
-      // This is wrapping iframe element. It contains the other two iframes and the utilbar
-      chrome:   '<div id="epiceditor-wrapper" class="epiceditor-edit-mode">' +
-                  '<iframe frameborder="0" id="epiceditor-editor-frame"></iframe>' +
-                  '<iframe frameborder="0" id="epiceditor-previewer-frame"></iframe>' +
-                  '<div id="epiceditor-utilbar">' +
-                    (self._previewEnabled ? '<button title="' + this.settings.string.togglePreview + '" class="epiceditor-toggle-btn epiceditor-toggle-preview-btn"></button> ' : '') +
-                    (self._editEnabled ? '<button title="' + this.settings.string.toggleEdit + '" class="epiceditor-toggle-btn epiceditor-toggle-edit-btn"></button> ' : '') +
-                    (self._fullscreenEnabled ? '<button title="' + this.settings.string.toggleFullscreen + '" class="epiceditor-fullscreen-btn"></button>' : '') +
-                  '</div>' +
-                '</div>'
-    
-    // The previewer is just an empty box for the generated HTML to go into
-    , previewer: '<div id="epiceditor-preview"></div>'
-    , editor: '<!doctype HTML>'
-    };
+  /**
+   * Escapes text so it can be safely put into HTML
+   * @param   {string} text The text to escape
+   * @returns {string}
+   */
+  function _escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
 
-    // Write an iframe and then select it for the editor
-    iframeElement = document.createElement('iframe');
-    _applyAttrs(iframeElement, {
-      scrolling: 'no',
-      frameborder: 0,
-      id: self._instanceId
-    });
-    
-    
-    self.element.appendChild(iframeElement);
+  /**
+   * Escapes the characters in plain text that Markdown would otherwise read as
+   * formatting, and keeps single line breaks from being joined together
+   * @param   {string} text The plain text
+   * @returns {string} Markdown that renders as the original text
+   */
+  function _escapeMarkdown(text) {
+    return text
+      .replace(/([\\`*_\[\]])/g, '\\$1')
+      .replace(/&(?=#?\w+;)/g, '&amp;')
+      .replace(/</g, '&lt;')
+      // Things that only mean something at the start of a line
+      .replace(/^(\s*)([#>+=\-])/gm, '$1\\$2')
+      .replace(/^(\s*\d+)\./gm, '$1\\.')
+      // Markdown joins lines that aren't separated by a blank line
+      .replace(/([^\n])\n(?=[^\n])/g, '$1  \n');
+  }
 
-    // Because browsers add things like invisible padding and margins and stuff
-    // to iframes, we need to set manually set the height so that the height
-    // doesn't keep increasing (by 2px?) every time reflow() is called.
-    // FIXME: Figure out how to fix this without setting this
-    self.element.style.height = self.element.offsetHeight + 'px';
-    
-    // Store a reference to the iframeElement itself
-    self.iframeElement = iframeElement;
+  /**
+   * Converts HTML into Markdown. The HTML is parsed in a separate document so
+   * nothing in it runs or loads while it's converted.
+   * @param   {string} html The HTML to convert
+   * @returns {string} The Markdown
+   */
+  function _htmlToMarkdown(html) {
+    var doc = document.implementation.createHTMLDocument('');
+    doc.body.innerHTML = html;
+    return _nodeToMarkdown(doc.body)
+      .replace(/\n[ \t]+\n/g, '\n\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .replace(/^\s+|\s+$/g, '');
+  }
 
-    // Grab the innards of the iframe (returns the document.body)
-    // TODO: Change self.iframe to self.iframeDocument
-    self.iframe = _getIframeInnards(iframeElement);
-    self.iframe.open();
-    self.iframe.write(_HtmlTemplates.chrome);
+  /**
+   * Converts a DOM node and everything in it to Markdown
+   * @param   {object} node The DOM node
+   * @returns {string} The Markdown
+   */
+  function _nodeToMarkdown(node) {
+    var tag
+      , content = ''
+      , fence = '`'
+      , code
+      , items = []
+      , marker
+      , i;
+
+    // Blocks get surrounded by blank lines and lose the stray whitespace that
+    // sat between tags in the source, unless their indentation means something
+    function block(str, keepIndent) {
+      str = str.replace(/^\s+|\s+$/g, '').replace(/\n{3,}/g, '\n\n');
+      if (!keepIndent) {
+        str = str.replace(/\n[ \t]+/g, '\n');
+      }
+      return '\n\n' + str + '\n\n';
+    }
 
-    // Now that we got the innards of the iframe, we can grab the other iframes
-    self.editorIframe = self.iframe.getElementById('epiceditor-editor-frame')
-    self.previewerIframe = self.iframe.getElementById('epiceditor-previewer-frame');
+    if (node.nodeType == 3) {
+      return _escapeMarkdown(node.nodeValue.replace(/\s+/g, ' '));
+    }
+    if (node.nodeType != 1) {
+      return '';
+    }
 
-    // Setup the editor iframe
-    self.editorIframeDocument = _getIframeInnards(self.editorIframe);
-    self.editorIframeDocument.open();
-    // Need something for... you guessed it, Firefox
-    self.editorIframeDocument.write(_HtmlTemplates.editor);
-    self.editorIframeDocument.close();
-    
-    // Setup the previewer iframe
-    self.previewerIframeDocument = _getIframeInnards(self.previewerIframe);
-    self.previewerIframeDocument.open();
-    self.previewerIframeDocument.write(_HtmlTemplates.previewer);
+    tag = node.nodeName.toLowerCase();
 
-    // Base tag is added so that links will open a new tab and not inside of the iframes
-    baseTag = self.previewerIframeDocument.createElement('base');
-    baseTag.target = '_blank';
-    self.previewerIframeDocument.getElementsByTagName('head')[0].appendChild(baseTag);
+    if (tag != 'pre' && tag != 'code') {
+      for (i = 0; i < node.childNodes.length; i++) {
+        content += _nodeToMarkdown(node.childNodes[i]);
+      }
+    }
 
-    self.previewerIframeDocument.close();
+    switch (tag) {
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+      return block(new Array(parseInt(tag.charAt(1), 10) + 1).join('#') + ' ' + content.replace(/\s+/g, ' '));
+    case 'p':
+    case 'div':
+      return block(content);
+    case 'br':
+      return '  \n';
+    case 'hr':
+      return block('---');
+    case 'strong':
+    case 'b':
+      return '**' + content + '**';
+    case 'em':
+    case 'i':
+      return '_' + content + '_';
+    case 'del':
+    case 's':
+    case 'strike':
+      return '~~' + content + '~~';
+    case 'code':
+      code = node.textContent;
+      while (code.indexOf(fence) > -1) {
+        fence += '`';
+      }
+      return fence + (code.charAt(0) == '`' ? ' ' + code + ' ' : code) + fence;
+    case 'pre':
+      code = node.textContent.replace(/\n$/, '');
+      fence = '```';
+      while (code.indexOf(fence) > -1) {
+        fence += '`';
+      }
+      marker = node.firstChild && node.firstChild.className ? node.firstChild.className.match(/lang(?:uage)?-(\S+)/) : null;
+      return '\n\n' + fence + (marker ? marker[1] : '') + '\n' + code + '\n' + fence + '\n\n';
+    case 'a':
+      // An anchor that doesn't link anywhere is just its text
+      if (!node.getAttribute('href')) {
+        return content;
+      }
+      return '[' + content + ']' + _markdownDestination(node.getAttribute('href'), node.title);
+    case 'img':
+      if (!node.getAttribute('src')) {
+        return _escapeMarkdown(node.getAttribute('alt') || '');
+      }
+      return '![' + _escapeMarkdown(node.getAttribute('alt') || '') + ']' + _markdownDestination(node.getAttribute('src'), node.title);
+    case 'blockquote':
+      return block(block(content).replace(/^\s+|\s+$/g, '').replace(/^/gm, '> ').replace(/ $/gm, ''), true);
+    case 'ul':
+    case 'ol':
+      for (i = 0; i < node.childNodes.length; i++) {
+        if (node.childNodes[i].nodeName.toLowerCase() == 'li') {
+          marker = tag == 'ol' ? (items.length + 1) + '. ' : '- ';
+          content = _nodeToMarkdown(node.childNodes[i]).replace(/^\s+|\s+$/g, '').replace(/\n{2,}/g, '\n');
+          // Indent anything after the first line, like nested lists, to line
+          // up with the text after the marker
+          items.push(marker + content.replace(/\n/g, '\n' + new Array(marker.length + 1).join(' ')));
+        }
+      }
+      return block(items.join('\n'), true);
+    case 'li':
+      return block(content);
+    case 'script':
+    case 'style':
+    case 'head':
+      return '';
+    default:
+      return content;
+    }
+  }
 
-    self.reflow();
+  /**
+   * Builds the `(url "title")` part of a Markdown link or image. Characters
+   * that would end the URL early are percent-encoded and quotes in the title
+   * become entities, so neither can break out of the link.
+   * @param   {string} url The link's destination
+   * @param   {string} title The link's title, if any
+   * @returns {string}
+   */
+  function _markdownDestination(url, title) {
+    url = url.replace(/^\s+|\s+$/g, '').replace(/[\s()<>]/g, function (ch) {
+      return encodeURIComponent(ch).replace(/[()]/g, function (paren) {
+        return '%' + paren.charCodeAt(0).toString(16).toUpperCase();
+      });
+    });
+    if (title) {
+      title = ' "' + title.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/\s+/g, ' ') + '"';
+    }
+    return '(' + url + (title || '') + ')';
+  }
 
-    // Insert Base Stylesheet
-    _insertCSSLink(self.settings.theme.base, self.iframe, 'theme');
-    
-    // Insert Editor Stylesheet
-    _insertCSSLink(self.settings.theme.editor, self.editorIframeDocument, 'theme');
-    
-    // Insert Previewer Stylesheet
-    _insertCSSLink(self.settings.theme.preview, self.previewerIframeDocument, 'theme');
+  /**
+   * Escapes the characters that mean something in a regular expression
+   * @param   {string} text The text to escape
+   * @returns {string}
+   */
+  function _escapeRegExp(text) {
+    return text.replace(/[\-\[\]\/{}()*+?.\\\^$|]/g, '\\$&');
+  }
 
-    // Add a relative style to the overall wrapper to keep CSS relative to the editor
-    self.iframe.getElementById('epiceditor-wrapper').style.position = 'relative';
+  /**
+   * Gets the flags of a regular expression that change what it matches, so it
+   * can be rebuilt as a global one. Sticky and global are left out.
+   * @param   {RegExp} re The regular expression
+   * @returns {string}
+   */
+  function _regExpFlags(re) {
+    return (re.ignoreCase ? 'i' : '') + (re.multiline ? 'm' : '') + (re.unicode ? 'u' : '') + (re.dotAll ? 's' : '');
+  }
 
-    // Set the position to relative so we hide them with left: -999999px
-    self.editorIframe.style.position = 'absolute';
-    self.previewerIframe.style.position = 'absolute';
+  /**
+   * Checks if a character is part of a word. Letters outside of ASCII count,
+   * unlike with \b in a regular expression.
+   * @param   {string} ch The character, empty at either end of the text
+   * @returns {Boolean}
+   */
+  function _isWordChar(ch) {
+    return (/[\w\u00c0-\uffff]/).test(ch);
+  }
 
-    // Now grab the editor and previewer for later use
-    self.editor = self.editorIframeDocument.body;
-    self.previewer = self.previewerIframeDocument.getElementById('epiceditor-preview');
-   
-    self.editor.contentEditable = true;
- 
-    // Firefox's <body> gets all fucked up so, to be sure, we need to hardcode it
-    self.iframe.body.style.height = this.element.offsetHeight + 'px';
+  /**
+   * Gets the text of rendered HTML. The HTML is parsed in a separate document
+   * so nothing in it runs or loads.
+   * @param   {string} html The HTML
+   * @returns {string} The text as it reads on the page
+   */
+  function _htmlToText(html) {
+    var doc = document.implementation.createHTMLDocument('');
+    doc.body.innerHTML = html;
+    return doc.body.textContent;
+  }
 
-    // Should actually check what mode it's in!
-    self.previewerIframe.style.left = '-999999px';
+  /**
+   * Counts what's in a document. Words and characters are counted in the
+   * rendered text so Markdown syntax isn't, lines are counted in the Markdown.
+   * @param   {string} markdown The Markdown
+   * @param   {string} html The Markdown rendered by the parser
+   * @param   {number} wordsPerMinute How fast the document is read
+   * @returns {object} The counts
+   */
+  function _countStats(markdown, html, wordsPerMinute) {
+    var doc = document.implementation.createHTMLDocument('')
+      , text
+      , words
+      , paragraphs = 0
+      , blocks
+      , i;
+
+    doc.body.innerHTML = html;
+    // Line breaks aren't counted as characters
+    text = doc.body.textContent.replace(/^\s+|\s+$/g, '');
+    words = (text.match(/\S+/g) || []).filter(function (word) {
+      return (/[\w\u00c0-\uffff]/).test(word);
+    }).length;
+
+    // List items in tight lists have no paragraph of their own
+    blocks = doc.body.querySelectorAll('p, pre, li');
+    for (i = 0; i < blocks.length; i++) {
+      if (blocks[i].nodeName != 'LI' || !blocks[i].querySelector('p')) {
+        paragraphs++;
+      }
+    }
 
-    // Keep long lines from being longer than the editor
-    this.editorIframeDocument.body.style.wordWrap = 'break-word';
+    return {
+      words: words
+    , characters: text.replace(/[\r\n]/g, '').length
+    , charactersNoSpaces: text.replace(/\s/g, '').length
+    , lines: markdown === '' ? 0 : markdown.split('\n').length
+    , paragraphs: paragraphs
+    , headings: doc.body.querySelectorAll('h1, h2, h3, h4, h5, h6').length
+    , readingTime: Math.ceil(words / wordsPerMinute)
+    };
+  }
 
-    // FIXME figure out why it needs +2 px
-    if (_isIE() > -1) {
-      this.previewer.style.height = parseInt(_getStyle(this.previewer, 'height'), 10) + 2;
+  /**
+   * Copies a stored file for handing out, so changing it can't change what
+   * was read from storage
+   * @param   {object} file The stored file
+   * @param   {boolean} excludeContent Whether to leave the content out
+   * @returns {object} The copy
+   */
+  function _fileData(file, excludeContent) {
+    var data = {}
+      , key;
+    for (key in file) {
+      if (file.hasOwnProperty(key) && !(excludeContent && key == 'content')) {
+        data[key] = key == 'created' || key == 'modified' ? _toDate(file[key]) : file[key];
+      }
     }
+    return data;
+  }
 
-    // If there is a file to be opened with that filename and it has content...
-    this.open(self.settings.file.name);
-
-    if (self.settings.focusOnLoad) {
+  /**
+   * Copies a file without what only this workspace's save and sync tracking
+   * means, which would be wrong anywhere it's imported
+   * @param   {object} file The file
+   * @returns {object} The copy
+   */
+  function _withoutSyncState(file) {
+    var copy = {}
+      , key;
+    for (key in file) {
+      if (file.hasOwnProperty(key) && key != 'uncommitted' && key != 'revision' && key != 'syncedHash' && key != 'conflictRevision') {
+        copy[key] = file[key];
+      }
+    }
+    return copy;
+  }
+
+  /**
+   * Turns a date that went through JSON back into a Date
+   * @param   {string|number|Date} value The stored date
+   * @returns {Date|undefined} The date, or undefined if there wasn't one
+   */
+  function _toDate(value) {
+    return value === undefined || value === null ? undefined : new Date(value);
+  }
+
+  /**
+   * Checks a file's meta data against a filter. Every key of the filter has to
+   * match, either by being equal or, for arrays like tags, by being in there.
+   * @param   {object} meta The file's meta data
+   * @param   {object} filter The meta data to look for
+   * @returns {Boolean}
+   */
+  function _matchesMeta(meta, filter) {
+    var key
+      , value;
+    meta = meta || {};
+    for (key in filter) {
+      if (filter.hasOwnProperty(key)) {
+        value = meta[key];
+        if (value instanceof Array ? value.indexOf(filter[key]) == -1 : value !== filter[key]) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Tidies up a folder path by dropping leading, trailing and repeated slashes
+   * @param   {string} path The path to tidy up
+   * @returns {string} The path, or an empty string for the top level
+   */
+  function _normalizePath(path) {
+    return (path || '').replace(/\/+/g, '/').replace(/^\/|\/$/g, '');
+  }
+
+  /**
+   * Will return the version number if the browser is IE. If not will return -1
+   * TRY NEVER TO USE THIS AND USE FEATURE DETECTION IF POSSIBLE
+   * @returns {Number} -1 if false or the version number if true
+   */
+  function _isIE() {
+    var rv = -1 // Return value assumes failure.
+      , ua = navigator.userAgent
+      , re;
+    if (navigator.appName == 'Microsoft Internet Explorer') {
+      re = /MSIE ([0-9]{1,}[\.0-9]{0,})/;
+      if (re.exec(ua) != null) {
+        rv = parseFloat(RegExp.$1, 10);
+      }
+    }
+    return rv;
+  }
+
+  /**
+   * Same as the isIE(), but simply returns a boolean
+   * THIS IS TERRIBLE AND IS ONLY USED BECAUSE FULLSCREEN IN SAFARI IS BORKED
+   * If some other engine uses WebKit and has support for fullscreen they
+   * probably wont get native fullscreen until Safari's fullscreen is fixed
+   * @returns {Boolean} true if Safari
+   */
+  function _isSafari() {
+    var n = window.navigator;
+    return n.userAgent.indexOf('Safari') > -1 && n.userAgent.indexOf('Chrome') == -1;
+  }
+
+  /**
+   * Same as the isIE(), but simply returns a boolean
+   * THIS IS TERRIBLE ONLY USE IF ABSOLUTELY NEEDED
+   * @returns {Boolean} true if Safari
+   */
+  function _isFirefox() {
+    var n = window.navigator;
+    return n.userAgent.indexOf('Firefox') > -1 && n.userAgent.indexOf('Seamonkey') == -1;
+  }
+
+  /**
+   * Determines if supplied value is a function
+   * @param {object} object to determine type
+   */
+  function _isFunction(functionToCheck) {
+    var getType = {};
+    return functionToCheck && getType.toString.call(functionToCheck) === '[object Function]';
+  }
+
+  /**
+   * Overwrites obj1's values with obj2's and adds obj2's if non existent in obj1
+   * @param {boolean} [deepMerge=false] If true, will deep merge meaning it will merge sub-objects like {obj:obj2{foo:'bar'}}
+   * @param {object} first object
+   * @param {object} second object
+   * @returnss {object} a new object based on obj1 and obj2
+   */
+  function _mergeObjs() {
+    // copy reference to target object
+    var target = arguments[0] || {}
+      , i = 1
+      , length = arguments.length
+      , deep = false
+      , options
+      , name
+      , src
+      , copy
+
+    // Handle a deep copy situation
+    if (typeof target === "boolean") {
+      deep = target;
+      target = arguments[1] || {};
+      // skip the boolean and the target
+      i = 2;
+    }
+
+    // Handle case when target is a string or something (possible in deep copy)
+    if (typeof target !== "object" && !_isFunction(target)) {
+      target = {};
+    }
+    // extend jQuery itself if only one argument is passed
+    if (length === i) {
+      target = this;
+      --i;
+    }
+
+    for (; i < length; i++) {
+      // Only deal with non-null/undefined values
+      if ((options = arguments[i]) != null) {
+        // Extend the base object
+        for (name in options) {
+          // @NOTE: added hasOwnProperty check
+          if (options.hasOwnProperty(name)) {
+            src = target[name];
+            copy = options[name];
+            // Prevent never-ending loop
+            if (target === copy) {
+              continue;
+            }
+            // Recurse if we're merging object values
+            if (deep && copy && typeof copy === "object" && !copy.nodeType) {
+              target[name] = _mergeObjs(deep,
+                // Never move original objects, clone them
+                src || (copy.length != null ? [] : {})
+                , copy);
+            } else if (copy !== undefined) { // Don't bring in undefined values
+              target[name] = copy;
+            }
+          }
+        }
+      }
+    }
+
+    // Return the modified object
+    return target;
+  }
+
+  /**
+   * Wraps a Web Storage-like object in the storage adapter interface EpicEditor
+   * reads and writes files through. Works with localStorage, sessionStorage or
+   * a plain object (handy as an in-memory store)
+   * @param   {object} store The object keys and values are kept in
+   * @returns {object} A storage adapter with get, set, list and remove methods
+   */
+  function _webStorageAdapter(store) {
+    store = store || {};
+    var isWebStorage = typeof store.getItem == 'function';
+    return {
+      get: function (key) {
+        var value = isWebStorage ? store.getItem(key) : store[key];
+        return value == null ? undefined : value;
+      }
+    , set: function (key, value) {
+        if (isWebStorage) {
+          store.setItem(key, value);
+        }
+        else {
+          store[key] = value;
+        }
+      }
+    , list: function () {
+        var keys = []
+          , key
+          , i;
+        if (isWebStorage) {
+          for (i = 0; i < store.length; i++) {
+            keys.push(store.key(i));
+          }
+        }
+        else {
+          for (key in store) {
+            if (store.hasOwnProperty(key)) {
+              keys.push(key);
+            }
+          }
+        }
+        return keys;
+      }
+    , remove: function (key) {
+        if (isWebStorage) {
+          store.removeItem(key);
+        }
+        else {
+          delete store[key];
+        }
+      }
+    , watch: function (callback) {
+        // Browsers only tell other pages about changes to real Web Storage
+        if (!isWebStorage) {
+          return function () {};
+        }
+        function handler(e) {
+          if (e.storageArea === store && e.key !== null) {
+            callback(e.key);
+          }
+        }
+        window.addEventListener('storage', handler);
+        return function () {
+          window.removeEventListener('storage', handler);
+        };
+      }
+    };
+  }
+
+  /**
+   * Opens an IndexedDB database and hands a storage adapter backed by it to the
+   * callback. IndexedDB only has an asynchronous API so every record is read
+   * into memory up front. Reads come from memory and writes go to memory right
+   * away and to the database in the background. The optional callback of set
+   * and remove fires once the write has been committed. Pages using the same
+   * database tell each other about their writes over a BroadcastChannel, where
+   * browsers have one, so other tabs can be watched.
+   * @param   {string} dbName The name of the database to use
+   * @param   {function} callback Called with an error or null and the adapter
+   * @returns {undefined}
+   */
+  function _indexedDBAdapter(dbName, callback) {
+    var cache = {}
+      , watchers = []
+      , channel
+      , db
+      , adapter
+      , request;
+
+    dbName = dbName || 'epiceditor';
+
+    function write(key, value, done) {
+      var tx
+        , store;
+      done = done || function () {};
+      // The database is closed once another page deletes or upgrades it
+      try {
+        tx = db.transaction('files', 'readwrite');
+      }
+      catch (e) {
+        done(e);
+        return;
+      }
+      store = tx.objectStore('files');
+      if (value === undefined) {
+        store['delete'](key);
+      }
+      else {
+        store.put(value, key);
+      }
+      tx.oncomplete = function () {
+        if (channel) {
+          channel.postMessage({ key: key, value: value === undefined ? null : value });
+        }
+        done(null);
+      };
+      tx.onerror = tx.onabort = function () {
+        done(tx.error || new Error('IndexedDB write of "' + key + '" failed'));
+      };
+    }
+
+    adapter = {
+      async: true
+    , get: function (key) {
+        return cache.hasOwnProperty(key) ? cache[key] : undefined;
+      }
+    , set: function (key, value, done) {
+        cache[key] = value;
+        write(key, value, done);
+      }
+    , list: function () {
+        var keys = []
+          , key;
+        for (key in cache) {
+          if (cache.hasOwnProperty(key)) {
+            keys.push(key);
+          }
+        }
+        return keys;
+      }
+    , remove: function (key, done) {
+        delete cache[key];
+        write(key, undefined, done);
+      }
+    , watch: function (callback) {
+        watchers.push(callback);
+        return function () {
+          var i = watchers.indexOf(callback);
+          if (i != -1) {
+            watchers.splice(i, 1);
+          }
+        };
+      }
+    };
+
+    if (!window.indexedDB) {
+      callback(new Error('IndexedDB is not supported in this browser'));
+      return;
+    }
+
+    // Without a BroadcastChannel nothing is heard from other pages, so
+    // watching never calls back
+    if (window.BroadcastChannel) {
+      channel = new window.BroadcastChannel('epiceditor-indexeddb-' + dbName);
+      channel.onmessage = function (e) {
+        var i;
+        if (!e.data || typeof e.data.key != 'string') {
+          return;
+        }
+        if (e.data.value === null) {
+          delete cache[e.data.key];
+        }
+        else {
+          cache[e.data.key] = e.data.value;
+        }
+        for (i = 0; i < watchers.length; i++) {
+          watchers[i](e.data.key);
+        }
+      };
+    }
+
+    request = window.indexedDB.open(dbName, 1);
+
+    request.onupgradeneeded = function () {
+      request.result.createObjectStore('files');
+    };
+
+    request.onerror = function () {
+      callback(request.error);
+    };
+
+    request.onsuccess = function () {
+      var cursorRequest;
+      db = request.result;
+      // Let the database be deleted or upgraded from another page
+      db.onversionchange = function () {
+        db.close();
+      };
+      cursorRequest = db.transaction('files', 'readonly').objectStore('files').openCursor();
+      cursorRequest.onsuccess = function () {
+        var cursor = cursorRequest.result;
+        if (cursor) {
+          cache[cursor.key] = cursor.value;
+          cursor['continue']();
+        }
+        else {
+          callback(null, adapter);
+        }
+      };
+      cursorRequest.onerror = function () {
+        callback(cursorRequest.error);
+      };
+    };
+  }
+
+  /**
+   * Encodes bytes as base64
+   * @param   {ArrayBuffer|Uint8Array} buffer The bytes to encode
+   * @returns {string}
+   */
+  function _toBase64(buffer) {
+    var bytes = new Uint8Array(buffer)
+      , binary = ''
+      , i;
+    for (i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return window.btoa(binary);
+  }
+
+  /**
+   * Decodes base64 into bytes
+   * @param   {string} str The base64 to decode
+   * @returns {Uint8Array}
+   */
+  function _fromBase64(str) {
+    var binary = window.atob(str)
+      , bytes = new Uint8Array(binary.length)
+      , i;
+    for (i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Wraps a storage adapter so every value is encrypted with AES-GCM before it
+   * reaches it. The key is derived from a passphrase with PBKDF2 and the salt,
+   * along with a known value to check passphrases against, is kept under the
+   * given meta key. Like the IndexedDB adapter values are decrypted into
+   * memory when unlocking, since WebCrypto is asynchronous, and writes are
+   * encrypted and committed in the background. Nothing can be read while it's
+   * locked.
+   * @param   {object} adapter The storage adapter to keep encrypted values in
+   * @param   {string} metaKey The key to keep the salt and check value under
+   * @param   {number} iterations PBKDF2 iterations used for new passphrases
+   * @returns {object} A storage adapter with extra unlock and lock methods
+   */
+  function _encryptedAdapter(adapter, metaKey, iterations) {
+    var prefix = 'epiceditor-encrypted:'
+      , check = 'epiceditor'
+      , subtle = window.crypto && window.crypto.subtle
+      , cache = {}
+      , writes = {}
+      , key = null;
+
+    function isEncrypted(value) {
+      return typeof value == 'string' && value.indexOf(prefix) === 0;
+    }
+
+    function encrypt(cryptoKey, value) {
+      var iv = window.crypto.getRandomValues(new Uint8Array(12));
+      return subtle.encrypt({ name: 'AES-GCM', iv: iv }, cryptoKey, new window.TextEncoder().encode(value)).then(function (data) {
+        return prefix + _toBase64(iv) + ':' + _toBase64(data);
+      });
+    }
+
+    function decrypt(cryptoKey, value) {
+      var parts = value.slice(prefix.length).split(':');
+      return subtle.decrypt({ name: 'AES-GCM', iv: _fromBase64(parts[0]) }, cryptoKey, _fromBase64(parts[1])).then(function (data) {
+        return new window.TextDecoder().decode(data);
+      });
+    }
+
+    function deriveKey(passphrase, salt, rounds) {
+      return subtle.importKey('raw', new window.TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']).then(function (baseKey) {
+        return subtle.deriveKey({ name: 'PBKDF2', salt: salt, iterations: rounds, hash: 'SHA-256' }, baseKey, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+      });
+    }
+
+    // Writes through to the wrapped adapter, whether it's asynchronous or not
+    function commit(storeKey, value, done) {
+      done = done || function () {};
+      try {
+        if (value === undefined) {
+          adapter.remove(storeKey, adapter.async ? done : undefined);
+        }
+        else {
+          adapter.set(storeKey, value, adapter.async ? done : undefined);
+        }
+      }
+      catch (e) {
+        done(e);
+        return;
+      }
+      if (!adapter.async) {
+        done(null);
+      }
+    }
+
+    // Encryption finishes in any order, so only the latest write to a key is
+    // committed
+    function write(storeKey, value, done) {
+      var id = (writes[storeKey] || 0) + 1;
+      writes[storeKey] = id;
+      done = done || function () {};
+      if (value === undefined) {
+        commit(storeKey, undefined, done);
+        return;
+      }
+      encrypt(key, value).then(function (encrypted) {
+        if (writes[storeKey] !== id) {
+          done(null);
+          return;
+        }
+        commit(storeKey, encrypted, done);
+      }, done);
+    }
+
+    return {
+      async: true
+    , get: function (storeKey) {
+        var value;
+        if (cache.hasOwnProperty(storeKey)) {
+          return cache[storeKey];
+        }
+        value = adapter.get(storeKey);
+        return value === undefined || isEncrypted(value) || storeKey == metaKey ? undefined : value;
+      }
+    , set: function (storeKey, value, done) {
+        if (!key) {
+          (done || function () {})(new Error('The store is locked'));
+          return;
+        }
+        cache[storeKey] = value;
+        write(storeKey, value, done);
+      }
+    , list: function () {
+        var keys = adapter.list().filter(function (storeKey) {
+              return storeKey != metaKey;
+            })
+          , storeKey;
+        for (storeKey in cache) {
+          if (cache.hasOwnProperty(storeKey) && keys.indexOf(storeKey) == -1) {
+            keys.push(storeKey);
+          }
+        }
+        return keys;
+      }
+    , remove: function (storeKey, done) {
+        delete cache[storeKey];
+        write(storeKey, undefined, done);
+      }
+    , watch: adapter.watch && function (callback) {
+        return adapter.watch(function (storeKey) {
+          var value = adapter.get(storeKey);
+          if (!key || storeKey == metaKey) {
+            return;
+          }
+          if (!isEncrypted(value)) {
+            delete cache[storeKey];
+            callback(storeKey);
+            return;
+          }
+          decrypt(key, value).then(function (decrypted) {
+            cache[storeKey] = decrypted;
+            callback(storeKey);
+          }, function () {});
+        });
+      }
+      /**
+       * Derives the key from the passphrase and decrypts every value. The
+       * first passphrase given becomes the passphrase of the store.
+       * @param   {string} passphrase The passphrase
+       * @param   {function} callback Called with an error or null and the
+       * keys of the values that couldn't be decrypted
+       * @returns {undefined}
+       */
+    , unlock: function (passphrase, callback) {
+        var meta
+          , salt
+          , cryptoKey;
+
+        if (!subtle) {
+          callback(new Error('WebCrypto is not supported in this browser'));
+          return;
+        }
+
+        try {
+          meta = adapter.get(metaKey);
+          meta = meta === undefined ? null : JSON.parse(meta);
+        }
+        catch (e) {
+          callback(e);
+          return;
+        }
+        salt = meta ? _fromBase64(meta.salt) : window.crypto.getRandomValues(new Uint8Array(16));
+        iterations = meta ? meta.iterations : iterations;
+
+        deriveKey(passphrase, salt, iterations).then(function (derived) {
+          cryptoKey = derived;
+          if (meta) {
+            return decrypt(cryptoKey, meta.check).then(function (value) {
+              if (value !== check) {
+                throw new Error('The passphrase is wrong');
+              }
+            });
+          }
+          return encrypt(cryptoKey, check).then(function (encrypted) {
+            commit(metaKey, JSON.stringify({ salt: _toBase64(salt), iterations: iterations, check: encrypted }));
+          });
+        }).then(function () {
+          var decrypted = {}
+            , failed = [];
+          return window.Promise.all(adapter.list().filter(function (storeKey) {
+            return isEncrypted(adapter.get(storeKey));
+          }).map(function (storeKey) {
+            // Values that don't decrypt usually belong to stores with another
+            // passphrase that share the same storage
+            return decrypt(cryptoKey, adapter.get(storeKey)).then(function (value) {
+              decrypted[storeKey] = value;
+            }, function () {
+              failed.push(storeKey);
+            });
+          })).then(function () {
+            return { decrypted: decrypted, failed: failed };
+          });
+        }).then(function (result) {
+          cache = result.decrypted;
+          key = cryptoKey;
+          callback(null, result.failed);
+        }, function (e) {
+          // A wrong key fails the authentication of AES-GCM
+          callback(meta && e.name == 'OperationError' ? new Error('The passphrase is wrong') : e);
+        });
+      }
+      /**
+       * Forgets the key and every decrypted value
+       * @returns {undefined}
+       */
+    , lock: function () {
+        key = null;
+        cache = {};
+      }
+    };
+  }
+
+  // Compressed output is one character per dictionary code, so the dictionary
+  // stops growing before codes would run into the UTF-16 surrogate range
+  var _maxCompressionCode = 0xD800 - 32;
+
+  /**
+   * Compresses a string with LZW. The dictionary starts out empty and every
+   * new character is written out once as a literal, so any text can be
+   * compressed. Every code is written as a single character, offset by 32 to
+   * stay clear of control characters, so the result is still a string that
+   * Web Storage can hold.
+   * @param   {string} str The string to compress
+   * @returns {string}
+   */
+  function _compress(str) {
+    var dict = {}
+      , next = 2
+      , out = []
+      , w = ''
+      , wc
+      , c
+      , n
+      , i;
+
+    function add(entry) {
+      if (next < _maxCompressionCode) {
+        dict['_' + entry] = next++;
+      }
+    }
+
+    // Code 0 is followed by a character as is and code 1 by a surrogate moved
+    // down out of the surrogate range
+    function literal(ch) {
+      n = ch.charCodeAt(0);
+      if (n < 0xD800) {
+        out.push(String.fromCharCode(32), ch);
+      }
+      else {
+        out.push(String.fromCharCode(33), String.fromCharCode(n - 0x8000));
+      }
+      add(ch);
+    }
+
+    for (i = 0; i < str.length; i++) {
+      c = str.charAt(i);
+      wc = w + c;
+      if (dict.hasOwnProperty('_' + wc)) {
+        w = wc;
+        continue;
+      }
+      if (w) {
+        out.push(String.fromCharCode(dict['_' + w] + 32));
+        add(wc);
+      }
+      if (dict.hasOwnProperty('_' + c)) {
+        w = c;
+      }
+      else {
+        literal(c);
+        w = '';
+      }
+    }
+    if (w) {
+      out.push(String.fromCharCode(dict['_' + w] + 32));
+    }
+    return out.join('');
+  }
+
+  /**
+   * Decompresses a string made by _compress()
+   * @param   {string} str The compressed string
+   * @returns {string}
+   */
+  function _decompress(str) {
+    var dict = []
+      , out = []
+      , prev = null
+      , entry
+      , code
+      , i;
+
+    function add(e) {
+      if (dict.length + 2 < _maxCompressionCode) {
+        dict.push(e);
+      }
+    }
+
+    for (i = 0; i < str.length; i++) {
+      code = str.charCodeAt(i) - 32;
+      if (code < 2) {
+        i++;
+        entry = code === 0 ? str.charAt(i) : String.fromCharCode(str.charCodeAt(i) + 0x8000);
+        if (prev !== null) {
+          add(prev + entry);
+        }
+        add(entry);
+        prev = null;
+      }
+      else {
+        entry = dict[code - 2];
+        // The code being defined right now, which is only ever the previous
+        // entry followed by its own first character
+        if (entry === undefined) {
+          if (prev === null || code - 2 !== dict.length) {
+            throw new Error('The compressed data is corrupted');
+          }
+          entry = prev + prev.charAt(0);
+        }
+        if (prev !== null) {
+          add(prev + entry.charAt(0));
+        }
+        prev = entry;
+      }
+      out.push(entry);
+    }
+    return out.join('');
+  }
+
+  /**
+   * Creates a short fingerprint of a string. Used to tell whether content has
+   * changed without having to keep a second copy of it around.
+   * @param   {string} str The string to fingerprint
+   * @returns {string}
+   */
+  function _hash(str) {
+    var hash = 5381
+      , i;
+    str = str || '';
+    for (i = 0; i < str.length; i++) {
+      hash = (hash * 33 + str.charCodeAt(i)) % 4294967296;
+    }
+    return hash.toString(36) + '-' + str.length.toString(36);
+  }
+
+  /**
+   * Makes an asynchronous JSON request
+   * @param   {string} method The HTTP method
+   * @param   {string} url The URL to request
+   * @param   {object} headers Extra request headers
+   * @param   {object} body An object to send as JSON, or undefined
+   * @param   {function} callback Called with an error or null, the XHR and the
+   * parsed response body
+   * @returns {undefined}
+   */
+  function _request(method, url, headers, body, callback) {
+    var xhr = new XMLHttpRequest()
+      , header;
+
+    xhr.open(method, url, true);
+    for (header in headers) {
+      if (headers.hasOwnProperty(header)) {
+        xhr.setRequestHeader(header, headers[header]);
+      }
+    }
+    if (body !== undefined) {
+      xhr.setRequestHeader('Content-Type', 'application/json');
+    }
+
+    xhr.onreadystatechange = function () {
+      var data;
+      if (xhr.readyState != 4) {
+        return;
+      }
+      if (xhr.status === 0) {
+        callback(new Error('Could not reach ' + url), xhr);
+        return;
+      }
+      try {
+        data = xhr.responseText ? JSON.parse(xhr.responseText) : undefined;
+      }
+      catch (e) {
+        data = undefined;
+      }
+      callback(null, xhr, data);
+    };
+
+    xhr.send(body === undefined ? null : JSON.stringify(body));
+  }
+
+  /**
+   * Determines if an exception was thrown because storage is full. Every
+   * browser names and numbers this one differently.
+   * @param   {object} e The exception
+   * @returns {Boolean}
+   */
+  function _isQuotaError(e) {
+    return e.name == 'QuotaExceededError' || e.name == 'NS_ERROR_DOM_QUOTA_REACHED' || e.code == 22 || e.code == 1014;
+  }
+
+  /**
+   * Checks that an object implements the storage adapter interface
+   * @param   {object} adapter The object to check
+   * @returns {Boolean}
+   */
+  function _isStorageAdapter(adapter) {
+    var methods = ['get', 'set', 'list', 'remove']
+      , i;
+    if (!adapter) {
+      return false;
+    }
+    for (i = 0; i < methods.length; i++) {
+      if (!_isFunction(adapter[methods[i]])) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Checks that every file in a parsed file store is an object
+   * @param   {object} files The parsed file store
+   * @returns {Boolean}
+   */
+  function _isFileStore(files) {
+    for (var file in files) {
+      if (files.hasOwnProperty(file) && (!files[file] || typeof files[file] != 'object')) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Makes a callback that calls the given callback once it's been called the
+   * given number of times, with the first error it got or null
+   * @param   {number} count How many calls to wait for
+   * @param   {function} callback The callback, optional
+   * @returns {function}
+   */
+  function _after(count, callback) {
+    var error = null;
+    callback = callback || function () {};
+    if (count === 0) {
+      callback(null);
+    }
+    return function (err) {
+      error = error || err || null;
+      count--;
+      if (count === 0) {
+        callback(error);
+      }
+    };
+  }
+
+  /**
+   * Checks that a parsed index only lists file names
+   * @param   {object} index The parsed index
+   * @returns {Boolean}
+   */
+  function _isIndex(index) {
+    for (var name in index) {
+      if (index.hasOwnProperty(name) && index[name] !== true) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Upgrades the stores from one version of their schema to the next. The
+   * first one upgrades stores from before there was a schema version, so
+   * _migrations[n] takes stores from version n to n + 1. Each is called with
+   * the editor and changes its stores in place, then calls back with false if
+   * it couldn't finish and left them as they were. It may call back later, once
+   * an asynchronous adapter has committed what it wrote. Add to the end, never
+   * change what one that has shipped does.
+   */
+  var _migrations = [
+    // 0 -> 1: Make sure every file has string content, dates that can be
+    // parsed and a meta data object
+    function (done) {
+      var store
+        , file
+        , name;
+
+      function date(value) {
+        var d = new Date(value);
+        return value === undefined || value === null || isNaN(d.getTime()) ? new Date() : d;
+      }
+
+      // An unreadable store is reported and replaced the first time it's read,
+      // once there's been a chance to listen for errors
+      try {
+        store = this._parseStore(this._storage.get(this._storageKey()));
+      }
+      catch (e) {
+        return done();
+      }
+      if (!store || typeof store != 'object' || store instanceof Array || !_isFileStore(store)) {
+        return done();
+      }
+
+      for (name in store) {
+        if (store.hasOwnProperty(name)) {
+          file = store[name];
+          file.content = typeof file.content == 'string' ? file.content : (file.content === undefined || file.content === null ? '' : String(file.content));
+          file.created = date(file.created);
+          file.modified = date(file.modified);
+          if (!file.meta || typeof file.meta != 'object' || file.meta instanceof Array) {
+            file.meta = {};
+          }
+        }
+      }
+      this._writeStore(this._storageKey(), store);
+      done();
+    }
+
+    // 1 -> 2: Split the single store of every file, and the single store of
+    // every file's revisions, into a key per file with an index of the names.
+    // Storage is likely to be nearly full when this matters, so the old stores
+    // are only replaced once every file has been committed.
+  , function (done) {
+      var self = this
+        , name = self.settings.localStorageName
+        , revisionKey = self._revisionLocation + name
+        , store
+        , revisions
+        , index = {}
+        , writes = []
+        , committed
+        , file
+        , i;
+
+      // Leave storage as it was, the migration runs again on the next load
+      function undo() {
+        for (i = 0; i < writes.length; i++) {
+          self._removeStore(writes[i].key);
+        }
+        done(false);
+      }
+
+      try {
+        store = this._parseStore(this._storage.get(this._storageKey()));
+      }
+      catch (e) {
+        return done();
+      }
+      if (!store || typeof store != 'object' || store instanceof Array || !_isFileStore(store)) {
+        return done();
+      }
+
+      // The preview draft is a copy that's reset on load anyway, dropping it
+      // first makes room for the files
+      self._removeStore(self._previewDraftLocation + name);
+
+      revisions = self._readStore(revisionKey);
+      for (file in store) {
+        if (store.hasOwnProperty(file)) {
+          writes.push({ key: self._fileKey(file), value: store[file] });
+          if (revisions[file] instanceof Array && revisions[file].length) {
+            writes.push({ key: self._revisionKey(file), value: { revisions: revisions[file] } });
+          }
+          index[file] = true;
+        }
+      }
+
+      // Writing the index replaces the old store, so that only happens once
+      // every file is safely in its own key. An asynchronous adapter commits
+      // them later, so that's waited for rather than checked right away.
+      committed = _after(writes.length, function (err) {
+        if (err) {
+          return undo();
+        }
+        self._writeStore(self._storageKey(), index, function (err) {
+          if (err) {
+            // An asynchronous adapter already holds the new index in memory
+            self._writeStore(self._storageKey(), store);
+            return undo();
+          }
+          self._removeStore(revisionKey);
+          done();
+        });
+      });
+      for (i = 0; i < writes.length; i++) {
+        self._writeStore(writes[i].key, writes[i].value, committed);
+      }
+    }
+
+    // 2 -> 3: The editor used to write runs of spaces as no-break spaces,
+    // alternating with spaces, and a space at the start of a line as a single
+    // one. Its text is kept exactly as typed now, so put those spaces back for
+    // good. A no-break space on its own between words was typed on purpose.
+  , function (done) {
+      var trashKey = this._trashLocation + this.settings.localStorageName
+        , keys
+        , store
+        , changed
+        , i;
+
+      function spaces(file) {
+        var content;
+        if (!file || typeof file.content != 'string' || file.content.indexOf('\u00a0') == -1) {
+          return;
+        }
+        content = file.content.replace(/[ \u00a0]*\u00a0[ \u00a0]*/g, function (run, offset, all) {
+          var before = all.charAt(offset - 1)
+            , after = all.charAt(offset + run.length);
+          if (run.indexOf(' ') == -1 && /[^\r\n]/.test(before) && /[^\r\n]/.test(after)) {
+            return run;
+          }
+          return run.replace(/\u00a0/g, ' ');
+        });
+        if (content != file.content) {
+          file.content = content;
+          changed = true;
+        }
+      }
+
+      keys = this._keysWithPrefix(this._fileKey(''));
+      for (i = 0; i < keys.length; i++) {
+        changed = false;
+        store = this._readStore(keys[i]);
+        spaces(store);
+        if (changed) {
+          this._writeStore(keys[i], store);
+        }
+      }
+
+      keys = this._keysWithPrefix(this._revisionKey(''));
+      for (i = 0; i < keys.length; i++) {
+        changed = false;
+        store = this._readStore(keys[i]);
+        (store.revisions || []).forEach(spaces);
+        if (changed) {
+          this._writeStore(keys[i], store);
+        }
+      }
+
+      changed = false;
+      store = this._readStore(trashKey);
+      for (i in store) {
+        if (store.hasOwnProperty(i)) {
+          spaces(store[i].file);
+        }
+      }
+      if (changed) {
+        this._writeStore(trashKey, store);
+      }
+      done();
+    }
+  ];
+
+  /**
+   * Initiates the EpicEditor object and sets up offline storage as well
+   * @class Represents an EpicEditor instance
+   * @param {object} options An optional customization object
+   * @returns {object} EpicEditor will be returned
+   */
+  function EpicEditor(options) {
+    // Default settings will be overwritten/extended by options arg
+    var self = this
+      , opts = options || {}
+      , _defaultFileSchema
+      , defaults = { container: 'epiceditor'
+        , basePath: 'epiceditor'
+        , textarea: undefined
+        , clientSideStorage: true
+        , localStorageName: 'epiceditor'
+        , storage: undefined
+        , useNativeFullscreen: true
+        , file: { name: null
+        , defaultContent: ''
+          , autoSave: 100 // Milliseconds to wait after the last change before saving, false for no auto saving
+          , autoSaveMaxWait: 1000 // Longest an autosave waits while the content keeps changing, false for no limit
+          , confirmUnload: false // Ask before the page is left with changes that weren't saved with save()
+          , revisions: { max: 50
+            , maxAge: false // Milliseconds to keep revisions for, false keeps them until max is hit
+            , interval: 10000 // Autosaves record a revision at most this often
+            }
+          , trash: { autoPurge: false // Milliseconds to keep removed files for, false keeps them until purged
+            }
+          }
+        , theme: { base: '/themes/base/epiceditor.css'
+          , preview: '/themes/preview/github.css'
+          , editor: '/themes/editor/epic-dark.css'
+          }
+        , focusOnLoad: false
+        , shortcut: { modifier: 18 // alt keycode
+          , fullscreen: 70 // f keycode
+          , preview: 80 // p keycode
+          }
+        , string: { togglePreview: 'Toggle Preview Mode'
+          , toggleEdit: 'Toggle Edit Mode'
+          , toggleFullscreen: 'Enter Fullscreen'
+          , confirmUnload: 'You have changes that haven\'t been saved.'
+          , bold: 'Bold'
+          , italic: 'Italic'
+          , heading1: 'Heading 1'
+          , heading2: 'Heading 2'
+          , heading3: 'Heading 3'
+          , heading4: 'Heading 4'
+          , heading5: 'Heading 5'
+          , heading6: 'Heading 6'
+          , link: 'Link'
+          , image: 'Image'
+          , code: 'Code'
+          , quote: 'Quote'
+          , bulletList: 'Bulleted List'
+          , numberedList: 'Numbered List'
+          , stats: '{words} words, {characters} characters, {readingTime} min read'
+          }
+        , parser: typeof marked == 'function' ? marked : null
+        , highlight: false // Highlight the Markdown syntax in the editor
+        , autogrow: false
+        , sync: { url: null
+          , headers: {}
+          }
+        , stats: { display: false // Show the counts at the bottom of the editor
+          , wordsPerMinute: 200 // Reading speed used to estimate the reading time
+          }
+        , encryption: false // true or { iterations: 100000 } to encrypt files with a passphrase
+        , compression: false
+        , button: { fullscreen: true
+          , preview: true
+          , bar: "auto"
+          // Formatting buttons, see format(). Off unless asked for
+          , bold: false
+          , italic: false
+          , heading1: false
+          , heading2: false
+          , heading3: false
+          , heading4: false
+          , heading5: false
+          , heading6: false
+          , link: false
+          , image: false
+          , code: false
+          , quote: false
+          , bulletList: false
+          , numberedList: false
+          }
+        }
+      , autogrowDefaults = { minHeight: 80
+        , maxHeight: false
+        , scroll: true
+        };
+
+    self.settings = _mergeObjs(true, defaults, opts);
+
+    // Deep merging would copy a storage adapter into a plain object and lose
+    // anything it inherits from a prototype, so keep the original reference
+    if (opts.storage) {
+      self.settings.storage = opts.storage;
+    }
+    
+    var buttons = self.settings.button;
+    self._fullscreenEnabled = typeof(buttons) === 'object' ? typeof buttons.fullscreen === 'undefined' || buttons.fullscreen : buttons === true;
+    self._editEnabled = typeof(buttons) === 'object' ? typeof buttons.edit === 'undefined' || buttons.edit : buttons === true;
+    self._previewEnabled = typeof(buttons) === 'object' ? typeof buttons.preview === 'undefined' || buttons.preview : buttons === true;
+    self._formatButtons = _formatCommands.filter(function (command) {
+      return typeof(buttons) === 'object' ? buttons[command] === true : buttons === true && defaults.button[command];
+    });
+
+    if (!(typeof self.settings.parser == 'function' && typeof self.settings.parser('TEST') == 'string')) {
+      self.settings.parser = function (str) {
+        return str;
+      }
+    }
+
+    if (self.settings.autogrow) {
+      if (self.settings.autogrow === true) {
+        self.settings.autogrow = autogrowDefaults;
+      }
+      else {
+        self.settings.autogrow = _mergeObjs(true, autogrowDefaults, self.settings.autogrow);
+      }
+      self._oldHeight = -1;
+    }
+
+    // If you put an absolute link as the path of any of the themes ignore the basePath
+    // preview theme
+    if (!self.settings.theme.preview.match(/^https?:\/\//)) {
+      self.settings.theme.preview = self.settings.basePath + self.settings.theme.preview;
+    }
+    // editor theme
+    if (!self.settings.theme.editor.match(/^https?:\/\//)) {
+      self.settings.theme.editor = self.settings.basePath + self.settings.theme.editor;
+    }
+    // base theme
+    if (!self.settings.theme.base.match(/^https?:\/\//)) {
+      self.settings.theme.base = self.settings.basePath + self.settings.theme.base;
+    }
+
+    // Grab the container element and save it to self.element
+    // if it's a string assume it's an ID and if it's an object
+    // assume it's a DOM element
+    if (typeof self.settings.container == 'string') {
+      self.element = document.getElementById(self.settings.container);
+    }
+    else if (typeof self.settings.container == 'object') {
+      self.element = self.settings.container;
+    }
+
+    if (typeof self.settings.textarea == 'undefined' && typeof self.element != 'undefined') {
+      var textareas = self.element.getElementsByTagName('textarea');
+      if (textareas.length > 0) {
+        self.settings.textarea = textareas[0];
+        _applyStyles(self.settings.textarea, {
+          display: 'none'
+        });
+      }
+    }
+    
+    // Figure out the file name. If no file name is given we'll use the ID.
+    // If there's no ID either we'll use a namespaced file name that's incremented
+    // based on the calling order. As long as it doesn't change, drafts will be saved.
+    if (!self.settings.file.name) {
+      if (typeof self.settings.container == 'string') {
+        self.settings.file.name = self.settings.container;
+      }
+      else if (typeof self.settings.container == 'object') {
+        if (self.element.id) {
+          self.settings.file.name = self.element.id;
+        }
+        else {
+          if (!EpicEditor._data.unnamedEditors) {
+            EpicEditor._data.unnamedEditors = [];
+          }
+          EpicEditor._data.unnamedEditors.push(self);
+          self.settings.file.name = '__epiceditor-untitled-' + EpicEditor._data.unnamedEditors.length;
+        }
+      }
+    }
+
+    if (self.settings.button.bar === "show") {
+      self.settings.button.bar = true;
+    }
+
+    if (self.settings.button.bar === "hide") {
+      self.settings.button.bar = false;
+    }
+
+    // Protect the id and overwrite if passed in as an option
+    // TODO: Put underscrore to denote that this is private
+    self._instanceId = 'epiceditor-' + Math.round(Math.random() * 100000);
+    self._canSave = true;
+
+    // Keys of encrypted stores that couldn't be decrypted when unlocking
+    self._unreadable = {};
+
+    // Writes to an asynchronous adapter that haven't been committed yet, and
+    // what's waiting for them
+    self._pendingWrites = 0;
+    self._writeWaiters = [];
+
+    // Storage errors from before anything could listen for them
+    self._heldErrors = [];
+
+    // The last content getStats() counted, so it isn't parsed again unchanged
+    self._lastStats = null;
+
+    // Set while the migrations run, so they can read and write stores the
+    // editor is kept locked for in the meantime
+    self._migrating = false;
+
+    // Set when another tab changed the open file while it was edited here and
+    // there are no revisions to keep that tab's version in
+    self._conflicted = false;
+
+    // The undo history, started for real when a file is opened
+    self._undoStack = [];
+    self._redoStack = [];
+    self._historyState = null;
+
+    // A string to prepend files with to save draft versions of files
+    self._previewDraftLocation = '__draft-';
+
+    // A string to prepend the key of each file with, the store under
+    // localStorageName itself only holds an index of the file names
+    self._fileLocation = '__file-';
+
+    // A string to prepend the past revisions of each file with
+    self._revisionLocation = '__revisions-';
+
+    // A string to prepend the store of (possibly empty) folders with
+    self._folderLocation = '__folders-';
+
+    // A string to prepend the store of removed files with
+    self._trashLocation = '__trash-';
+
+    // A string to prepend the store of synced files removed since the last
+    // sync with
+    self._deletedLocation = '__deleted-';
+
+    // A string to prepend the schema version of the stores with
+    self._schemaLocation = '__schema-';
+
+    // A string to prepend the salt and passphrase check of encrypted stores with
+    self._encryptionLocation = '__encryption-';
+
+    // A string to prepend the copies of unreadable stores with
+    self._corruptLocation = '__corrupt-';
+
+    // A string to prepend compressed stores with
+    self._compressedMarker = 'epiceditor-lz:';
+
+    // The version of the archives exportAll() makes and importAll() reads
+    self._archiveVersion = 1;
+
+    // Setup local storage of files
+    self._defaultFileSchema = function () {
+      return {
+        content: self.settings.file.defaultContent
+      , created: new Date()
+      , modified: new Date()
+      , meta: {}
+      }
+    }
+
+    // Files are read and written through a storage adapter. A custom one can
+    // be passed in, otherwise localStorage is used or, if clientSideStorage is
+    // off, a plain object that only lives as long as the page.
+    if (self.settings.storage) {
+      self._storage = self.settings.storage;
+    }
+    else if (window.localStorage && self.settings.clientSideStorage) {
+      self._storage = _webStorageAdapter(window.localStorage);
+    }
+    else {
+      self._storage = _webStorageAdapter({});
+    }
+
+    if (!_isStorageAdapter(self._storage)) {
+      throw new Error('The storage option must implement get, set, list and remove');
+    }
+
+    // Allow binding of events before anything can go wrong with storage
+    if (!self.events) {
+      self.events = {};
+    }
+
+    // This needs to replace the use of classes to check the state of EE
+    self._eeState = {
+      fullscreen: false
+    , preview: false
+    , edit: false
+    , loaded: false
+    , unloaded: false
+    , locked: false
+    , changed: false
+    , dirty: false
+    }
+
+    // An encrypted store can't be read until it's unlocked with unlock()
+    if (self.settings.encryption) {
+      self._storage = _encryptedAdapter(self._storage, self._encryptionLocation + self.settings.localStorageName, self.settings.encryption.iterations || 100000);
+      self._eeState.locked = true;
+    }
+    else {
+      // Nothing can be listening yet, so errors setting up the stores are
+      // held and emitted by load() along with the ones it runs into itself
+      self._holdErrors = true;
+      self._setupStores(function (ok) {
+        // Stores a migration waited on an asynchronous adapter for are only
+        // opened once they're ready, which can be after load()
+        if (ok && self.is('loaded')) {
+          self.open(self.settings.file.name);
+          self._resetHistory();
+        }
+      });
+      self._holdErrors = false;
+    }
+
+    return this;
+  }
+
+  /**
+   * Makes sure there's a file store, compresses stores that were written
+   * before compression was turned on, upgrades stores written by older
+   * versions and resets the preview drafts
+   * @param   {function} callback Called with false if the stores are kept
+   * locked, or true, once they're ready. That's right away unless a migration
+   * waits for an asynchronous adapter, then the editor is locked until then.
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._setupStores = function (callback) {
+    var self = this
+      , waiting = false
+      , finished = false;
+
+    callback = callback || function () {};
+
+    self._migrating = true;
+    self._migrate(function (ok) {
+      var keys
+        , drafts
+        , value
+        , i;
+
+      finished = true;
+      self._migrating = false;
+
+      // Stores written by a newer version, or that couldn't be upgraded, are
+      // kept locked rather than risk writing them back in the wrong format
+      if (!ok) {
+        self._eeState.locked = true;
+        callback(false);
+        return;
+      }
+      if (waiting) {
+        self._eeState.locked = false;
+      }
+
+      keys = self._storeKeys();
+      if (self.settings.compression) {
+        for (i = 0; i < keys.length; i++) {
+          value = self._storage.get(keys[i]);
+          if (value !== undefined && value.indexOf(self._compressedMarker) !== 0) {
+            self._writeStore(keys[i], value);
+          }
+        }
+      }
+
+      if (self._storage.get(self._storageKey()) === undefined && !self._unreadable[self._storageKey()]) {
+        self._writeStore(self._storageKey(), {});
+        self._setFile(self.settings.file.name, self._defaultFileSchema());
+      }
+
+      // Reset all preview drafts on each load!
+      drafts = self._keysWithPrefix(self._fileKey('', true));
+      for (i = 0; i < drafts.length; i++) {
+        self._removeStore(drafts[i]);
+      }
+
+      self._purgeExpiredTrash();
+      callback(true);
+    });
+
+    // Nothing else may read the stores half way through an upgrade
+    if (!finished) {
+      waiting = true;
+      self._eeState.locked = true;
+    }
+  }
+
+  /**
+   * Inserts the EpicEditor into the DOM via an iframe and gets it ready for editing and previewing
+   * @returns {object} EpicEditor will be returned
+   */
+  EpicEditor.prototype.load = function (callback) {
+
+    // Get out early if it's already loaded
+    if (this.is('loaded')) { return this; }
+
+    // TODO: Gotta get the privates with underscores!
+    // TODO: Gotta document what these are for...
+    var self = this
+      , _HtmlTemplates
+      , iframeElement
+      , baseTag
+      , utilBtns
+      , utilBar
+      , utilBarTimer
+      , keypressTimer
+      , mousePos = { y: -1, x: -1 }
+      , _elementStates
+      , _isInEdit
+      , nativeFs = false
+      , nativeFsWebkit = false
+      , nativeFsMoz = false
+      , nativeFsW3C = false
+      , fsElement
+      , isMod = false
+      , isCtrl = false
+      , eventableIframes
+      , i // i is reused for loops
+      , boundAutogrow;
+
+    // Startup is a way to check if this EpicEditor is starting up. Useful for
+    // checking and doing certain things before EpicEditor emits a load event.
+    self._eeState.startup = true;
+
+    while (self._heldErrors.length) {
+      self.emit('error', self._heldErrors.shift());
+    }
+
+    if (self.settings.useNativeFullscreen) {
+      nativeFsWebkit = document.body.webkitRequestFullScreen ? true : false;
+      nativeFsMoz = document.body.mozRequestFullScreen ? true : false;
+      nativeFsW3C = document.body.requestFullscreen ? true : false;
+      nativeFs = nativeFsWebkit || nativeFsMoz || nativeFsW3C;
+    }
+
+    // Fucking Safari's native fullscreen works terribly
+    // REMOVE THIS IF SAFARI 7 WORKS BETTER
+    if (_isSafari()) {
+      nativeFs = false;
+      nativeFsWebkit = false;
+    }
+
+    // It opens edit mode by default (for now);
+    if (!self.is('edit') && !self.is('preview')) {
+      self._eeState.edit = true;
+    }
+
+    callback = callback || function () {};
+
+    // The editor HTML
+    // TODO: edit-mode class should be dynamically added
+    _HtmlTemplates = {
+      // This is wrapping iframe element. It contains the other two iframes and the utilbar
+      chrome:   '<div id="epiceditor-wrapper" class="epiceditor-edit-mode">' +
+                  '<iframe frameborder="0" id="epiceditor-editor-frame"></iframe>' +
+                  '<iframe frameborder="0" id="epiceditor-previewer-frame"></iframe>' +
+                  '<div id="epiceditor-utilbar"' + (self._formatButtons.length ? ' class="epiceditor-format-bar"' : '') + '>' +
+                    self._formatButtons.map(function (command) {
+                      var label = _escapeHTML(self.settings.string[command]);
+                      return '<button title="' + label + '" class="epiceditor-format-btn epiceditor-format-' + command + '-btn" data-format="' + command + '">' + label + '</button> ';
+                    }).join('') +
+                    (self._previewEnabled ? '<button title="' + this.settings.string.togglePreview + '" class="epiceditor-toggle-btn epiceditor-toggle-preview-btn"></button> ' : '') +
+                    (self._editEnabled ? '<button title="' + this.settings.string.toggleEdit + '" class="epiceditor-toggle-btn epiceditor-toggle-edit-btn"></button> ' : '') +
+                    (self._fullscreenEnabled ? '<button title="' + this.settings.string.toggleFullscreen + '" class="epiceditor-fullscreen-btn"></button>' : '') +
+                  '</div>' +
+                  (self.settings.stats.display ? '<div id="epiceditor-stats"></div>' : '') +
+                '</div>'
+    
+    // The previewer is just an empty box for the generated HTML to go into
+    , previewer: '<div id="epiceditor-preview"></div>'
+    , editor: '<!doctype HTML>'
+    };
+
+    // Write an iframe and then select it for the editor
+    iframeElement = document.createElement('iframe');
+    _applyAttrs(iframeElement, {
+      scrolling: 'no',
+      frameborder: 0,
+      id: self._instanceId
+    });
+    
+    
+    self.element.appendChild(iframeElement);
+
+    // Because browsers add things like invisible padding and margins and stuff
+    // to iframes, we need to set manually set the height so that the height
+    // doesn't keep increasing (by 2px?) every time reflow() is called.
+    // FIXME: Figure out how to fix this without setting this
+    self.element.style.height = self.element.offsetHeight + 'px';
+    
+    // Store a reference to the iframeElement itself
+    self.iframeElement = iframeElement;
+
+    // Grab the innards of the iframe (returns the document.body)
+    // TODO: Change self.iframe to self.iframeDocument
+    self.iframe = _getIframeInnards(iframeElement);
+    self.iframe.open();
+    self.iframe.write(_HtmlTemplates.chrome);
+
+    // Now that we got the innards of the iframe, we can grab the other iframes
+    self.editorIframe = self.iframe.getElementById('epiceditor-editor-frame')
+    self.previewerIframe = self.iframe.getElementById('epiceditor-previewer-frame');
+
+    // Setup the editor iframe
+    self.editorIframeDocument = _getIframeInnards(self.editorIframe);
+    self.editorIframeDocument.open();
+    // Need something for... you guessed it, Firefox
+    self.editorIframeDocument.write(_HtmlTemplates.editor);
+    self.editorIframeDocument.close();
+    
+    // Setup the previewer iframe
+    self.previewerIframeDocument = _getIframeInnards(self.previewerIframe);
+    self.previewerIframeDocument.open();
+    self.previewerIframeDocument.write(_HtmlTemplates.previewer);
+
+    // Base tag is added so that links will open a new tab and not inside of the iframes
+    baseTag = self.previewerIframeDocument.createElement('base');
+    baseTag.target = '_blank';
+    self.previewerIframeDocument.getElementsByTagName('head')[0].appendChild(baseTag);
+
+    self.previewerIframeDocument.close();
+
+    self.reflow();
+
+    // Insert Base Stylesheet
+    _insertCSSLink(self.settings.theme.base, self.iframe, 'theme');
+    
+    // Insert Editor Stylesheet
+    _insertCSSLink(self.settings.theme.editor, self.editorIframeDocument, 'theme');
+    
+    // Insert Previewer Stylesheet
+    _insertCSSLink(self.settings.theme.preview, self.previewerIframeDocument, 'theme');
+
+    // Add a relative style to the overall wrapper to keep CSS relative to the editor
+    self.iframe.getElementById('epiceditor-wrapper').style.position = 'relative';
+
+    // Set the position to relative so we hide them with left: -999999px
+    self.editorIframe.style.position = 'absolute';
+    self.previewerIframe.style.position = 'absolute';
+
+    // Now grab the editor and previewer for later use
+    self.editor = self.editorIframeDocument.body;
+    self.previewer = self.previewerIframeDocument.getElementById('epiceditor-preview');
+   
+    self.editor.contentEditable = true;
+ 
+    // Firefox's <body> gets all fucked up so, to be sure, we need to hardcode it
+    self.iframe.body.style.height = this.element.offsetHeight + 'px';
+
+    // Should actually check what mode it's in!
+    self.previewerIframe.style.left = '-999999px';
+
+    // Keep long lines from being longer than the editor
+    this.editorIframeDocument.body.style.wordWrap = 'break-word';
+
+    // Show the text exactly as it is, tabs and runs of spaces included, so
+    // it can be read back the same way
+    this.editorIframeDocument.body.style.whiteSpace = 'pre-wrap';
+
+    // FIXME figure out why it needs +2 px
+    if (_isIE() > -1) {
+      this.previewer.style.height = parseInt(_getStyle(this.previewer, 'height'), 10) + 2;
+    }
+
+    // If there is a file to be opened with that filename and it has content...
+    // An encrypted store opens it once it's unlocked instead
+    if (!self.is('locked')) {
+      this.open(self.settings.file.name);
+    }
+
+    if (self.settings.focusOnLoad) {
       // We need to wait until all three iframes are done loading by waiting until the parent
       // iframe's ready state == complete, then we can focus on the contenteditable
       self.iframe.addEventListener('readystatechange', function () {
@@ -676,1072 +2644,3813 @@
       });
     }
 
-    // Because IE scrolls the whole window to hash links, we need our own
-    // method of scrolling the iframe to an ID from clicking a hash
-    self.previewerIframeDocument.addEventListener('click', function (e) {
-      var el = e.target
-        , body = self.previewerIframeDocument.body;
-      if (el.nodeName == 'A') {
-        // Make sure the link is a hash and the link is local to the iframe
-        if (el.hash && el.hostname == window.location.hostname) {
-          // Prevent the whole window from scrolling
-          e.preventDefault();
-          // Prevent opening a new window
-          el.target = '_self';
-          // Scroll to the matching element, if an element exists
-          if (body.querySelector(el.hash)) {
-            body.scrollTop = body.querySelector(el.hash).offsetTop;
-          }
-        }
+    // Because IE scrolls the whole window to hash links, we need our own
+    // method of scrolling the iframe to an ID from clicking a hash
+    self.previewerIframeDocument.addEventListener('click', function (e) {
+      var el = e.target
+        , body = self.previewerIframeDocument.body;
+      if (el.nodeName == 'A') {
+        // Make sure the link is a hash and the link is local to the iframe
+        if (el.hash && el.hostname == window.location.hostname) {
+          // Prevent the whole window from scrolling
+          e.preventDefault();
+          // Prevent opening a new window
+          el.target = '_self';
+          // Scroll to the matching element, if an element exists
+          if (body.querySelector(el.hash)) {
+            body.scrollTop = body.querySelector(el.hash).offsetTop;
+          }
+        }
+      }
+    });
+
+    utilBtns = self.iframe.getElementById('epiceditor-utilbar');
+
+    // TODO: Move into fullscreen setup function (_setupFullscreen)
+    _elementStates = {}
+    self._goFullscreen = function (el, callback) {
+      callback = callback || function () {};
+      var wait = 0;
+      this._fixScrollbars('auto');
+
+      if (self.is('fullscreen')) {
+        self._exitFullscreen(el, callback);
+        return;
+      }
+
+      if (nativeFs) {
+        if (nativeFsWebkit) {
+          el.webkitRequestFullScreen();
+          wait = 750;
+        }
+        else if (nativeFsMoz) {
+          el.mozRequestFullScreen();
+        }
+        else if (nativeFsW3C) {
+          el.requestFullscreen();
+        }
+      }
+
+      _isInEdit = self.is('edit');
+
+
+      // Why does this need to be in a randomly "750"ms setTimeout? WebKit's
+      // implementation of fullscreen seem to trigger the webkitfullscreenchange
+      // event _after_ everything is done. Instead, it triggers _during_ the
+      // transition. This means calculations of what's half, 100%, etc are wrong
+      // so to combat this we throw down the hammer with a setTimeout and wait
+      // to trigger our calculation code.
+      // See: https://code.google.com/p/chromium/issues/detail?id=181116
+      setTimeout(function () {
+        // Set the state of EE in fullscreen
+        // We set edit and preview to true also because they're visible
+        // we might want to allow fullscreen edit mode without preview (like a "zen" mode)
+        self._eeState.fullscreen = true;
+        self._eeState.edit = true;
+        self._eeState.preview = true;
+
+        // Cache calculations
+        var windowInnerWidth = window.innerWidth
+          , windowInnerHeight = window.innerHeight
+          , windowOuterWidth = window.outerWidth
+          , windowOuterHeight = window.outerHeight;
+
+        // Without this the scrollbars will get hidden when scrolled to the bottom in faux fullscreen (see #66)
+        if (!nativeFs) {
+          windowOuterHeight = window.innerHeight;
+        }
+
+        // This MUST come first because the editor is 100% width so if we change the width of the iframe or wrapper
+        // the editor's width wont be the same as before
+        _elementStates.editorIframe = _saveStyleState(self.editorIframe, 'save', {
+          'width': windowOuterWidth / 2 + 'px'
+        , 'height': windowOuterHeight + 'px'
+        , 'float': 'left' // Most browsers
+        , 'cssFloat': 'left' // FF
+        , 'styleFloat': 'left' // Older IEs
+        , 'display': 'block'
+        , 'position': 'static'
+        , 'left': ''
+        });
+
+        // the previewer
+        _elementStates.previewerIframe = _saveStyleState(self.previewerIframe, 'save', {
+          'width': windowOuterWidth / 2 + 'px'
+        , 'height': windowOuterHeight + 'px'
+        , 'float': 'right' // Most browsers
+        , 'cssFloat': 'right' // FF
+        , 'styleFloat': 'right' // Older IEs
+        , 'display': 'block'
+        , 'position': 'static'
+        , 'left': ''
+        });
+
+        // Setup the containing element CSS for fullscreen
+        _elementStates.element = _saveStyleState(self.element, 'save', {
+          'position': 'fixed'
+        , 'top': '0'
+        , 'left': '0'
+        , 'width': '100%'
+        , 'z-index': '9999' // Most browsers
+        , 'zIndex': '9999' // Firefox
+        , 'border': 'none'
+        , 'margin': '0'
+        // Should use the base styles background!
+        , 'background': _getStyle(self.editor, 'background-color') // Try to hide the site below
+        , 'height': windowInnerHeight + 'px'
+        });
+
+        // The iframe element
+        _elementStates.iframeElement = _saveStyleState(self.iframeElement, 'save', {
+          'width': windowOuterWidth + 'px'
+        , 'height': windowInnerHeight + 'px'
+        });
+
+        // ...Oh, and hide the buttons and prevent scrolling
+        utilBtns.style.visibility = 'hidden';
+
+        if (!nativeFs) {
+          document.body.style.overflow = 'hidden';
+        }
+
+        self.preview();
+
+        self.focus();
+
+        self.emit('fullscreenenter');
+
+        callback.call(self);
+      }, wait);
+
+    };
+
+    self._exitFullscreen = function (el, callback) {
+      callback = callback || function () {};
+      this._fixScrollbars();
+
+      _saveStyleState(self.element, 'apply', _elementStates.element);
+      _saveStyleState(self.iframeElement, 'apply', _elementStates.iframeElement);
+      _saveStyleState(self.editorIframe, 'apply', _elementStates.editorIframe);
+      _saveStyleState(self.previewerIframe, 'apply', _elementStates.previewerIframe);
+
+      // We want to always revert back to the original styles in the CSS so,
+      // if it's a fluid width container it will expand on resize and not get
+      // stuck at a specific width after closing fullscreen.
+      self.element.style.width = self._eeState.reflowWidth ? self._eeState.reflowWidth : '';
+      self.element.style.height = self._eeState.reflowHeight ? self._eeState.reflowHeight : '';
+
+      utilBtns.style.visibility = 'visible';
+
+      // Put the editor back in the right state
+      // TODO: This is ugly... how do we make this nicer?
+      // setting fullscreen to false here prevents the
+      // native fs callback from calling this function again
+      self._eeState.fullscreen = false;
+
+      if (!nativeFs) {
+        document.body.style.overflow = 'auto';
+      }
+      else {
+        if (nativeFsWebkit) {
+          document.webkitCancelFullScreen();
+        }
+        else if (nativeFsMoz) {
+          document.mozCancelFullScreen();
+        }
+        else if (nativeFsW3C) {
+          document.exitFullscreen();
+        }
+      }
+
+      if (_isInEdit) {
+        self.edit();
+      }
+      else {
+        self.preview();
+      }
+
+      self.reflow();
+
+      self.emit('fullscreenexit');
+
+      callback.call(self);
+    };
+
+    // This setups up live previews by triggering preview() IF in fullscreen on keyup
+    self.editor.addEventListener('keyup', function () {
+      if (keypressTimer) {
+        window.clearTimeout(keypressTimer);
+      }
+      keypressTimer = window.setTimeout(function () {
+        if (self.is('fullscreen')) {
+          self.preview();
+        }
+      }, 250);
+    });
+    
+    fsElement = self.iframeElement;
+
+    // Sets up the onclick event on utility buttons
+    utilBtns.addEventListener('click', function (e) {
+      var targetClass = e.target.className;
+      if (targetClass.indexOf('epiceditor-toggle-preview-btn') > -1) {
+        self.preview();
+      }
+      else if (targetClass.indexOf('epiceditor-toggle-edit-btn') > -1) {
+        self.edit();
+      }
+      else if (targetClass.indexOf('epiceditor-fullscreen-btn') > -1) {
+        self._goFullscreen(fsElement);
+      }
+      else if (targetClass.indexOf('epiceditor-format-btn') > -1) {
+        self.format(e.target.getAttribute('data-format'));
+      }
+    });
+
+    // Keep the focus, and with it the selection, in the editor when a
+    // formatting button is pressed
+    utilBtns.addEventListener('mousedown', function (e) {
+      if (e.target.className.indexOf('epiceditor-format-btn') > -1) {
+        e.preventDefault();
+      }
+    });
+
+    // Sets up the NATIVE fullscreen editor/previewer for WebKit
+    if (nativeFsWebkit) {
+      document.addEventListener('webkitfullscreenchange', function () {
+        if (!document.webkitIsFullScreen && self._eeState.fullscreen) {
+          self._exitFullscreen(fsElement);
+        }
+      }, false);
+    }
+    else if (nativeFsMoz) {
+      document.addEventListener('mozfullscreenchange', function () {
+        if (!document.mozFullScreen && self._eeState.fullscreen) {
+          self._exitFullscreen(fsElement);
+        }
+      }, false);
+    }
+    else if (nativeFsW3C) {
+      document.addEventListener('fullscreenchange', function () {
+        if (document.fullscreenElement == null && self._eeState.fullscreen) {
+          self._exitFullscreen(fsElement);
+        }
+      }, false);
+    }
+
+    // TODO: Move utilBar stuff into a utilBar setup function (_setupUtilBar)
+    utilBar = self.iframe.getElementById('epiceditor-utilbar');
+
+    // Hide it at first until they move their mouse
+    if (self.settings.button.bar !== true) {
+      utilBar.style.display = 'none';
+    }
+
+    utilBar.addEventListener('mouseover', function () {
+      if (utilBarTimer) {
+        clearTimeout(utilBarTimer);
+      }
+    });
+
+    function utilBarHandler(e) {
+      if (self.settings.button.bar !== "auto") {
+        return;
+      }
+      // Here we check if the mouse has moves more than 5px in any direction before triggering the mousemove code
+      // we do this for 2 reasons:
+      // 1. On Mac OS X lion when you scroll and it does the iOS like "jump" when it hits the top/bottom of the page itll fire off
+      //    a mousemove of a few pixels depending on how hard you scroll
+      // 2. We give a slight buffer to the user in case he barely touches his touchpad or mouse and not trigger the UI
+      if (Math.abs(mousePos.y - e.pageY) >= 5 || Math.abs(mousePos.x - e.pageX) >= 5) {
+        utilBar.style.display = 'block';
+        // if we have a timer already running, kill it out
+        if (utilBarTimer) {
+          clearTimeout(utilBarTimer);
+        }
+
+        // begin a new timer that hides our object after 1000 ms
+        utilBarTimer = window.setTimeout(function () {
+          utilBar.style.display = 'none';
+        }, 1000);
+      }
+      mousePos = { y: e.pageY, x: e.pageX };
+    }
+ 
+    // Add keyboard shortcuts for convenience.
+    function shortcutHandler(e) {
+      if (e.keyCode == self.settings.shortcut.modifier) { isMod = true } // check for modifier press(default is alt key), save to var
+      if (e.keyCode == 17) { isCtrl = true } // check for ctrl/cmnd press, in order to catch ctrl/cmnd + s
+      if (e.keyCode == 18) { isCtrl = false }
+
+      // Check for alt+p and make sure were not in fullscreen - default shortcut to switch to preview
+      if (isMod === true && e.keyCode == self.settings.shortcut.preview && !self.is('fullscreen')) {
+        e.preventDefault();
+        if (self.is('edit') && self._previewEnabled) {
+          self.preview();
+        }
+        else if (self._editEnabled) {
+          self.edit();
+        }
+      }
+      // Check for alt+f - default shortcut to make editor fullscreen
+      if (isMod === true && e.keyCode == self.settings.shortcut.fullscreen && self._fullscreenEnabled) {
+        e.preventDefault();
+        self._goFullscreen(fsElement);
+      }
+
+      // Set the modifier key to false once *any* key combo is completed
+      // or else, on Windows, hitting the alt key will lock the isMod state to true (ticket #133)
+      if (isMod === true && e.keyCode !== self.settings.shortcut.modifier) {
+        isMod = false;
+      }
+
+      // When a user presses "esc", revert everything!
+      if (e.keyCode == 27 && self.is('fullscreen')) {
+        self._exitFullscreen(fsElement);
+      }
+
+      // Check for ctrl + s (since a lot of people do it out of habit) and make it do nothing
+      if (isCtrl === true && e.keyCode == 83) {
+        self.save();
+        e.preventDefault();
+        isCtrl = false;
+      }
+
+      // Do the same for Mac now (metaKey == cmd).
+      if (e.metaKey && e.keyCode == 83) {
+        self.save();
+        e.preventDefault();
+      }
+
+      // The browser's own undo history is lost whenever the content is
+      // replaced, so ctrl/cmd + z and ctrl/cmd + y or shift + z use ours
+      if ((isCtrl === true || e.metaKey) && (e.keyCode == 90 || e.keyCode == 89) && self.is('edit')) {
+        e.preventDefault();
+        if (e.keyCode == 89 || e.shiftKey) {
+          self.redo();
+        }
+        else {
+          self.undo();
+        }
+      }
+
+    }
+    
+    function shortcutUpHandler(e) {
+      if (e.keyCode == self.settings.shortcut.modifier) { isMod = false }
+      if (e.keyCode == 17) { isCtrl = false }
+    }
+
+    function pasteHandler(e) {
+      var content;
+      if (e.clipboardData) {
+        //FF 22, Webkit, "standards"
+        e.preventDefault();
+        content = e.clipboardData.getData("text/plain");
+        self.editorIframeDocument.execCommand("insertText", false, content);
+      }
+      else if (window.clipboardData) {
+        //IE, "nasty"
+        e.preventDefault();
+        content = window.clipboardData.getData("Text");
+        // The editor keeps whitespace as it is, so only markup needs escaping
+        self.editorIframeDocument.selection.createRange().pasteHTML(_escapeHTML(content));
+      }
+    }
+
+    // Hide and show the util bar based on mouse movements
+    eventableIframes = [self.previewerIframeDocument, self.editorIframeDocument];
+    
+    for (i = 0; i < eventableIframes.length; i++) {
+      eventableIframes[i].addEventListener('mousemove', function (e) {
+        utilBarHandler(e);
+      });
+      eventableIframes[i].addEventListener('scroll', function (e) {
+        utilBarHandler(e);
+      });
+      eventableIframes[i].addEventListener('keyup', function (e) {
+        shortcutUpHandler(e);
+      });
+      eventableIframes[i].addEventListener('keydown', function (e) {
+        shortcutHandler(e);
+      });
+      eventableIframes[i].addEventListener('paste', function (e) {
+        pasteHandler(e);
+      });
+    }
+
+    // Save the document shortly after it changes
+    self._setupAutoSave();
+
+    // Changing the markup while an input method composes text would end it
+    self.editor.addEventListener('compositionstart', function () {
+      self._composing = true;
+    });
+    self.editor.addEventListener('compositionend', function () {
+      self._composing = false;
+      if (self.settings.highlight) {
+        self._highlight();
+      }
+    });
+
+    // Update a textarea automatically if a textarea is given so you don't need
+    // AJAX to submit a form and instead fall back to normal form behavior
+    if (self.settings.textarea) {
+      self._setupTextareaSync();
+    }
+
+    // Keep up with changes other tabs make to the same files
+    if (self._storage.watch) {
+      self._unwatchStorage = self._storage.watch(function (key) {
+        if (key == self._fileKey(self.settings.file.name)) {
+          self._externalChange();
+        }
+      });
+    }
+
+    window.addEventListener('resize', function () {
+      // If NOT webkit, and in fullscreen, we need to account for browser resizing
+      // we don't care about webkit because you can't resize in webkit's fullscreen
+      if (self.is('fullscreen')) {
+        _applyStyles(self.iframeElement, {
+          'width': window.outerWidth + 'px'
+        , 'height': window.innerHeight + 'px'
+        });
+
+        _applyStyles(self.element, {
+          'height': window.innerHeight + 'px'
+        });
+
+        _applyStyles(self.previewerIframe, {
+          'width': window.outerWidth / 2 + 'px'
+        , 'height': window.innerHeight + 'px'
+        });
+
+        _applyStyles(self.editorIframe, {
+          'width': window.outerWidth / 2 + 'px'
+        , 'height': window.innerHeight + 'px'
+        });
+      }
+      // Makes the editor support fluid width when not in fullscreen mode
+      else if (!self.is('fullscreen')) {
+        self.reflow();
+      }
+    });
+
+    // Set states before flipping edit and preview modes
+    self._eeState.loaded = true;
+    self._eeState.unloaded = false;
+
+    if (self.is('preview')) {
+      self.preview();
+    }
+    else {
+      self.edit();
+    }
+
+    self.iframe.close();
+    self._eeState.startup = false;
+
+    // The open file may still have autosaved changes from last time
+    self._updateDirty();
+
+    if (self.settings.file.confirmUnload) {
+      self._beforeUnloadHandler = function (e) {
+        if (!self.is('dirty')) {
+          return;
+        }
+        e.preventDefault();
+        e.returnValue = self.settings.string.confirmUnload;
+        return e.returnValue;
+      };
+      window.addEventListener('beforeunload', self._beforeUnloadHandler);
+    }
+
+    if (self.settings.autogrow) {
+      self._fixScrollbars();
+
+      boundAutogrow = function () {
+        setTimeout(function () {
+          self._autogrow();
+        }, 1);
+      };
+
+      //for if autosave is disabled or very slow
+      ['keydown', 'keyup', 'paste', 'cut'].forEach(function (ev) {
+        self.getElement('editor').addEventListener(ev, boundAutogrow);
+      });
+      
+      self.on('__update', boundAutogrow);
+      self.on('edit', function () {
+        setTimeout(boundAutogrow, 50)
+      });
+      self.on('preview', function () {
+        setTimeout(boundAutogrow, 50)
+      });
+
+      //for browsers that have rendering delays
+      setTimeout(boundAutogrow, 50);
+      boundAutogrow();
+    }
+
+    // The callback and call are the same thing, but different ways to access them
+    callback.call(this);
+    this.emit('load');
+    return this;
+  }
+
+  /**
+   * Watches the editor for changes instead of checking its content on an
+   * interval. Changes are saved once they stop for file.autoSave milliseconds,
+   * or after file.autoSaveMaxWait milliseconds if they keep coming.
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._setupAutoSave = function () {
+    var self = this
+      , Observer = window.MutationObserver || window.WebKitMutationObserver
+      , changed = function () {
+          self._contentChanged();
+        };
+
+    // Changes are tracked even without autosave so is('dirty') is right
+    if (Observer) {
+      self._changeObserver = new Observer(changed);
+      self._changeObserver.observe(self.editor, { childList: true, characterData: true, subtree: true });
+    }
+    else {
+      ['input', 'keyup', 'paste', 'cut', 'drop'].forEach(function (ev) {
+        self.editor.addEventListener(ev, changed);
+      });
+    }
+  }
+
+  /**
+   * Marks the content as changed and schedules the autosave
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._contentChanged = function (_fromHistory) {
+    var self = this
+      , delay = self.settings.file.autoSave
+      , maxWait = self.settings.file.autoSaveMaxWait;
+
+    self._eeState.changed = true;
+
+    if (_fromHistory !== true) {
+      self._recordChange();
+    }
+
+    if (self.settings.highlight) {
+      window.clearTimeout(self._highlightTimer);
+      self._highlightTimer = window.setTimeout(function () {
+        self._highlight();
+      }, _highlightDelay);
+    }
+
+    // Only the first change after a save can make the file dirty
+    if (!self._eeState.dirty) {
+      self._updateDirty();
+    }
+
+    // Even if autoSave is false, we want to make sure to keep the textarea synced
+    // with the editor's content
+    if (!delay && !self.settings.textarea) {
+      return;
+    }
+
+    window.clearTimeout(self._autoSaveTimer);
+    self._autoSaveTimer = window.setTimeout(function () {
+      self._autoSave();
+    }, delay || 100);
+
+    if (maxWait && !self._autoSaveMaxTimer) {
+      self._autoSaveMaxTimer = window.setTimeout(function () {
+        self._autoSave();
+      }, maxWait);
+    }
+  }
+
+  /**
+   * Highlights the Markdown syntax in the editor again after it was edited.
+   * The selection is kept where it was in the text, and nothing is touched
+   * while an input method is still composing text.
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._highlight = function () {
+    var self = this
+      , text
+      , html
+      , selection;
+
+    window.clearTimeout(self._highlightTimer);
+    self._highlightTimer = null;
+    if (!self.is('loaded') || self._composing) {
+      return;
+    }
+
+    // Changes that haven't been reported yet mustn't be mistaken for the
+    // highlighting's own
+    if (self._changeObserver && self._changeObserver.takeRecords().length) {
+      self._contentChanged();
+    }
+
+    text = _getText(self.editor);
+    html = _textMarkup(text, true);
+    if (html === self.editor.innerHTML.replace(/\r/g, '&#13;')) {
+      return;
+    }
+
+    selection = _getSelection(self.editor);
+    self.editor.innerHTML = html;
+    if (selection) {
+      _setSelection(self.editor, selection.start, selection.end);
+    }
+    if (self._changeObserver) {
+      self._changeObserver.takeRecords();
+    }
+  }
+
+  /**
+   * Checks if the open file differs from what was last saved with save(),
+   * either because of changes still in the editor or ones only autosaved
+   * @returns {boolean}
+   */
+  EpicEditor.prototype._isDirty = function () {
+    if (!this.is('loaded') || this.is('locked')) {
+      return false;
+    }
+    return this._uncommitted === true || this._isPending();
+  }
+
+  /**
+   * Checks if the editor has changes that haven't reached storage yet, the
+   * ones an autosave or flush() would write
+   * @returns {boolean}
+   */
+  EpicEditor.prototype._isPending = function () {
+    if (!this.is('loaded') || this.is('locked')) {
+      return false;
+    }
+    return _getText(this.editor) !== (this._storedContent || '');
+  }
+
+  /**
+   * Fires the dirty or clean event when the open file becomes dirty or clean
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._updateDirty = function () {
+    var dirty = this._isDirty();
+    if (dirty !== this._eeState.dirty) {
+      this._eeState.dirty = dirty;
+      this.emit(dirty ? 'dirty' : 'clean');
+    }
+  }
+
+  /**
+   * Runs a scheduled autosave. The textarea is kept synced by saving and
+   * opening its content from the draft file storage.
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._autoSave = function () {
+    var self = this;
+
+    if (self.settings.file.autoSave) {
+      self.flush();
+      return;
+    }
+
+    window.clearTimeout(self._autoSaveTimer);
+    window.clearTimeout(self._autoSaveMaxTimer);
+    self._autoSaveTimer = self._autoSaveMaxTimer = null;
+    if (self.is('loaded') && self._canSave) {
+      self.save(true);
+    }
+  }
+
+  /**
+   * Handles changes the observer hasn't reported yet right away
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._takeChanges = function () {
+    if (this._changeObserver && this._changeObserver.takeRecords().length) {
+      this._contentChanged();
+    }
+  }
+
+  /**
+   * Starts a new undo history, such as when another file is opened. Changes
+   * that haven't been reported yet are part of the new starting point.
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._resetHistory = function () {
+    if (this._changeObserver) {
+      this._changeObserver.takeRecords();
+    }
+    window.clearTimeout(this._historyTimer);
+    this._historyTimer = null;
+    this._undoStack = [];
+    this._redoStack = [];
+    this._historyState = { text: _getText(this.editor), selection: null };
+  }
+
+  /**
+   * Records a change in the undo history. The first change after a pause
+   * starts a new step, so undoing takes back a run of typing at once.
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._recordChange = function () {
+    var self = this;
+
+    if (!self._historyState) {
+      return;
+    }
+    if (!self._historyTimer) {
+      self._undoStack.push(self._historyState);
+      if (self._undoStack.length > _historyMax) {
+        self._undoStack.shift();
+      }
+      self._redoStack = [];
+    }
+    window.clearTimeout(self._historyTimer);
+    self._historyTimer = window.setTimeout(function () {
+      self._checkpoint();
+    }, _historyDelay);
+  }
+
+  /**
+   * Ends the current step of the undo history with the content and
+   * selection as they are now
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._checkpoint = function () {
+    window.clearTimeout(this._historyTimer);
+    this._historyTimer = null;
+    this._historyState = { text: _getText(this.editor), selection: _getSelection(this.editor) };
+  }
+
+  /**
+   * Puts the content and selection of a step of the undo history back. It's
+   * saved like any other change but isn't a new step itself.
+   * @param   {object} state The step
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._applyHistory = function (state) {
+    var self = this;
+
+    _setText(self.editor, state.text, self.settings.highlight);
+    if (state.selection) {
+      _setSelection(self.editor, state.selection.start, state.selection.end);
+    }
+    self._historyState = state;
+    if (self._changeObserver) {
+      self._changeObserver.takeRecords();
+    }
+    self._contentChanged(true);
+    if (self.is('preview')) {
+      self.preview();
+    }
+  }
+
+  /**
+   * Applies Markdown formatting to the selection in the editor, or takes it
+   * away again if it's already applied. Formatting is a step of its own in
+   * the undo history.
+   * @param   {string} command bold, italic, heading1 to heading6, link, image,
+   * code, quote, bulletList or numberedList
+   * @param   {string} value The address for link and image. Without one
+   * http:// is put in and selected so it can be typed over.
+   * @returns {object} EpicEditor will be returned
+   */
+  EpicEditor.prototype.format = function (command, value) {
+    var self = this
+      , state
+      , result;
+
+    if (!self.is('loaded') || self.is('locked') || _formatCommands.indexOf(command) == -1) {
+      return self;
+    }
+
+    self._takeChanges();
+    self._checkpoint();
+    state = self._historyState;
+    // Without a selection in the editor it's formatted at the end
+    result = state.selection ? _formatText(state.text, state.selection.start, state.selection.end, command, value)
+      : _formatText(state.text, state.text.length, state.text.length, command, value);
+
+    self._undoStack.push(state);
+    if (self._undoStack.length > _historyMax) {
+      self._undoStack.shift();
+    }
+    self._redoStack = [];
+    self._applyHistory({ text: result.text, selection: { start: result.start, end: result.end } });
+    return self;
+  }
+
+  /**
+   * Takes back the last change to the content, whether it was typed or made
+   * with something like importFile()
+   * @returns {object} EpicEditor will be returned
+   */
+  EpicEditor.prototype.undo = function () {
+    var self = this;
+
+    if (!self.canUndo()) {
+      return self;
+    }
+    self._checkpoint();
+    self._redoStack.push(self._historyState);
+    self._applyHistory(self._undoStack.pop());
+    self.emit('undo');
+    return self;
+  }
+
+  /**
+   * Makes a change that was taken back with undo() again
+   * @returns {object} EpicEditor will be returned
+   */
+  EpicEditor.prototype.redo = function () {
+    var self = this;
+
+    if (!self.canRedo()) {
+      return self;
+    }
+    self._checkpoint();
+    self._undoStack.push(self._historyState);
+    self._applyHistory(self._redoStack.pop());
+    self.emit('redo');
+    return self;
+  }
+
+  /**
+   * Checks if there's a change to undo
+   * @returns {Boolean}
+   */
+  EpicEditor.prototype.canUndo = function () {
+    if (!this.is('loaded')) {
+      return false;
+    }
+    this._takeChanges();
+    return this._undoStack.length > 0;
+  }
+
+  /**
+   * Checks if there's a change that was undone to redo
+   * @returns {Boolean}
+   */
+  EpicEditor.prototype.canRedo = function () {
+    if (!this.is('loaded')) {
+      return false;
+    }
+    this._takeChanges();
+    return this._redoStack.length > 0;
+  }
+
+  /**
+   * Runs an autosave that's waiting, if there is one, so changes aren't lost
+   * when the editor switches files or goes away
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._savePending = function () {
+    var self = this;
+
+    self._takeChanges();
+    if (self._autoSaveTimer) {
+      self._autoSave();
+    }
+  }
+
+  /**
+   * Saves changes that are waiting for an autosave right away, such as before
+   * the page is left or the content is sent somewhere
+   * @param   {function} callback Called with an error or null once the save
+   * has been committed, or right away if there was nothing to save
+   * @returns {object} EpicEditor will be returned
+   */
+  EpicEditor.prototype.flush = function (callback) {
+    var self = this;
+
+    // Changes made just now haven't been reported by the observer yet
+    self._takeChanges();
+
+    window.clearTimeout(self._autoSaveTimer);
+    window.clearTimeout(self._autoSaveMaxTimer);
+    self._autoSaveTimer = self._autoSaveMaxTimer = null;
+
+    if (!self.is('loaded') || !self._canSave || !self._eeState.changed) {
+      if (callback) {
+        callback.call(self, null);
+      }
+      return self;
+    }
+
+    if (self.settings.textarea) {
+      self.save(true);
+    }
+    return self.save(false, true, callback);
+  }
+
+  EpicEditor.prototype._setupTextareaSync = function () {
+    var self = this
+      , _syncTextarea;
+
+    _syncTextarea = function (_fromSave) {
+      // TODO: Figure out root cause for having to do this ||.
+      // This only happens for draft files. Probably has something to do with
+      // the fact draft files haven't been saved by the time this is called.
+      // TODO: Add test for this case.
+      // Get the file.name each time as it can change. DO NOT save this to a
+      // var outside of this closure or the editor will stop syncing when the
+      // file is changed with importFile or open.
+      self._textareaElement.value = self.exportFile(self.settings.file.name, 'text', _fromSave !== true) || self.settings.file.defaultContent;
+    }
+
+    if (typeof self.settings.textarea == 'string') {
+      self._textareaElement = document.getElementById(self.settings.textarea);
+    }
+    else if (typeof self.settings.textarea == 'object') {
+      self._textareaElement = self.settings.textarea;
+    }
+
+    // On page load, if there's content in the textarea that means one of two
+    // different things:
+    //
+    // 1. The editor didn't load and the user was writing in the textarea and
+    // now he refreshed the page or the JS loaded and the textarea now has
+    // content. If this is the case the user probably expects his content is
+    // moved into the editor and not lose what he typed.
+    //
+    // 2. The developer put content in the textarea from some server side
+    // code. In this case, the textarea will take precedence.
+    //
+    // If the developer wants drafts to be recoverable they should check if
+    // the local file in localStorage's modified date is newer than the server.
+    if (self._textareaElement.value !== '') {
+      self.importFile(self.settings.file.name, self._textareaElement.value);
+
+      // manually save draft after import so there is no delay between the
+      // import and exporting in _syncTextarea. Without this, _syncTextarea
+      // will pull the saved data from localStorage which will be <=100ms old.
+      self.save(true);
+    }
+
+    // Update the textarea on load and pull from drafts
+    _syncTextarea();
+
+    // Make sure to keep it updated
+    self.on('__update', _syncTextarea);
+    self.on('__create', _syncTextarea);
+    // A save is newer than the last draft, which is only written on autosave
+    self._syncTextareaOnSave = function () {
+      _syncTextarea(true);
+    };
+    self.on('__save', self._syncTextareaOnSave);
+  }
+
+  /**
+   * Handles another page changing the file store, such as the same editor open
+   * in another tab. If the open file changed there and has no edits here the
+   * new content is shown. If it has edits on both sides a conflict event is
+   * emitted instead and the other page's version is kept as a revision.
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._externalChange = function () {
+    var self = this
+      , name = self.settings.file.name
+      , file = self._getFileStore(name)
+      , stored = self._storedContent || ''
+      , remote
+      , local;
+
+    if (file === undefined || !self.is('loaded')) {
+      return;
+    }
+
+    remote = file.content;
+    local = _getText(self.editor);
+
+    // Only some other file changed
+    if (remote === stored) {
+      return;
+    }
+
+    if (local === stored || local === remote) {
+      _setText(self.editor, remote, self.settings.highlight);
+      self._storedContent = remote;
+      self._uncommitted = file.uncommitted === true;
+      self._conflicted = false;
+      if (self.is('preview')) {
+        self.preview();
+      }
+      self._updateDirty();
+      self.emit('refresh');
+    }
+    else {
+      self.emit('conflict', { name: name, local: { content: local }, remote: file, source: 'storage' });
+      // The other tab's content is what's stored now, so the same change
+      // isn't reported twice and the local edits count as unsaved against it
+      self._storedContent = remote;
+      self._uncommitted = file.uncommitted === true;
+      // The next save writes over it, even an autosave within the revision
+      // interval, so it's kept as a revision right away. Without revisions
+      // only save() may write over it.
+      if (self.settings.file.revisions) {
+        self._addRevision(name, file);
+      }
+      else {
+        self._conflicted = true;
+      }
+      self._updateDirty();
+    }
+  }
+
+  /**
+   * Will NOT focus the editor if the editor is still starting up AND
+   * focusOnLoad is set to false. This allows you to place this in code that
+   * gets fired during .load() without worrying about it overriding the user's
+   * option. For example use cases see preview() and edit().
+   * @returns {undefined}
+   */
+
+  // Prevent focus when the user sets focusOnLoad to false by checking if the
+  // editor is starting up AND if focusOnLoad is true
+  EpicEditor.prototype._focusExceptOnLoad = function () {
+    var self = this;
+    if ((self._eeState.startup && self.settings.focusOnLoad) || !self._eeState.startup) {
+      self.focus();
+    }
+  }
+
+  /**
+   * Will remove the editor, but not offline files
+   * @returns {object} EpicEditor will be returned
+   */
+  EpicEditor.prototype.unload = function (callback) {
+
+    // Make sure the editor isn't already unloaded.
+    if (this.is('unloaded')) {
+      throw new Error('Editor isn\'t loaded');
+    }
+
+    var self = this
+      , editor = window.parent.document.getElementById(self._instanceId);
+
+    // Don't lose changes that are still waiting for an autosave
+    self._savePending();
+
+    editor.parentNode.removeChild(editor);
+    self._eeState.loaded = false;
+    self._eeState.unloaded = true;
+    callback = callback || function () {};
+
+    if (self.settings.textarea) {
+      self.removeListener('__update');
+      self.removeListener('__save', self._syncTextareaOnSave);
+    }
+
+    if (self._changeObserver) {
+      self._changeObserver.disconnect();
+      self._changeObserver = null;
+    }
+    window.clearTimeout(self._historyTimer);
+    self._historyTimer = null;
+    window.clearTimeout(self._highlightTimer);
+    self._highlightTimer = null;
+    if (self._beforeUnloadHandler) {
+      window.removeEventListener('beforeunload', self._beforeUnloadHandler);
+      self._beforeUnloadHandler = null;
+    }
+    self._eeState.dirty = false;
+    if (self._unwatchStorage) {
+      self._unwatchStorage();
+      self._unwatchStorage = null;
+    }
+
+    callback.call(this);
+    self.emit('unload');
+    return self;
+  }
+
+  /**
+   * reflow allows you to dynamically re-fit the editor in the parent without
+   * having to unload and then reload the editor again.
+   *
+   * reflow will also emit a `reflow` event and will return the new dimensions.
+   * If it's called without params it'll return the new width and height and if
+   * it's called with just width or just height it'll just return the width or
+   * height. It's returned as an object like: { width: '100px', height: '1px' }
+   *
+   * @param {string|null} kind Can either be 'width' or 'height' or null
+   * if null, both the height and width will be resized
+   * @param {function} callback A function to fire after the reflow is finished.
+   * Will return the width / height in an obj as the first param of the callback.
+   * @returns {object} EpicEditor will be returned
+   */
+  EpicEditor.prototype.reflow = function (kind, callback) {
+    var self = this
+      , widthDiff = _outerWidth(self.element) - self.element.offsetWidth
+      , heightDiff = _outerHeight(self.element) - self.element.offsetHeight
+      , elements = [self.iframeElement, self.editorIframe, self.previewerIframe]
+      , eventData = {}
+      , newWidth
+      , newHeight;
+
+    if (typeof kind == 'function') {
+      callback = kind;
+      kind = null;
+    }
+
+    if (!callback) {
+      callback = function () {};
+    }
+
+    for (var x = 0; x < elements.length; x++) {
+      if (!kind || kind == 'width') {
+        newWidth = self.element.offsetWidth - widthDiff + 'px';
+        elements[x].style.width = newWidth;
+        self._eeState.reflowWidth = newWidth;
+        eventData.width = newWidth;
+      }
+      if (!kind || kind == 'height') {
+        newHeight = self.element.offsetHeight - heightDiff + 'px';
+        elements[x].style.height = newHeight;
+        self._eeState.reflowHeight = newHeight
+        eventData.height = newHeight;
+      }
+    }
+
+    self.emit('reflow', eventData);
+    callback.call(this, eventData);
+    return self;
+  }
+
+  /**
+   * Will take the markdown and generate a preview view based on the theme
+   * @returns {object} EpicEditor will be returned
+   */
+  EpicEditor.prototype.preview = function () {
+    var self = this
+      , x
+      , theme = self.settings.theme.preview
+      , anchors;
+
+    _replaceClass(self.getElement('wrapper'), 'epiceditor-edit-mode', 'epiceditor-preview-mode');
+
+    // Check if no CSS theme link exists
+    if (!self.previewerIframeDocument.getElementById('theme')) {
+      _insertCSSLink(theme, self.previewerIframeDocument, 'theme');
+    }
+    else if (self.previewerIframeDocument.getElementById('theme').name !== theme) {
+      self.previewerIframeDocument.getElementById('theme').href = theme;
+    }
+
+    // Save a preview draft since it might not be saved to the real file yet
+    self.save(true);
+
+    // Add the generated draft HTML into the previewer
+    self.previewer.innerHTML = self.exportFile(null, 'html', true);
+
+    // Hide the editor and display the previewer
+    if (!self.is('fullscreen')) {
+      self.editorIframe.style.left = '-999999px';
+      self.previewerIframe.style.left = '';
+      self._eeState.preview = true;
+      self._eeState.edit = false;
+      self._focusExceptOnLoad();
+    }
+
+    self.emit('preview');
+    return self;
+  }
+
+  /**
+   * Helper to focus on the editor iframe. Will figure out which iframe to
+   * focus on based on which one is active and will handle the cross browser
+   * issues with focusing on the iframe vs the document body.
+   * @returns {object} EpicEditor will be returned
+   */
+  EpicEditor.prototype.focus = function (pageload) {
+    var self = this
+      , isPreview = self.is('preview')
+      , focusElement = isPreview ? self.previewerIframeDocument.body
+        : self.editorIframeDocument.body;
+
+    if (_isFirefox() && isPreview) {
+      focusElement = self.previewerIframe;
+    }
+
+    focusElement.focus();
+    return this;
+  }
+
+  /**
+   * Puts the editor into fullscreen mode
+   * @returns {object} EpicEditor will be returned
+   */
+  EpicEditor.prototype.enterFullscreen = function (callback) {
+    callback = callback || function () {};
+    if (this.is('fullscreen')) {
+      callback.call(this);
+      return this;
+    }
+    this._goFullscreen(this.iframeElement, callback);
+    return this;
+  }
+
+  /**
+   * Closes fullscreen mode if opened
+   * @returns {object} EpicEditor will be returned
+   */
+  EpicEditor.prototype.exitFullscreen = function (callback) {
+    callback = callback || function () {};
+    if (!this.is('fullscreen')) {
+      callback.call(this);
+      return this;
+    }
+    this._exitFullscreen(this.iframeElement, callback);
+    return this;
+  }
+
+  /**
+   * Hides the preview and shows the editor again
+   * @returns {object} EpicEditor will be returned
+   */
+  EpicEditor.prototype.edit = function () {
+    var self = this;
+    _replaceClass(self.getElement('wrapper'), 'epiceditor-preview-mode', 'epiceditor-edit-mode');
+    self._eeState.preview = false;
+    self._eeState.edit = true;
+    self.editorIframe.style.left = '';
+    self.previewerIframe.style.left = '-999999px';
+    self._focusExceptOnLoad();
+    self.emit('edit');
+    return this;
+  }
+
+  /**
+   * Grabs a specificed HTML node. Use it as a shortcut to getting the iframe contents
+   * @param   {String} name The name of the node (can be document, body, editor, previewer, or wrapper)
+   * @returns {Object|Null}
+   */
+  EpicEditor.prototype.getElement = function (name) {
+    var available = {
+      "container": this.element
+    , "wrapper": this.iframe.getElementById('epiceditor-wrapper')
+    , "wrapperIframe": this.iframeElement
+    , "editor": this.editorIframeDocument
+    , "editorIframe": this.editorIframe
+    , "previewer": this.previewerIframeDocument
+    , "previewerIframe": this.previewerIframe
+    }
+
+    // Check that the given string is a possible option and verify the editor isn't unloaded
+    // without this, you'd be given a reference to an object that no longer exists in the DOM
+    if (!available[name] || this.is('unloaded')) {
+      return null;
+    }
+    else {
+      return available[name];
+    }
+  }
+
+  /**
+   * Returns a boolean of each "state" of the editor. For example "editor.is('loaded')" // returns true/false
+   * @param {String} what the state you want to check for
+   * @returns {Boolean}
+   */
+  EpicEditor.prototype.is = function (what) {
+    var self = this;
+    switch (what) {
+    case 'loaded':
+      return self._eeState.loaded;
+    case 'unloaded':
+      return self._eeState.unloaded
+    case 'preview':
+      return self._eeState.preview
+    case 'edit':
+      return self._eeState.edit;
+    case 'fullscreen':
+      return self._eeState.fullscreen;
+    case 'locked':
+      return self._eeState.locked;
+    case 'dirty':
+      return self._isDirty();
+    case 'pending':
+      return self._isPending();
+   // TODO: This "works", but the tests are saying otherwise. Come back to this
+   // and figure out how to fix it.
+   // case 'focused':
+   //   return document.activeElement == self.iframeElement;
+    default:
+      return false;
+    }
+  }
+
+  /**
+   * Unlocks an encrypted store with a passphrase and opens the current file.
+   * The first passphrase an encrypted store is unlocked with becomes its
+   * passphrase. Files that were stored before encryption was turned on are
+   * encrypted now.
+   * @param   {string} passphrase The passphrase
+   * @param   {function} callback Called with an error, such as a wrong
+   * passphrase, or null once the store is unlocked
+   * @returns {object} EpicEditor will be returned
+   */
+  EpicEditor.prototype.unlock = function (passphrase, callback) {
+    var self = this;
+    callback = callback || function () {};
+
+    if (!self.is('locked')) {
+      callback.call(self, null);
+      return self;
+    }
+
+    self._storage.unlock(passphrase, function (err, failed) {
+      var keys = self._storeKeys()
+        , value
+        , i;
+
+      if (err) {
+        self._storageError('UNLOCK_FAILED', err.message, null, err);
+        callback.call(self, err);
+        return;
+      }
+
+      // Stores of this editor that don't decrypt are reported and never
+      // written over, they may still be recovered with the right passphrase
+      self._unreadable = {};
+      for (i = 0; i < (failed || []).length; i++) {
+        if (keys.indexOf(failed[i]) != -1) {
+          self._unreadable[failed[i]] = true;
+          self._storageError('UNLOCK_FAILED', 'The store "' + failed[i] + '" could not be decrypted and was left untouched', failed[i]);
+        }
+      }
+
+      self._eeState.locked = false;
+      for (i = 0; i < keys.length; i++) {
+        value = self._storage.get(keys[i]);
+        if (value !== undefined) {
+          self._writeStore(keys[i], value);
+        }
+      }
+      self._setupStores(function (ok) {
+        // Stores that are too new, or couldn't be upgraded, stay locked
+        if (!ok) {
+          callback.call(self, new Error('The stores could not be upgraded to this version of EpicEditor'));
+          return;
+        }
+
+        if (self.is('loaded')) {
+          self.open(self.settings.file.name);
+          // The file wasn't in the editor before, so its history starts now
+          self._resetHistory();
+        }
+
+        // Only call back once everything, including stores written before
+        // encryption was turned on, is encrypted in storage
+        self._whenWritten(function () {
+          self.emit('unlock');
+          callback.call(self, null);
+        });
+      });
+    });
+    return self;
+  }
+
+  /**
+   * Saves the open file, then forgets the encryption key and clears the
+   * editor so nothing can be read until unlock() is called again
+   * @returns {object} EpicEditor will be returned
+   */
+  EpicEditor.prototype.lock = function () {
+    var self = this;
+
+    if (!self.settings.encryption || self.is('locked')) {
+      return self;
+    }
+
+    if (self.is('loaded')) {
+      self.save();
+      _setText(self.editor, '', self.settings.highlight);
+      self.previewer.innerHTML = '';
+      // Nothing that was in the editor can be undone back into it
+      self._resetHistory();
+    }
+    self._storedContent = '';
+    self._storage.lock();
+    self._unreadable = {};
+    self._eeState.locked = true;
+    self._updateDirty();
+    self.emit('lock');
+    self._updateStats();
+    return self;
+  }
+
+  /**
+   * Opens a file
+   * @param   {string} name The name of the file you want to open
+   * @returns {object} EpicEditor will be returned
+   */
+  EpicEditor.prototype.open = function (name, _pendingSaved) {
+    var self = this
+      , defaultContent = self.settings.file.defaultContent
+      , isOtherFile
+      , fileObj;
+
+    if (self.is('locked')) {
+      self._storageError('LOCKED', 'The store is locked, unlock it before opening files');
+      return this;
+    }
+
+    // Save what was typed in the file being left first, unless the caller
+    // already did before changing the store
+    if (self.is('loaded') && !_pendingSaved) {
+      self._savePending();
+    }
+
+    name = name || self.settings.file.name;
+    isOtherFile = !self.is('loaded') || name != self.settings.file.name;
+    self.settings.file.name = name;
+    // Whatever conflicted is replaced by the stored file now
+    self._conflicted = false;
+    fileObj = self.exportFile(name);
+    if (fileObj !== undefined) {
+      _setText(self.editor, fileObj, self.settings.highlight);
+      self._storedContent = fileObj;
+      self._uncommitted = self._getFile(name).uncommitted === true;
+      self.emit('read');
+    }
+    else {
+      _setText(self.editor, defaultContent, self.settings.highlight);
+      self.save(); // ensure a save
+      self.emit('create');
+    }
+    self.previewer.innerHTML = self.exportFile(null, 'html');
+
+    // Undoing shouldn't bring back another file's content, reopening the same
+    // file is a change that can be undone
+    if (isOtherFile) {
+      self._resetHistory();
+    }
+    self._updateDirty();
+    self.emit('open');
+    self._updateStats();
+    return this;
+  }
+
+  /**
+   * Saves content for offline use
+   * @param   {function} callback Called with an error or null once the storage
+   * adapter has committed the save
+   * @returns {object} EpicEditor will be returned
+   */
+  EpicEditor.prototype.save = function (_isPreviewDraft, _isAuto, callback) {
+    var self = this
+      , stored
+      , isUpdate = false
+      , isNew = false
+      , file = self.settings.file.name
+      , content = _getText(this.editor);
+
+    if (_isFunction(_isPreviewDraft)) {
+      callback = _isPreviewDraft;
+      _isPreviewDraft = false;
+    }
+
+    // Nothing is open while the store is locked
+    if (self.is('locked')) {
+      if (callback) {
+        callback.call(self, new Error('The store is locked'));
+      }
+      return this;
+    }
+
+    // After a conflict with another tab autosaves would write over its
+    // version, which nothing else keeps, so they wait for a save()
+    if (!_isPreviewDraft) {
+      if (_isAuto && self._conflicted) {
+        if (callback) {
+          callback.call(self, null);
+        }
+        return this;
+      }
+      self._conflicted = false;
+    }
+
+    // This could have been false but since we're manually saving
+    // we know it's save to start autoSaving again
+    this._canSave = true;
+
+    if (!_isPreviewDraft) {
+      self._eeState.changed = false;
+    }
+
+    // Only the file being saved is read and written, however many others
+    // there are
+    stored = self._getFile(file, _isPreviewDraft);
+
+    // If the file doesn't exist we need to create it
+    if (stored === undefined) {
+      stored = self._defaultFileSchema();
+      isNew = true;
+    }
+
+    // If it does, we need to check if the content is different and
+    // if it is, send the update event and update the timestamp
+    else if (content !== stored.content) {
+      // Keep what's about to be overwritten around as a revision
+      if (!_isPreviewDraft) {
+        self._addRevision(file, stored, _isAuto);
+      }
+      stored.modified = new Date();
+      isUpdate = true;
+    }
+    //don't bother autosaving if the content hasn't actually changed
+    else if (_isAuto) {
+      if (callback) {
+        callback.call(self, null);
+      }
+      return this;
+    }
+
+    stored.content = content;
+    if (!_isPreviewDraft) {
+      // Autosaves keep what was typed but only a save() commits it
+      if (!_isAuto) {
+        delete stored.uncommitted;
+      }
+      else if (isNew || isUpdate) {
+        stored.uncommitted = true;
+      }
+    }
+    // If storage was wiped out without EpicEditor knowing this emits an error
+    // and the index is rebuilt. A write that failed has already been reported
+    // through the error event, so nothing is announced as saved.
+    self._setFile(file, stored, _isPreviewDraft, function (err) {
+      if (err) {
+        if (callback) {
+          callback.call(self, err);
+        }
+        return;
+      }
+
+      if (!_isPreviewDraft) {
+        self._storedContent = content;
+        self._uncommitted = stored.uncommitted === true;
+        self.emit('commit');
+      }
+
+      // If it's a new file, send a create event as well as a private one for
+      // use internally.
+      if (isNew) {
+        self.emit('create');
+        self.emit('__create');
+      }
+
+      // After the content is actually changed, emit update so it emits the
+      // updated content. Also send a private event for interal use.
+      if (isUpdate) {
+        self.emit('update');
+        self.emit('__update');
+        self._updateStats();
+      }
+
+      if (_isAuto) {
+        self.emit('autosave');
+      }
+      else if (!_isPreviewDraft) {
+        self.emit('save');
+        self.emit('__save');
+      }
+
+      if (!_isPreviewDraft) {
+        self._updateDirty();
+      }
+
+      if (callback) {
+        callback.call(self, null);
+      }
+    });
+
+    return this;
+  }
+
+
+  /**
+   * Removes a page by moving it, along with its revisions, to the trash
+   * @param   {string} name The name of the file you want to remove from localStorage
+   * @returns {object} EpicEditor will be returned
+   */
+  EpicEditor.prototype.remove = function (name) {
+    var self = this
+      , file
+      , trash
+      , id = 1
+      , isOpen
+      , key;
+    name = name || self.settings.file.name;
+    isOpen = name == self.settings.file.name && self.is('loaded');
+
+    // What was typed last goes into the trash with the rest of the file
+    if (isOpen) {
+      self._savePending();
+    }
+
+    file = self._getFile(name);
+
+    if (file !== undefined) {
+      trash = self._getTrashStore();
+      for (key in trash) {
+        if (trash.hasOwnProperty(key)) {
+          id = Math.max(id, trash[key].id + 1);
+        }
+      }
+      trash[id] = {
+        id: id
+      , name: name
+      , deleted: new Date()
+      , file: file
+      , revisions: self._getRevisions(name)
+      };
+      self._setTrashStore(trash);
+    }
+
+    self._removeFile(name);
+    self._setRevisions(name, []);
+
+    if (isOpen) {
+      self._clearRemovedFile();
+    }
+
+    this.emit('remove');
+    return this;
+  };
+
+  /**
+   * Empties the editor once the open file was removed. The file keeps its
+   * name, so whatever is typed next is saved as a new file.
+   */
+  EpicEditor.prototype._clearRemovedFile = function () {
+    var self = this;
+    _setText(self.editor, '', self.settings.highlight);
+    self.previewer.innerHTML = '';
+    self._storedContent = '';
+    self._uncommitted = false;
+    self._conflicted = false;
+    self._eeState.changed = false;
+    self._resetHistory();
+    self._updateDirty();
+    self._updateStats();
+  };
+
+  /**
+   * Gets the files in the trash
+   * @returns {array} The removed files, most recently removed first. Each has
+   * the id of the trash entry, the name it had and when it was deleted along
+   * with its content, created and modified dates and meta data.
+   */
+  EpicEditor.prototype.getTrash = function () {
+    var trash = this._purgeExpiredTrash()
+      , files = []
+      , key;
+
+    for (key in trash) {
+      if (trash.hasOwnProperty(key)) {
+        files.push({
+          id: trash[key].id
+        , name: trash[key].name
+        , deleted: _toDate(trash[key].deleted)
+        , content: trash[key].file.content
+        , created: _toDate(trash[key].file.created)
+        , modified: _toDate(trash[key].file.modified)
+        , meta: trash[key].file.meta
+        });
+      }
+    }
+    return files.sort(function (a, b) {
+      return b.id - a.id;
+    });
+  }
+
+  /**
+   * Restores a file from the trash along with its revisions. A file that's
+   * already there under the same name is moved to the trash in its place.
+   * @param   {number} id The id of the trash entry
+   * @param   {string} name The name to restore it as, defaults to its old name
+   * @returns {object} EpicEditor will be returned
+   */
+  EpicEditor.prototype.restoreTrash = function (id, name) {
+    var self = this
+      , trash = self._getTrashStore()
+      , entry = trash[id];
+
+    if (entry === undefined) {
+      return self;
+    }
+    name = name || entry.name;
+
+    // What was typed goes to the file it was typed in, not over the restored one
+    self._savePending();
+
+    if (self._getFileStore(name) !== undefined) {
+      self.remove(name);
+      trash = self._getTrashStore();
+    }
+
+    self._setFile(name, entry.file);
+    self._setRevisions(name, entry.revisions);
+
+    delete trash[id];
+    self._setTrashStore(trash);
+
+    // Show the restored content if it's the file that's open
+    if (name == self.settings.file.name && self.is('loaded')) {
+      self.open(name, true);
+    }
+
+    self.emit('untrash', self.getFiles(name));
+    return self;
+  }
+
+  /**
+   * Permanently deletes a file from the trash, or empties the whole trash
+   * @param   {number} id The id of the trash entry, leave out to empty the trash
+   * @returns {object} EpicEditor will be returned
+   */
+  EpicEditor.prototype.purgeTrash = function (id) {
+    var trash = {};
+    if (id !== undefined && id !== null) {
+      trash = this._getTrashStore();
+      delete trash[id];
+    }
+    this._setTrashStore(trash);
+    this.emit('purge');
+    return this;
+  }
+
+  /**
+   * Permanently deletes files that have been in the trash longer than the
+   * trash.autoPurge option allows
+   * @returns {object} The trash store that's left
+   */
+  EpicEditor.prototype._purgeExpiredTrash = function () {
+    var maxAge = this.settings.file.trash && this.settings.file.trash.autoPurge
+      , trash = this._getTrashStore()
+      , purged = false
+      , key;
+
+    if (!maxAge) {
+      return trash;
+    }
+    for (key in trash) {
+      if (trash.hasOwnProperty(key) && new Date() - new Date(trash[key].deleted) > maxAge) {
+        delete trash[key];
+        purged = true;
+      }
+    }
+    if (purged) {
+      this._setTrashStore(trash);
+    }
+    return trash;
+  }
+
+  /**
+   * Gets the store of removed files, keyed by trash entry id
+   * @returns {object}
+   */
+  EpicEditor.prototype._getTrashStore = function () {
+    return this._readStore(this._trashLocation + this.settings.localStorageName);
+  }
+
+  /**
+   * Writes the store of removed files back to storage
+   * @param   {object} store Removed files keyed by trash entry id
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._setTrashStore = function (store) {
+    this._writeStore(this._trashLocation + this.settings.localStorageName, store);
+  }
+
+  /**
+   * Renames a file, or a folder along with everything in it. A folder can't
+   * be renamed to a path inside itself.
+   * @param   {string} oldName The old file or folder name
+   * @param   {string} newName The new file or folder name
+   * @returns {object} EpicEditor will be returned
+   */
+  EpicEditor.prototype.rename = function (oldName, newName) {
+    var self = this
+      , s
+      , folders
+      , renames = {}
+      , isFolder = self._getFile(oldName) === undefined && self._isFolder(oldName)
+      , name;
+
+    function move(store, from, to) {
+      if (store[from] !== undefined) {
+        store[to] = store[from];
+        delete store[from];
+      }
+    }
+
+    // Pending changes are saved under the old name so they're moved too
+    self._savePending();
+
+    if (isFolder) {
+      oldName = _normalizePath(oldName);
+      newName = _normalizePath(newName);
+
+      // The folder would keep renaming the files it just moved into itself
+      if (newName.indexOf(oldName + '/') === 0) {
+        throw new Error('The folder "' + oldName + '" can\'t be moved into itself');
+      }
+
+      s = self._getIndex();
+      for (name in s) {
+        if (s.hasOwnProperty(name) && name.indexOf(oldName + '/') === 0) {
+          renames[name] = newName + name.slice(oldName.length);
+        }
+      }
+
+      folders = self._getFolderStore();
+      for (name in folders) {
+        if (folders.hasOwnProperty(name) && (name == oldName || name.indexOf(oldName + '/') === 0)) {
+          move(folders, name, newName + name.slice(oldName.length));
+        }
+      }
+      self._setFolderStore(folders);
+    }
+    else {
+      renames[oldName] = newName;
+    }
+
+    for (name in renames) {
+      if (renames.hasOwnProperty(name) && renames[name] != name && self._getFile(name) !== undefined) {
+        self._setFile(renames[name], self._getFile(name));
+        self._removeFile(name);
+        self._setRevisions(renames[name], self._getRevisions(name));
+        self._setRevisions(name, []);
+      }
+    }
+
+    // A renamed file is opened, a renamed folder only reopens the open file if
+    // it was in there
+    if (!isFolder) {
+      self.open(newName, true);
+    }
+    else if (renames[self.settings.file.name] && self.is('loaded')) {
+      self.open(renames[self.settings.file.name], true);
+    }
+    return this;
+  };
+
+  /**
+   * Lists what's directly inside a folder. File names with slashes in them
+   * like "projects/roadmap" are treated as paths to files inside folders.
+   * @param   {string} path The folder to list, leave out for the top level
+   * @returns {array} The folders, then the files, each sorted by name and each
+   * an object with the name, full path and type ('folder' or 'file')
+   */
+  EpicEditor.prototype.listFolder = function (path) {
+    var self = this
+      , prefix
+      , files = self._getIndex()
+      , folders = self._getFolderStore()
+      , children = {}
+      , result = []
+      , name;
+
+    path = _normalizePath(path);
+    prefix = path ? path + '/' : '';
+
+    function add(fullName, isFolder) {
+      var rest
+        , slash;
+      if (fullName.indexOf(prefix) !== 0 || fullName == path) {
+        return;
       }
+      rest = fullName.slice(prefix.length);
+      slash = rest.indexOf('/');
+      if (slash > -1) {
+        rest = rest.slice(0, slash);
+        isFolder = true;
+      }
+      // A folder wins over a file with the same name
+      if (!children[rest] || isFolder) {
+        children[rest] = { name: rest, path: prefix + rest, type: isFolder ? 'folder' : 'file' };
+      }
+    }
+
+    for (name in files) {
+      if (files.hasOwnProperty(name)) {
+        add(name, false);
+      }
+    }
+    for (name in folders) {
+      if (folders.hasOwnProperty(name)) {
+        add(name, true);
+      }
+    }
+
+    for (name in children) {
+      if (children.hasOwnProperty(name)) {
+        result.push(children[name]);
+      }
+    }
+
+    return result.sort(function (a, b) {
+      if (a.type != b.type) {
+        return a.type == 'folder' ? -1 : 1;
+      }
+      return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
     });
+  }
 
-    utilBtns = self.iframe.getElementById('epiceditor-utilbar');
+  /**
+   * Creates a folder. Folders don't have to be created before files are saved
+   * into them, this is for keeping empty folders around.
+   * @param   {string} path The path of the folder, like "projects/2013"
+   * @returns {object} EpicEditor will be returned
+   */
+  EpicEditor.prototype.createFolder = function (path) {
+    var folders = this._getFolderStore();
+    path = _normalizePath(path);
+    if (path && folders[path] === undefined) {
+      folders[path] = { created: new Date() };
+      this._setFolderStore(folders);
+    }
+    return this;
+  }
 
-    // TODO: Move into fullscreen setup function (_setupFullscreen)
-    _elementStates = {}
-    self._goFullscreen = function (el, callback) {
-      callback = callback || function () {};
-      var wait = 0;
-      this._fixScrollbars('auto');
+  /**
+   * Removes a folder along with every file and folder inside of it
+   * @param   {string} path The path of the folder
+   * @returns {object} EpicEditor will be returned
+   */
+  EpicEditor.prototype.removeFolder = function (path) {
+    var self = this
+      , files = self._getIndex()
+      , folders = self._getFolderStore()
+      , name;
 
-      if (self.is('fullscreen')) {
-        self._exitFullscreen(el, callback);
-        return;
+    path = _normalizePath(path);
+    if (!path) {
+      return self;
+    }
+
+    for (name in files) {
+      if (files.hasOwnProperty(name) && name.indexOf(path + '/') === 0) {
+        self.remove(name);
       }
+    }
 
-      if (nativeFs) {
-        if (nativeFsWebkit) {
-          el.webkitRequestFullScreen();
-          wait = 750;
-        }
-        else if (nativeFsMoz) {
-          el.mozRequestFullScreen();
-        }
-        else if (nativeFsW3C) {
-          el.requestFullscreen();
-        }
+    for (name in folders) {
+      if (folders.hasOwnProperty(name) && (name == path || name.indexOf(path + '/') === 0)) {
+        delete folders[name];
       }
+    }
+    self._setFolderStore(folders);
+    return self;
+  }
 
-      _isInEdit = self.is('edit');
+  /**
+   * Moves a file or folder into another folder, keeping its name
+   * @param   {string} name The name of the file or folder to move
+   * @param   {string} folder The folder to move it to, leave empty for the top level
+   * @returns {object} EpicEditor will be returned
+   */
+  EpicEditor.prototype.move = function (name, folder) {
+    var baseName = name.slice(name.lastIndexOf('/') + 1);
+    folder = _normalizePath(folder);
+    return this.rename(name, folder ? folder + '/' + baseName : baseName);
+  }
+
+  /**
+   * Checks if a folder exists, either because it was created or because there
+   * are files in it
+   * @param   {string} path The path of the folder
+   * @returns {Boolean}
+   */
+  EpicEditor.prototype._isFolder = function (path) {
+    var files = this._getIndex()
+      , name;
+    path = _normalizePath(path);
+    if (!path) {
+      return false;
+    }
+    if (this._getFolderStore()[path] !== undefined) {
+      return true;
+    }
+    for (name in files) {
+      if (files.hasOwnProperty(name) && name.indexOf(path + '/') === 0) {
+        return true;
+      }
+    }
+    return false;
+  }
 
+  /**
+   * Gets the store of created folders, keyed by path
+   * @returns {object}
+   */
+  EpicEditor.prototype._getFolderStore = function () {
+    return this._readStore(this._folderLocation + this.settings.localStorageName);
+  }
 
-      // Why does this need to be in a randomly "750"ms setTimeout? WebKit's
-      // implementation of fullscreen seem to trigger the webkitfullscreenchange
-      // event _after_ everything is done. Instead, it triggers _during_ the
-      // transition. This means calculations of what's half, 100%, etc are wrong
-      // so to combat this we throw down the hammer with a setTimeout and wait
-      // to trigger our calculation code.
-      // See: https://code.google.com/p/chromium/issues/detail?id=181116
+  /**
+   * Writes the store of created folders back to storage
+   * @param   {object} store Folders keyed by path
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._setFolderStore = function (store) {
+    this._writeStore(this._folderLocation + this.settings.localStorageName, store);
+  }
+
+  /**
+   * Imports a file and it's contents and opens it
+   * @param   {string} name The name of the file you want to import (will overwrite existing files!)
+   * @param   {string} content Content of the file you want to import
+   * @param   {string} kind The kind of content you're importing: md (default),
+   * html, which gets converted to Markdown, text, which gets escaped so it isn't
+   * read as Markdown, or json as made by exportFile(name, 'json')
+   * @param   {object} meta Meta data you want to save with your file. Replaces
+   * any meta data the file had, leave it out to keep it.
+   * @returns {object} EpicEditor will be returned
+   */
+  EpicEditor.prototype.importFile = function (name, content, kind, meta) {
+    var self = this
+      , isOtherFile
+      , file
+      , imported;
+
+    name = name || self.settings.file.name;
+    content = content || '';
+    kind = kind || 'md';
+
+    switch (kind) {
+    case 'html':
+      content = _htmlToMarkdown(content);
+      break;
+    case 'text':
+      content = _escapeMarkdown(content);
+      break;
+    case 'json':
+      try {
+        imported = JSON.parse(content);
+      }
+      catch (e) {
+        self.emit('error', { code: 'PARSE_ERROR', message: 'The JSON to import into "' + name + '" could not be parsed', error: e });
+        return self;
+      }
+      // Valid JSON can still be something other than an exported file
+      if (!imported || typeof imported != 'object' || imported instanceof Array || typeof imported.content != 'string') {
+        self.emit('error', { code: 'PARSE_ERROR', message: 'The JSON to import into "' + name + '" isn\'t a file made by exportFile()' });
+        return self;
+      }
+      content = imported.content;
+      meta = meta || imported.meta;
+      break;
+    }
+  
+    // Save what was typed in the file being left first
+    if (self.is('loaded')) {
+      self._savePending();
+    }
+
+    // Set our current file to the new file and update the content
+    isOtherFile = name != self.settings.file.name;
+    self.settings.file.name = name;
+    _setText(self.editor, content, self.settings.highlight);
+
+    self.save();
+
+    // As with open(), undoing shouldn't bring back another file's content
+    if (isOtherFile) {
+      self._resetHistory();
+    }
+
+    // Keep the meta data and, for JSON, the timestamps that came with the file
+    file = self._getFile(name);
+    if ((meta || imported) && file) {
+      if (meta) {
+        file.meta = meta;
+      }
+      if (imported) {
+        file.created = imported.created || file.created;
+        file.modified = imported.modified || file.modified;
+      }
+      self._setFile(name, file);
+    }
+
+    if (self.is('fullscreen')) {
+      self.preview();
+    }
+
+    //firefox has trouble with importing and working out the size right away
+    if (self.settings.autogrow) {
       setTimeout(function () {
-        // Set the state of EE in fullscreen
-        // We set edit and preview to true also because they're visible
-        // we might want to allow fullscreen edit mode without preview (like a "zen" mode)
-        self._eeState.fullscreen = true;
-        self._eeState.edit = true;
-        self._eeState.preview = true;
+        self._autogrow();
+      }, 50);
+    }
 
-        // Cache calculations
-        var windowInnerWidth = window.innerWidth
-          , windowInnerHeight = window.innerHeight
-          , windowOuterWidth = window.outerWidth
-          , windowOuterHeight = window.outerHeight;
+    return this;
+  };
 
-        // Without this the scrollbars will get hidden when scrolled to the bottom in faux fullscreen (see #66)
-        if (!nativeFs) {
-          windowOuterHeight = window.innerHeight;
+  /**
+   * Gets the local filestore. Every file is kept under its own key so reading
+   * a single file doesn't depend on how many others there are.
+   * @param   {string} name Name of the file in the store
+   * @returns {object|undefined} the local filestore, or a specific file in the store, if a name is given
+   */
+  EpicEditor.prototype._getFileStore = function (name, _isPreviewDraft) {
+    var index
+      , store = {}
+      , fileName
+      , file;
+
+    if (name) {
+      return this._getFile(name, _isPreviewDraft);
+    }
+
+    index = this._getIndex();
+    for (fileName in index) {
+      if (index.hasOwnProperty(fileName)) {
+        file = this._getFile(fileName, _isPreviewDraft);
+        if (file !== undefined) {
+          store[fileName] = file;
         }
+      }
+    }
+    return store;
+  }
 
-        // This MUST come first because the editor is 100% width so if we change the width of the iframe or wrapper
-        // the editor's width wont be the same as before
-        _elementStates.editorIframe = _saveStyleState(self.editorIframe, 'save', {
-          'width': windowOuterWidth / 2 + 'px'
-        , 'height': windowOuterHeight + 'px'
-        , 'float': 'left' // Most browsers
-        , 'cssFloat': 'left' // FF
-        , 'styleFloat': 'left' // Older IEs
-        , 'display': 'block'
-        , 'position': 'static'
-        , 'left': ''
-        });
+  /**
+   * Writes the local filestore back to storage. Only files that changed are
+   * written and files that aren't in the store anymore are removed, so prefer
+   * _setFile() when only one file changed.
+   * @param   {object} store Every file in the store keyed by name
+   * @param   {function} callback Called with an error or null once every write
+   * has been committed
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._setFileStore = function (store, callback) {
+    var self = this
+      , index = self._getIndex()
+      , newIndex = {}
+      , writes = []
+      , removes = []
+      , indexChanged = false
+      , current
+      , done
+      , name
+      , i;
 
-        // the previewer
-        _elementStates.previewerIframe = _saveStyleState(self.previewerIframe, 'save', {
-          'width': windowOuterWidth / 2 + 'px'
-        , 'height': windowOuterHeight + 'px'
-        , 'float': 'right' // Most browsers
-        , 'cssFloat': 'right' // FF
-        , 'styleFloat': 'right' // Older IEs
-        , 'display': 'block'
-        , 'position': 'static'
-        , 'left': ''
-        });
+    for (name in store) {
+      if (store.hasOwnProperty(name)) {
+        current = self._getFile(name);
+        if (current === undefined || JSON.stringify(current) != JSON.stringify(store[name])) {
+          writes.push(name);
+        }
+        indexChanged = indexChanged || !index[name];
+        newIndex[name] = true;
+      }
+    }
+    for (name in index) {
+      if (index.hasOwnProperty(name) && !store.hasOwnProperty(name)) {
+        removes.push(name);
+        indexChanged = true;
+      }
+    }
 
-        // Setup the containing element CSS for fullscreen
-        _elementStates.element = _saveStyleState(self.element, 'save', {
-          'position': 'fixed'
-        , 'top': '0'
-        , 'left': '0'
-        , 'width': '100%'
-        , 'z-index': '9999' // Most browsers
-        , 'zIndex': '9999' // Firefox
-        , 'border': 'none'
-        , 'margin': '0'
-        // Should use the base styles background!
-        , 'background': _getStyle(self.editor, 'background-color') // Try to hide the site below
-        , 'height': windowInnerHeight + 'px'
-        });
+    done = _after(writes.length + removes.length + (indexChanged ? 1 : 0), callback);
+    for (i = 0; i < writes.length; i++) {
+      self._writeStore(self._fileKey(writes[i]), store[writes[i]], done);
+    }
+    for (i = 0; i < removes.length; i++) {
+      self._removeStore(self._fileKey(removes[i]), done);
+      self._removeStore(self._fileKey(removes[i], true));
+    }
+    if (indexChanged) {
+      self._writeStore(self._storageKey(), newIndex, done);
+    }
+  }
 
-        // The iframe element
-        _elementStates.iframeElement = _saveStyleState(self.iframeElement, 'save', {
-          'width': windowOuterWidth + 'px'
-        , 'height': windowInnerHeight + 'px'
-        });
+  /**
+   * Gets a single file
+   * @param   {string} name Name of the file
+   * @returns {object|undefined} The file or undefined if it doesn't exist
+   */
+  EpicEditor.prototype._getFile = function (name, _isPreviewDraft) {
+    var key = this._fileKey(name, _isPreviewDraft)
+      , file;
 
-        // ...Oh, and hide the buttons and prevent scrolling
-        utilBtns.style.visibility = 'hidden';
+    // A file without a preview draft is previewed as it was saved
+    if (_isPreviewDraft && this._storage.get(key) === undefined) {
+      key = this._fileKey(name);
+    }
+    if (this.is('locked') || this._storage.get(key) === undefined) {
+      return undefined;
+    }
 
-        if (!nativeFs) {
-          document.body.style.overflow = 'hidden';
-        }
+    file = this._readStore(key);
+
+    // An unreadable file has been moved aside by _readStore
+    if (typeof file.content != 'string') {
+      this._removeStore(key);
+      return undefined;
+    }
+    return file;
+  }
 
-        self.preview();
+  /**
+   * Writes a single file, adding it to the index if it's new
+   * @param   {string} name Name of the file
+   * @param   {object} file The file
+   * @param   {function} callback Called with an error or null once the write
+   * has been committed
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._setFile = function (name, file, _isPreviewDraft, callback) {
+    var self = this
+      , key = self._fileKey(name, _isPreviewDraft)
+      , index
+      , done;
 
-        self.focus();
+    if (_isFunction(_isPreviewDraft)) {
+      callback = _isPreviewDraft;
+      _isPreviewDraft = false;
+    }
 
-        self.emit('fullscreenenter');
+    // Only a new file, or any file if the index has gone missing, needs the
+    // index to be touched
+    if (!_isPreviewDraft && (self._storage.get(key) === undefined || self._storage.get(self._storageKey()) === undefined)) {
+      index = self._getIndex();
+    }
 
-        callback.call(self);
-      }, wait);
+    if (index && !index[name]) {
+      index[name] = true;
+      done = _after(2, callback);
+      self._writeStore(self._storageKey(), index, done);
+    }
+    else {
+      done = _after(1, callback);
+    }
+    self._writeStore(key, file, done);
+  }
 
-    };
+  /**
+   * Removes a single file, along with its preview draft, and takes it out of
+   * the index
+   * @param   {string} name Name of the file
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._removeFile = function (name) {
+    var index = this._getIndex()
+      , file = this._getFile(name)
+      , deleted;
+
+    // A file the sync backend has seen is remembered so the next sync removes
+    // it there as well, instead of pulling it back
+    if (file && file.revision) {
+      deleted = this._getDeletedStore();
+      deleted[name] = file.revision;
+      this._setDeletedStore(deleted);
+    }
+    this._removeStore(this._fileKey(name));
+    this._removeStore(this._fileKey(name, true));
+    if (index[name]) {
+      delete index[name];
+      this._writeStore(this._storageKey(), index);
+    }
+  }
 
-    self._exitFullscreen = function (el, callback) {
-      callback = callback || function () {};
-      this._fixScrollbars();
+  /**
+   * Gets the index of file names. If it has gone missing it's rebuilt from the
+   * files that are left instead of losing track of them.
+   * @returns {object} true for every file, keyed by name
+   */
+  EpicEditor.prototype._getIndex = function () {
+    var self = this
+      , key = self._storageKey()
+      , prefix = self._fileKey('')
+      , index = {}
+      , files
+      , i;
+
+    if (self.is('locked') || self._storage.get(key) !== undefined) {
+      return self._readStore(key, false, _isIndex);
+    }
 
-      _saveStyleState(self.element, 'apply', _elementStates.element);
-      _saveStyleState(self.iframeElement, 'apply', _elementStates.iframeElement);
-      _saveStyleState(self.editorIframe, 'apply', _elementStates.editorIframe);
-      _saveStyleState(self.previewerIframe, 'apply', _elementStates.previewerIframe);
+    files = self._keysWithPrefix(prefix);
+    for (i = 0; i < files.length; i++) {
+      index[files[i].slice(prefix.length)] = true;
+    }
+    self._storageError('MISSING_STORE', 'The store "' + key + '" is missing, rebuilding it from the files that are left', key);
+    self._writeStore(key, index);
+    return index;
+  }
 
-      // We want to always revert back to the original styles in the CSS so,
-      // if it's a fluid width container it will expand on resize and not get
-      // stuck at a specific width after closing fullscreen.
-      self.element.style.width = self._eeState.reflowWidth ? self._eeState.reflowWidth : '';
-      self.element.style.height = self._eeState.reflowHeight ? self._eeState.reflowHeight : '';
+  /**
+   * Gets the storage key a file is kept under
+   * @param   {string} name Name of the file
+   * @returns {string}
+   */
+  EpicEditor.prototype._fileKey = function (name, _isPreviewDraft) {
+    return (_isPreviewDraft ? this._previewDraftLocation : '') + this._fileLocation + encodeURIComponent(this.settings.localStorageName) + '/' + name;
+  }
 
-      utilBtns.style.visibility = 'visible';
+  /**
+   * Gets the storage key the past revisions of a file are kept under
+   * @param   {string} name Name of the file
+   * @returns {string}
+   */
+  EpicEditor.prototype._revisionKey = function (name) {
+    return this._revisionLocation + encodeURIComponent(this.settings.localStorageName) + '/' + name;
+  }
 
-      // Put the editor back in the right state
-      // TODO: This is ugly... how do we make this nicer?
-      // setting fullscreen to false here prevents the
-      // native fs callback from calling this function again
-      self._eeState.fullscreen = false;
+  /**
+   * Reads and parses a JSON store kept under the given key. A store that can't
+   * be parsed, or that isn't shaped like a store, is moved aside under a
+   * __corrupt- key and replaced with an empty one so a single bad write doesn't
+   * break every load after it. Either way an error event is emitted.
+   * Compressed stores are decompressed first.
+   * @param   {string} key The storage key of the store
+   * @param   {boolean} isRequired Whether the store going missing is an error
+   * @param   {function} validate Optional check of the parsed store's contents
+   * @returns {object} The parsed store
+   */
+  EpicEditor.prototype._readStore = function (key, isRequired, validate) {
+    var self = this
+      , raw
+      , store;
 
-      if (!nativeFs) {
-        document.body.style.overflow = 'auto';
-      }
-      else {
-        if (nativeFsWebkit) {
-          document.webkitCancelFullScreen();
-        }
-        else if (nativeFsMoz) {
-          document.mozCancelFullScreen();
-        }
-        else if (nativeFsW3C) {
-          document.exitFullscreen();
-        }
-      }
+    // A locked store has nothing to read yet, which isn't an error. Only the
+    // migrations may read it while they wait for an asynchronous adapter.
+    if (self.is('locked') && !self._migrating) {
+      return {};
+    }
 
-      if (_isInEdit) {
-        self.edit();
-      }
-      else {
-        self.preview();
+    raw = self._storage.get(key);
+    if (raw === undefined) {
+      if (isRequired) {
+        self._storageError('MISSING_STORE', 'The store "' + key + '" is missing, starting a new one', key);
+        self._writeStore(key, {});
       }
+      return {};
+    }
 
-      self.reflow();
+    try {
+      store = self._parseStore(raw);
+    }
+    catch (e) {
+      self._quarantineStore(key, raw);
+      self._storageError('PARSE_ERROR', 'The store "' + key + '" could not be parsed, starting a new one', key, e);
+      return {};
+    }
 
-      self.emit('fullscreenexit');
+    if (!store || typeof store != 'object' || store instanceof Array || (validate && !validate(store))) {
+      self._quarantineStore(key, raw);
+      self._storageError('CORRUPTED_STORE', 'The store "' + key + '" is corrupted, starting a new one', key);
+      return {};
+    }
 
-      callback.call(self);
-    };
+    return store;
+  }
 
-    // This setups up live previews by triggering preview() IF in fullscreen on keyup
-    self.editor.addEventListener('keyup', function () {
-      if (keypressTimer) {
-        window.clearTimeout(keypressTimer);
-      }
-      keypressTimer = window.setTimeout(function () {
-        if (self.is('fullscreen')) {
-          self.preview();
-        }
-      }, 250);
-    });
-    
-    fsElement = self.iframeElement;
+  /**
+   * Parses the raw value of a store, decompressing it first if it's compressed
+   * @param   {string} raw The value kept in storage
+   * @returns {*} The parsed value, throws if it can't be parsed
+   */
+  EpicEditor.prototype._parseStore = function (raw) {
+    if (raw.indexOf(this._compressedMarker) === 0) {
+      raw = _decompress(raw.slice(this._compressedMarker.length));
+    }
+    return JSON.parse(raw);
+  }
 
-    // Sets up the onclick event on utility buttons
-    utilBtns.addEventListener('click', function (e) {
-      var targetClass = e.target.className;
-      if (targetClass.indexOf('epiceditor-toggle-preview-btn') > -1) {
-        self.preview();
-      }
-      else if (targetClass.indexOf('epiceditor-toggle-edit-btn') > -1) {
-        self.edit();
-      }
-      else if (targetClass.indexOf('epiceditor-fullscreen-btn') > -1) {
-        self._goFullscreen(fsElement);
-      }
-    });
+  /**
+   * Serializes and writes a store to the given key. Failed writes, such as
+   * going over the storage quota, are emitted as an error event.
+   * @param   {string} key The storage key of the store
+   * @param   {object|string} store The store to write, or its serialized form
+   * @param   {function} callback Called with an error or null once the write
+   * has been committed. Synchronous adapters commit straight away, adapters
+   * flagged as async call back on their own.
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._writeStore = function (key, store, callback) {
+    var self = this
+      , value = typeof store == 'string' ? store : JSON.stringify(store);
 
-    // Sets up the NATIVE fullscreen editor/previewer for WebKit
-    if (nativeFsWebkit) {
-      document.addEventListener('webkitfullscreenchange', function () {
-        if (!document.webkitIsFullScreen && self._eeState.fullscreen) {
-          self._exitFullscreen(fsElement);
-        }
-      }, false);
+    // Stores are read back whether they're compressed or not, so turning
+    // compression on or off never loses anything
+    if (self.settings.compression && value.indexOf(self._compressedMarker) !== 0) {
+      value = self._compressedMarker + _compress(value);
     }
-    else if (nativeFsMoz) {
-      document.addEventListener('mozfullscreenchange', function () {
-        if (!document.mozFullScreen && self._eeState.fullscreen) {
-          self._exitFullscreen(fsElement);
+
+    function done(err) {
+      if (err) {
+        if (_isQuotaError(err)) {
+          self._storageError('QUOTA_EXCEEDED', 'There is not enough room left to save "' + key + '"', key, err);
         }
-      }, false);
-    }
-    else if (nativeFsW3C) {
-      document.addEventListener('fullscreenchange', function () {
-        if (document.fullscreenElement == null && self._eeState.fullscreen) {
-          self._exitFullscreen(fsElement);
+        else {
+          self._storageError('WRITE_FAILED', 'Writing "' + key + '" failed', key, err);
         }
-      }, false);
+      }
+      if (callback) {
+        callback(err || null);
+      }
     }
 
-    // TODO: Move utilBar stuff into a utilBar setup function (_setupUtilBar)
-    utilBar = self.iframe.getElementById('epiceditor-utilbar');
-
-    // Hide it at first until they move their mouse
-    if (self.settings.button.bar !== true) {
-      utilBar.style.display = 'none';
+    // Never overwrite the real store with the empty one a locked store reads as
+    if (self.is('locked') && !self._migrating) {
+      self._storageError('LOCKED', 'The store is locked, "' + key + '" was not written', key);
+      if (callback) {
+        callback(new Error('The store is locked'));
+      }
+      return;
     }
 
-    utilBar.addEventListener('mouseover', function () {
-      if (utilBarTimer) {
-        clearTimeout(utilBarTimer);
+    // Same for a store that couldn't be decrypted, which was already reported
+    if (self._unreadable[key]) {
+      if (callback) {
+        callback(new Error('The store "' + key + '" could not be decrypted'));
       }
-    });
+      return;
+    }
 
-    function utilBarHandler(e) {
-      if (self.settings.button.bar !== "auto") {
-        return;
-      }
-      // Here we check if the mouse has moves more than 5px in any direction before triggering the mousemove code
-      // we do this for 2 reasons:
-      // 1. On Mac OS X lion when you scroll and it does the iOS like "jump" when it hits the top/bottom of the page itll fire off
-      //    a mousemove of a few pixels depending on how hard you scroll
-      // 2. We give a slight buffer to the user in case he barely touches his touchpad or mouse and not trigger the UI
-      if (Math.abs(mousePos.y - e.pageY) >= 5 || Math.abs(mousePos.x - e.pageX) >= 5) {
-        utilBar.style.display = 'block';
-        // if we have a timer already running, kill it out
-        if (utilBarTimer) {
-          clearTimeout(utilBarTimer);
-        }
+    if (self._storage.async) {
+      self._storage.set(key, value, self._trackWrite(done));
+      return;
+    }
 
-        // begin a new timer that hides our object after 1000 ms
-        utilBarTimer = window.setTimeout(function () {
-          utilBar.style.display = 'none';
-        }, 1000);
-      }
-      mousePos = { y: e.pageY, x: e.pageX };
+    try {
+      self._storage.set(key, value);
     }
- 
-    // Add keyboard shortcuts for convenience.
-    function shortcutHandler(e) {
-      if (e.keyCode == self.settings.shortcut.modifier) { isMod = true } // check for modifier press(default is alt key), save to var
-      if (e.keyCode == 17) { isCtrl = true } // check for ctrl/cmnd press, in order to catch ctrl/cmnd + s
-      if (e.keyCode == 18) { isCtrl = false }
+    catch (e) {
+      done(e);
+      return;
+    }
+    done(null);
+  }
 
-      // Check for alt+p and make sure were not in fullscreen - default shortcut to switch to preview
-      if (isMod === true && e.keyCode == self.settings.shortcut.preview && !self.is('fullscreen')) {
-        e.preventDefault();
-        if (self.is('edit') && self._previewEnabled) {
-          self.preview();
-        }
-        else if (self._editEnabled) {
-          self.edit();
-        }
+  /**
+   * Removes the store kept under the given key
+   * @param   {string} key The storage key of the store
+   * @param   {function} callback Called with an error or null once the removal
+   * has been committed
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._removeStore = function (key, callback) {
+    var self = this;
+
+    function done(err) {
+      if (err) {
+        self._storageError('WRITE_FAILED', 'Removing "' + key + '" failed', key, err);
       }
-      // Check for alt+f - default shortcut to make editor fullscreen
-      if (isMod === true && e.keyCode == self.settings.shortcut.fullscreen && self._fullscreenEnabled) {
-        e.preventDefault();
-        self._goFullscreen(fsElement);
+      if (callback) {
+        callback(err || null);
       }
+    }
 
-      // Set the modifier key to false once *any* key combo is completed
-      // or else, on Windows, hitting the alt key will lock the isMod state to true (ticket #133)
-      if (isMod === true && e.keyCode !== self.settings.shortcut.modifier) {
-        isMod = false;
+    if (self.is('locked') && !self._migrating) {
+      self._storageError('LOCKED', 'The store is locked, "' + key + '" was not removed', key);
+      if (callback) {
+        callback(new Error('The store is locked'));
       }
+      return;
+    }
 
-      // When a user presses "esc", revert everything!
-      if (e.keyCode == 27 && self.is('fullscreen')) {
-        self._exitFullscreen(fsElement);
+    if (self._unreadable[key]) {
+      if (callback) {
+        callback(new Error('The store "' + key + '" could not be decrypted'));
       }
+      return;
+    }
 
-      // Check for ctrl + s (since a lot of people do it out of habit) and make it do nothing
-      if (isCtrl === true && e.keyCode == 83) {
-        self.save();
-        e.preventDefault();
-        isCtrl = false;
-      }
+    if (self._storage.async) {
+      self._storage.remove(key, self._trackWrite(done));
+      return;
+    }
 
-      // Do the same for Mac now (metaKey == cmd).
-      if (e.metaKey && e.keyCode == 83) {
-        self.save();
-        e.preventDefault();
+    try {
+      self._storage.remove(key);
+    }
+    catch (e) {
+      done(e);
+      return;
+    }
+    done(null);
+  }
+
+  /**
+   * Counts a write to an asynchronous adapter as pending until it calls back
+   * @param   {function} done Called with the result of the write
+   * @returns {function} The callback to hand the adapter
+   */
+  EpicEditor.prototype._trackWrite = function (done) {
+    var self = this;
+    self._pendingWrites++;
+    return function (err) {
+      var waiting;
+      self._pendingWrites--;
+      done(err);
+      if (self._pendingWrites === 0) {
+        waiting = self._writeWaiters;
+        self._writeWaiters = [];
+        while (waiting.length) {
+          waiting.shift()();
+        }
       }
+    };
+  }
 
+  /**
+   * Calls back once every pending write to an asynchronous adapter has been
+   * committed, straight away if there are none
+   * @param   {function} callback Called with no arguments
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._whenWritten = function (callback) {
+    if (this._pendingWrites === 0) {
+      callback();
     }
-    
-    function shortcutUpHandler(e) {
-      if (e.keyCode == self.settings.shortcut.modifier) { isMod = false }
-      if (e.keyCode == 17) { isCtrl = false }
+    else {
+      this._writeWaiters.push(callback);
+    }
+  }
+
+  /**
+   * Moves an unreadable store aside so it can be inspected or recovered by
+   * hand, and puts an empty store in its place. Each copy gets its own
+   * timestamped key so a later failure never overwrites an earlier one.
+   * @param   {string} key The storage key of the store
+   * @param   {string} raw The unreadable contents of the store
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._quarantineStore = function (key, raw) {
+    var self = this
+      , stamp = self._corruptLocation + key + '-' + new Date().getTime()
+      , corruptKey = stamp
+      , i = 1;
+
+    while (self._storage.get(corruptKey) !== undefined) {
+      corruptKey = stamp + '-' + i++;
     }
 
-    function pasteHandler(e) {
-      var content;
-      if (e.clipboardData) {
-        //FF 22, Webkit, "standards"
-        e.preventDefault();
-        content = e.clipboardData.getData("text/plain");
-        self.editorIframeDocument.execCommand("insertText", false, content);
+    // The raw blob may be what pushed storage over its quota in the first
+    // place, so failing to copy it is reported but doesn't stop the recovery
+    function done(err) {
+      if (err) {
+        self._storageError(_isQuotaError(err) ? 'QUOTA_EXCEEDED' : 'WRITE_FAILED', 'The unreadable store "' + key + '" could not be copied to "' + corruptKey + '"', corruptKey, err);
       }
-      else if (window.clipboardData) {
-        //IE, "nasty"
-        e.preventDefault();
-        content = window.clipboardData.getData("Text");
-        content = content.replace(/</g, '&lt;');
-        content = content.replace(/>/g, '&gt;');
-        content = content.replace(/\n/g, '<br>');
-        content = content.replace(/\r/g, ''); //fuck you, ie!
-        content = content.replace(/<br>\s/g, '<br>&nbsp;')
-        content = content.replace(/\s\s\s/g, '&nbsp; &nbsp;')
-        content = content.replace(/\s\s/g, '&nbsp; ')
-        self.editorIframeDocument.selection.createRange().pasteHTML(content);
+    }
+
+    if (self._storage.async) {
+      self._storage.set(corruptKey, raw, done);
+    }
+    else {
+      try {
+        self._storage.set(corruptKey, raw);
+      }
+      catch (e) {
+        done(e);
       }
     }
+    self._writeStore(key, {});
+  }
 
-    // Hide and show the util bar based on mouse movements
-    eventableIframes = [self.previewerIframeDocument, self.editorIframeDocument];
-    
-    for (i = 0; i < eventableIframes.length; i++) {
-      eventableIframes[i].addEventListener('mousemove', function (e) {
-        utilBarHandler(e);
-      });
-      eventableIframes[i].addEventListener('scroll', function (e) {
-        utilBarHandler(e);
-      });
-      eventableIframes[i].addEventListener('keyup', function (e) {
-        shortcutUpHandler(e);
-      });
-      eventableIframes[i].addEventListener('keydown', function (e) {
-        shortcutHandler(e);
-      });
-      eventableIframes[i].addEventListener('paste', function (e) {
-        pasteHandler(e);
-      });
+  /**
+   * Emits a storage error through the error event
+   * @param   {string} code One of QUOTA_EXCEEDED, CORRUPTED_STORE, MISSING_STORE, PARSE_ERROR, WRITE_FAILED, LOCKED, UNLOCK_FAILED, SCHEMA_TOO_NEW or MIGRATION_FAILED
+   * @param   {string} message A human readable description
+   * @param   {string} key The storage key the error happened on
+   * @param   {object} error The original exception, if there was one
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._storageError = function (code, message, key, error) {
+    var err =
+      { code: code
+      , message: message
+      , key: key
+      , error: error
+      };
+    if (this._holdErrors) {
+      this._heldErrors.push(err);
+      return;
     }
+    this.emit('error', err);
+  }
 
-    // Save the document every 100ms by default
-    // TODO: Move into autosave setup function (_setupAutoSave)
-    if (self.settings.file.autoSave) {
-      self._saveIntervalTimer = window.setInterval(function () {
-        if (!self._canSave) {
+  /**
+   * Runs every migration the stores haven't been through yet and records the
+   * schema version they're at now. Stores written by a newer version of
+   * EpicEditor than this one are left alone.
+   * @param   {function} callback Called with false if the stores are too new,
+   * or couldn't be upgraded, to be used, or true. With an asynchronous adapter
+   * that can be once what the migrations wrote has been committed.
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._migrate = function (callback) {
+    var self = this
+      , key = self._schemaLocation + self.settings.localStorageName
+      , version = self._readStore(key).version || 0;
+
+    function run(i) {
+      if (i == _migrations.length) {
+        self._writeStore(key, { version: _migrations.length });
+        callback(true);
+        return;
+      }
+      _migrations[i].call(self, function (ok) {
+        // A migration that couldn't finish, usually for lack of room, leaves
+        // the stores at the last version that was reached
+        if (ok === false) {
+          self._storageError('MIGRATION_FAILED', 'The stores could not be upgraded to schema ' + (i + 1) + ' and were left as they were', key);
+          if (i > version) {
+            self._writeStore(key, { version: i });
+          }
+          callback(false);
           return;
         }
-        self.save(false, true);
-      }, self.settings.file.autoSave);
+        run(i + 1);
+      });
     }
 
-    // Update a textarea automatically if a textarea is given so you don't need
-    // AJAX to submit a form and instead fall back to normal form behavior
-    if (self.settings.textarea) {
-      self._setupTextareaSync();
+    if (version > _migrations.length) {
+      self._storageError('SCHEMA_TOO_NEW', 'The stores were written by a newer version of EpicEditor (schema ' + version + ')', key);
+      callback(false);
+      return;
+    }
+    if (version == _migrations.length) {
+      callback(true);
+      return;
     }
 
-    window.addEventListener('resize', function () {
-      // If NOT webkit, and in fullscreen, we need to account for browser resizing
-      // we don't care about webkit because you can't resize in webkit's fullscreen
-      if (self.is('fullscreen')) {
-        _applyStyles(self.iframeElement, {
-          'width': window.outerWidth + 'px'
-        , 'height': window.innerHeight + 'px'
-        });
+    // A new workspace starts out at the latest version
+    if (self._storage.get(self._storageKey()) === undefined) {
+      self._writeStore(key, { version: _migrations.length });
+      callback(true);
+      return;
+    }
 
-        _applyStyles(self.element, {
-          'height': window.innerHeight + 'px'
-        });
+    run(version);
+  }
 
-        _applyStyles(self.previewerIframe, {
-          'width': window.outerWidth / 2 + 'px'
-        , 'height': window.innerHeight + 'px'
-        });
+  /**
+   * Gets the keys of every store this editor keeps, other than preview drafts
+   * @returns {array}
+   */
+  EpicEditor.prototype._storeKeys = function () {
+    var name = this.settings.localStorageName;
+    return [this._storageKey(), this._folderLocation + name, this._trashLocation + name, this._deletedLocation + name, this._schemaLocation + name]
+      .concat(this._keysWithPrefix(this._fileKey('')))
+      .concat(this._keysWithPrefix(this._revisionKey('')));
+  }
 
-        _applyStyles(self.editorIframe, {
-          'width': window.outerWidth / 2 + 'px'
-        , 'height': window.innerHeight + 'px'
-        });
-      }
-      // Makes the editor support fluid width when not in fullscreen mode
-      else if (!self.is('fullscreen')) {
-        self.reflow();
-      }
+  /**
+   * Gets every storage key that starts with the given prefix
+   * @param   {string} prefix The prefix
+   * @returns {array}
+   */
+  EpicEditor.prototype._keysWithPrefix = function (prefix) {
+    return this._storage.list().filter(function (key) {
+      return key.indexOf(prefix) === 0;
     });
+  }
 
-    // Set states before flipping edit and preview modes
-    self._eeState.loaded = true;
-    self._eeState.unloaded = false;
+  /**
+   * Gets the storage key the filestore is kept under
+   * @returns {string}
+   */
+  EpicEditor.prototype._storageKey = function (_isPreviewDraft) {
+    return (_isPreviewDraft ? this._previewDraftLocation : '') + this.settings.localStorageName;
+  }
 
-    if (self.is('preview')) {
-      self.preview();
-    }
-    else {
-      self.edit();
+  /**
+   * Exports a file as a string in a supported format
+   * @param   {string} name Name of the file you want to export (case sensitive)
+   * @param   {string} kind Kind of file you want the content in (currently supports html, document, json, raw and text, default is the format the browser "wants")
+   * @returns {string|undefined}  The content of the file in the content given or undefined if it doesn't exist
+   */
+  EpicEditor.prototype.exportFile = function (name, kind, _isPreviewDraft) {
+    var self = this
+      , file
+      , content;
+
+    name = name || self.settings.file.name;
+    kind = kind || 'text';
+   
+    file = self._getFileStore(name, _isPreviewDraft);
+
+    // If the file doesn't exist just return early with undefined
+    if (file === undefined) {
+      return;
     }
 
-    self.iframe.close();
-    self._eeState.startup = false;
+    content = file.content;
+   
+    switch (kind) {
+    case 'html':
+      return self.settings.parser(content);
+    case 'document':
+      return '<!DOCTYPE html>\n' +
+        '<html>\n' +
+        '<head>\n' +
+        '<meta charset="utf-8">\n' +
+        '<title>' + _escapeHTML(self._documentTitle(name, file)) + '</title>\n' +
+        '<style>\n' + self._previewThemeCSS() + '\n</style>\n' +
+        '</head>\n' +
+        '<body>\n' +
+        '<div id="epiceditor-preview">\n' + self.settings.parser(content) + '\n</div>\n' +
+        '</body>\n' +
+        '</html>\n';
+    case 'text':
+      return content;
+    case 'json':
+      return JSON.stringify(_withoutSyncState(file));
+    case 'raw':
+      return content;
+    default:
+      return content;
+    }
+  }
 
-    if (self.settings.autogrow) {
-      self._fixScrollbars();
+  /**
+   * Works out a title for an exported document: the title in the file's meta
+   * data, else its first heading, else the file's name without its folder
+   * @param   {string} name Name of the file
+   * @param   {object} file The file
+   * @returns {string}
+   */
+  EpicEditor.prototype._documentTitle = function (name, file) {
+    var content = file.content
+      , atx = content.match(/^#{1,6}[ \t]*(.+?)[ \t#]*$/m)
+      , setext = content.match(/^(\S.*)\n(?:=+|-+)[ \t]*$/m)
+      , heading = atx && (!setext || atx.index < setext.index) ? atx : setext;
+
+    if (file.meta && file.meta.title) {
+      return file.meta.title;
+    }
+    if (heading) {
+      return heading[1];
+    }
+    return name.slice(name.lastIndexOf('/') + 1);
+  }
 
-      boundAutogrow = function () {
-        setTimeout(function () {
-          self._autogrow();
-        }, 1);
-      };
+  /**
+   * Gets the CSS of the preview theme so it can be inlined, from the
+   * stylesheet the previewer already loaded. A theme that isn't loaded, or
+   * that the browser won't let us read, is reported through the error event.
+   * @returns {string} The CSS, or an empty string if it couldn't be had
+   */
+  EpicEditor.prototype._previewThemeCSS = function () {
+    var self = this
+      , theme = self.settings.theme.preview
+      , link = self.previewerIframeDocument ? self.previewerIframeDocument.getElementById('theme') : null
+      , css = []
+      , rules
+      , i;
+
+    if (!link || !link.sheet || link.getAttribute('href') != theme) {
+      self.emit('error', { code: 'THEME_UNAVAILABLE', message: 'The preview theme "' + theme + '" isn\'t loaded, the document was exported without it' });
+      return '';
+    }
 
-      //for if autosave is disabled or very slow
-      ['keydown', 'keyup', 'paste', 'cut'].forEach(function (ev) {
-        self.getElement('editor').addEventListener(ev, boundAutogrow);
-      });
-      
-      self.on('__update', boundAutogrow);
-      self.on('edit', function () {
-        setTimeout(boundAutogrow, 50)
-      });
-      self.on('preview', function () {
-        setTimeout(boundAutogrow, 50)
-      });
+    // Reading the rules of a stylesheet from another domain throws
+    try {
+      rules = link.sheet.cssRules;
+    }
+    catch (e) {
+      self.emit('error', { code: 'THEME_UNAVAILABLE', message: 'The preview theme "' + theme + '" can\'t be read, the document was exported without it', error: e });
+      return '';
+    }
 
-      //for browsers that have rendering delays
-      setTimeout(boundAutogrow, 50);
-      boundAutogrow();
+    for (i = 0; i < rules.length; i++) {
+      css.push(rules[i].cssText);
     }
+    return css.join('\n');
+  }
 
-    // The callback and call are the same thing, but different ways to access them
-    callback.call(this);
-    this.emit('load');
-    return this;
+  /**
+   * Backs up every file, with its content, timestamps and meta data, and every
+   * folder into a single archive that importAll() can restore
+   * @returns {string} The archive as JSON
+   */
+  EpicEditor.prototype.exportAll = function () {
+    var files = this.getFiles()
+      , name;
+
+    for (name in files) {
+      if (files.hasOwnProperty(name)) {
+        files[name] = _withoutSyncState(files[name]);
+      }
+    }
+    return JSON.stringify({
+      format: 'epiceditor'
+    , version: this._archiveVersion
+    , exported: new Date()
+    , files: files
+    , folders: this._getFolderStore()
+    });
   }
 
-  EpicEditor.prototype._setupTextareaSync = function () {
+  /**
+   * Restores an archive made by exportAll(). Unlike importFile() this doesn't
+   * open any of the files, though the open file is refreshed if it changed.
+   * @param   {string|object} archive The archive, as JSON or already parsed
+   * @param   {string} strategy merge (default) adds the archive's files and
+   * updates files the archive has a newer version of, replace also removes
+   * every file and folder that isn't in the archive
+   * @returns {object|null} A report with the names of the files that were
+   * added, updated, removed and skipped, or null if the archive couldn't be read
+   */
+  EpicEditor.prototype.importAll = function (archive, strategy) {
     var self = this
-      , _syncTextarea;
+      , openName = self.settings.file.name
+      , report = { added: [], updated: [], removed: [], skipped: [] }
+      , store
+      , revisions
+      , folders
+      , local
+      , file
+      , name;
 
-    // Even if autoSave is false, we want to make sure to keep the textarea synced
-    // with the editor's content. One bad thing about this tho is that we're
-    // creating two timers now in some configurations. We keep the textarea synced
-    // by saving and opening the textarea content from the draft file storage.
-    self._textareaSaveTimer = window.setInterval(function () {
-      if (!self._canSave) {
-        return;
-      }
-      self.save(true);
-    }, 100);
+    strategy = strategy || 'merge';
 
-    _syncTextarea = function () {
-      // TODO: Figure out root cause for having to do this ||.
-      // This only happens for draft files. Probably has something to do with
-      // the fact draft files haven't been saved by the time this is called.
-      // TODO: Add test for this case.
-      // Get the file.name each time as it can change. DO NOT save this to a
-      // var outside of this closure or the editor will stop syncing when the
-      // file is changed with importFile or open.
-      self._textareaElement.value = self.exportFile(self.settings.file.name, 'text', true) || self.settings.file.defaultContent;
+    if (typeof archive == 'string') {
+      try {
+        archive = JSON.parse(archive);
+      }
+      catch (e) {
+        self.emit('error', { code: 'PARSE_ERROR', message: 'The archive to import could not be parsed', error: e });
+        return null;
+      }
     }
-
-    if (typeof self.settings.textarea == 'string') {
-      self._textareaElement = document.getElementById(self.settings.textarea);
+    if (!archive || archive.format != 'epiceditor' || !archive.files || typeof archive.files != 'object') {
+      self.emit('error', { code: 'PARSE_ERROR', message: 'The archive to import isn\'t an EpicEditor archive' });
+      return null;
     }
-    else if (typeof self.settings.textarea == 'object') {
-      self._textareaElement = self.settings.textarea;
+    if (archive.version > self._archiveVersion) {
+      self.emit('error', { code: 'PARSE_ERROR', message: 'The archive to import was made by a newer version of EpicEditor' });
+      return null;
     }
 
-    // On page load, if there's content in the textarea that means one of two
-    // different things:
-    //
-    // 1. The editor didn't load and the user was writing in the textarea and
-    // now he refreshed the page or the JS loaded and the textarea now has
-    // content. If this is the case the user probably expects his content is
-    // moved into the editor and not lose what he typed.
-    //
-    // 2. The developer put content in the textarea from some server side
-    // code. In this case, the textarea will take precedence.
-    //
-    // If the developer wants drafts to be recoverable they should check if
-    // the local file in localStorage's modified date is newer than the server.
-    if (self._textareaElement.value !== '') {
-      self.importFile(self.settings.file.name, self._textareaElement.value);
+    store = self._getFileStore();
 
-      // manually save draft after import so there is no delay between the
-      // import and exporting in _syncTextarea. Without this, _syncTextarea
-      // will pull the saved data from localStorage which will be <=100ms old.
-      self.save(true);
+    for (name in archive.files) {
+      if (archive.files.hasOwnProperty(name)) {
+        // Archives from before exports left out the sync state may have it
+        file = _mergeObjs(self._defaultFileSchema(), _withoutSyncState(archive.files[name]));
+        file.meta = file.meta || {};
+        local = store[name];
+
+        if (local === undefined) {
+          report.added.push(name);
+        }
+        // Merging keeps local files that are as new or newer than the archive's
+        else if (JSON.stringify(local.meta || {}) == JSON.stringify(file.meta) && local.content == file.content ||
+            strategy == 'merge' && new Date(local.modified) >= new Date(file.modified)) {
+          report.skipped.push(name);
+          continue;
+        }
+        else {
+          self._addRevision(name, local);
+          report.updated.push(name);
+          // It's still the same file on the sync backend
+          file.revision = local.revision;
+          file.syncedHash = local.syncedHash;
+          file.conflictRevision = local.conflictRevision;
+        }
+        store[name] = file;
+      }
     }
 
-    // Update the textarea on load and pull from drafts
-    _syncTextarea();
+    if (strategy == 'replace') {
+      for (name in store) {
+        if (store.hasOwnProperty(name) && !archive.files.hasOwnProperty(name)) {
+          delete store[name];
+          self._setRevisions(name, []);
+          report.removed.push(name);
+        }
+      }
+    }
 
-    // Make sure to keep it updated
-    self.on('__update', _syncTextarea);
-    self.on('__create', _syncTextarea);
-    self.on('__save', _syncTextarea);
-  }
+    self._setFileStore(store);
 
-  /**
-   * Will NOT focus the editor if the editor is still starting up AND
-   * focusOnLoad is set to false. This allows you to place this in code that
-   * gets fired during .load() without worrying about it overriding the user's
-   * option. For example use cases see preview() and edit().
-   * @returns {undefined}
-   */
+    folders = strategy == 'replace' ? {} : self._getFolderStore();
+    for (name in archive.folders) {
+      if (archive.folders.hasOwnProperty(name) && folders[name] === undefined) {
+        folders[name] = archive.folders[name];
+      }
+    }
+    self._setFolderStore(folders);
 
-  // Prevent focus when the user sets focusOnLoad to false by checking if the
-  // editor is starting up AND if focusOnLoad is true
-  EpicEditor.prototype._focusExceptOnLoad = function () {
-    var self = this;
-    if ((self._eeState.startup && self.settings.focusOnLoad) || !self._eeState.startup) {
-      self.focus();
+    // Same as remove(), the open file starts over empty
+    if (report.removed.indexOf(openName) > -1 && self.is('loaded')) {
+      self._clearRemovedFile();
     }
+
+    if ((report.added.indexOf(openName) > -1 || report.updated.indexOf(openName) > -1) && self.is('loaded')) {
+      _setText(self.editor, store[openName].content, self.settings.highlight);
+      self._storedContent = store[openName].content;
+      self._uncommitted = store[openName].uncommitted === true;
+      if (self.is('preview')) {
+        self.preview();
+      }
+      self._updateDirty();
+    }
+
+    self.emit('importall', report);
+    return report;
   }
 
   /**
-   * Will remove the editor, but not offline files
-   * @returns {object} EpicEditor will be returned
+   * Gets the contents and metadata for files
+   * @param   {string|object} name Name of the file whose data you want (case
+   * sensitive), or meta data to filter every file by, like { tags: 'draft' }
+   * @param   {boolean} excludeContent whether the contents of files should be excluded
+   * @returns {object} An object with the names and data of every file, or just
+   * the data of one file if a name was given
    */
-  EpicEditor.prototype.unload = function (callback) {
-
-    // Make sure the editor isn't already unloaded.
-    if (this.is('unloaded')) {
-      throw new Error('Editor isn\'t loaded');
+  EpicEditor.prototype.getFiles = function (name, excludeContent) {
+    var files = {}
+      , filter
+      , data
+      , file;
+
+    if (name && typeof name == 'object') {
+      filter = name;
+      name = null;
     }
 
-    var self = this
-      , editor = window.parent.document.getElementById(self._instanceId);
+    data = this._getFileStore(name);
 
-    editor.parentNode.removeChild(editor);
-    self._eeState.loaded = false;
-    self._eeState.unloaded = true;
-    callback = callback || function () {};
+    if (name) {
+      return data === undefined ? undefined : _fileData(data, excludeContent);
+    }
 
-    if (self.settings.textarea) {
-      self.removeListener('__update');
+    for (file in data) {
+      if (data.hasOwnProperty(file) && (!filter || _matchesMeta(data[file].meta, filter))) {
+        files[file] = _fileData(data[file], excludeContent);
+      }
     }
+    return files;
+  }
+
+  /**
+   * Gets a sorted, filtered and paginated list of files. Files are only read
+   * when they're needed, so sorting by name and filtering by prefix reads just
+   * the page that's returned.
+   * @param   {object} options sort: name (default), created or modified.
+   * order: asc or desc, by default names go up and dates go down. prefix: only
+   * names that start with it. since and until: only files modified in that
+   * range. meta: meta data to filter by, as for getFiles(). offset and limit:
+   * the page to return. excludeContent: leave out the contents of files.
+   * @returns {array} The files, each with its name, dates and meta data
+   */
+  EpicEditor.prototype.listFiles = function (options) {
+    var self = this
+      , index = self._getIndex()
+      , sort
+      , descending
+      , since
+      , until
+      , offset
+      , end
+      , readFirst
+      , list = []
+      , name
+      , file
+      , modified
+      , i;
 
-    if (self._saveIntervalTimer) {
-      window.clearInterval(self._saveIntervalTimer);
+    options = options || {};
+    sort = options.sort || 'name';
+    if (sort != 'name' && sort != 'created' && sort != 'modified') {
+      throw new Error('Files can\'t be sorted by "' + sort + '"');
     }
-    if (self._textareaSaveTimer) {
-      window.clearInterval(self._textareaSaveTimer);
+    descending = options.order ? options.order == 'desc' : sort != 'name';
+    since = options.since ? new Date(options.since).getTime() : null;
+    until = options.until ? new Date(options.until).getTime() : null;
+    offset = options.offset || 0;
+    end = options.limit === undefined || options.limit === null ? undefined : offset + options.limit;
+    readFirst = sort != 'name' || since !== null || until !== null || options.meta;
+
+    for (name in index) {
+      if (index.hasOwnProperty(name) && (!options.prefix || name.indexOf(options.prefix) === 0)) {
+        list.push({ name: name });
+      }
     }
 
-    callback.call(this);
-    self.emit('unload');
-    return self;
+    // Every file has to be read to filter or sort on what's in it
+    if (readFirst) {
+      list = list.filter(function (item) {
+        item.file = self._getFile(item.name);
+        if (item.file === undefined) {
+          return false;
+        }
+        modified = new Date(item.file.modified).getTime();
+        return (since === null || modified >= since) &&
+          (until === null || modified <= until) &&
+          (!options.meta || _matchesMeta(item.file.meta, options.meta));
+      });
+    }
+
+    // Files with the same date are ordered by name so pages don't shift
+    list.sort(function (a, b) {
+      var order = 0;
+      if (sort != 'name') {
+        order = new Date(a.file[sort]).getTime() - new Date(b.file[sort]).getTime();
+      }
+      if (order === 0) {
+        order = a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+      }
+      return descending ? -order : order;
+    });
+
+    list = list.slice(offset, end);
+    for (i = 0; i < list.length; i++) {
+      file = list[i].file || self._getFile(list[i].name);
+      if (file === undefined) {
+        list.splice(i--, 1);
+        continue;
+      }
+      file = _fileData(file, options.excludeContent);
+      file.name = list[i].name;
+      list[i] = file;
+    }
+    return list;
   }
 
   /**
-   * reflow allows you to dynamically re-fit the editor in the parent without
-   * having to unload and then reload the editor again.
-   *
-   * reflow will also emit a `reflow` event and will return the new dimensions.
-   * If it's called without params it'll return the new width and height and if
-   * it's called with just width or just height it'll just return the width or
-   * height. It's returned as an object like: { width: '100px', height: '1px' }
-   *
-   * @param {string|null} kind Can either be 'width' or 'height' or null
-   * if null, both the height and width will be resized
-   * @param {function} callback A function to fire after the reflow is finished.
-   * Will return the width / height in an obj as the first param of the callback.
-   * @returns {object} EpicEditor will be returned
+   * Searches every file for some text
+   * @param   {string|RegExp} query What to look for
+   * @param   {object} options mode: substring (default), word or regex.
+   * source: markdown (default) or rendered to search the text as it's
+   * previewed. caseSensitive: false by default. context: how many characters
+   * to show on either side of a match in its snippet, 30 by default.
+   * @returns {array} The files that matched, by name, each with its matches.
+   * Every match has its index and length in the searched text, the line it's
+   * on and a snippet of the text around it.
    */
-  EpicEditor.prototype.reflow = function (kind, callback) {
+  EpicEditor.prototype.search = function (query, options) {
     var self = this
-      , widthDiff = _outerWidth(self.element) - self.element.offsetWidth
-      , heightDiff = _outerHeight(self.element) - self.element.offsetHeight
-      , elements = [self.iframeElement, self.editorIframe, self.previewerIframe]
-      , eventData = {}
-      , newWidth
-      , newHeight;
-
-    if (typeof kind == 'function') {
-      callback = kind;
-      kind = null;
+      , files = self.getFiles()
+      , results = []
+      , names = []
+      , context
+      , matcher
+      , matches
+      , match
+      , text
+      , start
+      , end
+      , i;
+
+    options = options || {};
+    context = options.context === undefined ? 30 : options.context;
+
+    if (query instanceof RegExp) {
+      matcher = new RegExp(query.source, 'g' + _regExpFlags(query));
+    }
+    else if (options.mode == 'regex') {
+      try {
+        matcher = new RegExp(query, options.caseSensitive ? 'g' : 'gi');
+      }
+      catch (e) {
+        self.emit('error', { code: 'PARSE_ERROR', message: 'The search "' + query + '" isn\'t a valid regular expression', error: e });
+        return results;
+      }
+    }
+    else if (!query) {
+      return results;
+    }
+    else {
+      matcher = new RegExp(_escapeRegExp(query), options.caseSensitive ? 'g' : 'gi');
     }
 
-    if (!callback) {
-      callback = function () {};
+    for (i in files) {
+      if (files.hasOwnProperty(i)) {
+        names.push(i);
+      }
     }
+    names.sort();
 
-    for (var x = 0; x < elements.length; x++) {
-      if (!kind || kind == 'width') {
-        newWidth = self.element.offsetWidth - widthDiff + 'px';
-        elements[x].style.width = newWidth;
-        self._eeState.reflowWidth = newWidth;
-        eventData.width = newWidth;
+    for (i = 0; i < names.length; i++) {
+      text = files[names[i]].content;
+      if (options.source == 'rendered') {
+        text = _htmlToText(self.settings.parser(text));
       }
-      if (!kind || kind == 'height') {
-        newHeight = self.element.offsetHeight - heightDiff + 'px';
-        elements[x].style.height = newHeight;
-        self._eeState.reflowHeight = newHeight
-        eventData.height = newHeight;
+
+      matches = [];
+      matcher.lastIndex = 0;
+      while ((match = matcher.exec(text)) !== null) {
+        // Don't get stuck on patterns that match nothing
+        if (!match[0].length) {
+          matcher.lastIndex++;
+          continue;
+        }
+        if (options.mode == 'word' && (_isWordChar(text.charAt(match.index - 1)) || _isWordChar(text.charAt(matcher.lastIndex)))) {
+          matcher.lastIndex = match.index + 1;
+          continue;
+        }
+        start = Math.max(0, match.index - context);
+        end = Math.min(text.length, matcher.lastIndex + context);
+        matches.push({
+          index: match.index
+        , length: match[0].length
+        , line: text.slice(0, match.index).split('\n').length
+        , snippet: (start > 0 ? '\u2026' : '') + text.slice(start, end).replace(/\s+/g, ' ') + (end < text.length ? '\u2026' : '')
+        });
       }
-    }
 
-    self.emit('reflow', eventData);
-    callback.call(this, eventData);
-    return self;
+      if (matches.length) {
+        results.push({ name: names[i], matches: matches });
+      }
+    }
+    return results;
   }
 
   /**
-   * Will take the markdown and generate a preview view based on the theme
-   * @returns {object} EpicEditor will be returned
+   * Counts the words, characters, lines, paragraphs and headings of a file and
+   * estimates how long it takes to read. Markdown syntax isn't counted as
+   * words or characters.
+   * @param   {string} name Name of the file, defaults to the open file which
+   * is counted as it is in the editor
+   * @returns {object} words, characters, charactersNoSpaces, lines,
+   * paragraphs, headings and readingTime in minutes, undefined if there's no
+   * such file
    */
-  EpicEditor.prototype.preview = function () {
+  EpicEditor.prototype.getStats = function (name) {
     var self = this
-      , x
-      , theme = self.settings.theme.preview
-      , anchors;
-
-    _replaceClass(self.getElement('wrapper'), 'epiceditor-edit-mode', 'epiceditor-preview-mode');
+      , last = self._lastStats
+      , wordsPerMinute = self.settings.stats.wordsPerMinute
+      , content;
 
-    // Check if no CSS theme link exists
-    if (!self.previewerIframeDocument.getElementById('theme')) {
-      _insertCSSLink(theme, self.previewerIframeDocument, 'theme');
+    name = name || self.settings.file.name;
+    if (name == self.settings.file.name && self.is('loaded') && !self.is('locked')) {
+      content = _getText(self.editor);
     }
-    else if (self.previewerIframeDocument.getElementById('theme').name !== theme) {
-      self.previewerIframeDocument.getElementById('theme').href = theme;
+    else {
+      content = self.exportFile(name);
+      if (content === undefined) {
+        return undefined;
+      }
     }
 
-    // Save a preview draft since it might not be saved to the real file yet
-    self.save(true);
+    // Parsing is the slow part, so don't count the same content twice
+    if (!last || last.content !== content || last.parser !== self.settings.parser || last.wordsPerMinute !== wordsPerMinute) {
+      last = self._lastStats = {
+        content: content
+      , parser: self.settings.parser
+      , wordsPerMinute: wordsPerMinute
+      , stats: _countStats(content, self.settings.parser(content), wordsPerMinute)
+      };
+    }
+    return _mergeObjs({}, last.stats);
+  }
 
-    // Add the generated draft HTML into the previewer
-    self.previewer.innerHTML = self.exportFile(null, 'html', true);
+  /**
+   * Counts the open file again for the stats event and the counts shown in
+   * the editor, if anything is listening or shown
+   */
+  EpicEditor.prototype._updateStats = function () {
+    var self = this
+      , display = self.iframe ? self.iframe.getElementById('epiceditor-stats') : null
+      , stats;
 
-    // Hide the editor and display the previewer
-    if (!self.is('fullscreen')) {
-      self.editorIframe.style.left = '-999999px';
-      self.previewerIframe.style.left = '';
-      self._eeState.preview = true;
-      self._eeState.edit = false;
-      self._focusExceptOnLoad();
+    if (!display && !(self.events.stats && self.events.stats.length)) {
+      return;
     }
 
-    self.emit('preview');
-    return self;
+    stats = self.getStats();
+    if (display) {
+      display.textContent = stats === undefined ? '' : self.settings.string.stats.replace(/\{(\w+)\}/g, function (match, key) {
+        return stats.hasOwnProperty(key) ? stats[key] : match;
+      });
+    }
+    if (stats !== undefined) {
+      self.emit('stats', stats);
+    }
   }
 
   /**
-   * Helper to focus on the editor iframe. Will figure out which iframe to
-   * focus on based on which one is active and will handle the cross browser
-   * issues with focusing on the iframe vs the document body.
+   * Updates the meta data of a file without touching its content. Keys that
+   * aren't given are kept and keys set to null are removed.
+   * @param   {string} name Name of the file, defaults to the open file
+   * @param   {object} meta The meta data to update
    * @returns {object} EpicEditor will be returned
    */
-  EpicEditor.prototype.focus = function (pageload) {
+  EpicEditor.prototype.updateMeta = function (name, meta) {
     var self = this
-      , isPreview = self.is('preview')
-      , focusElement = isPreview ? self.previewerIframeDocument.body
-        : self.editorIframeDocument.body;
+      , file
+      , key;
 
-    if (_isFirefox() && isPreview) {
-      focusElement = self.previewerIframe;
+    name = name || self.settings.file.name;
+    file = self._getFile(name);
+    if (file === undefined) {
+      return self;
     }
 
-    focusElement.focus();
-    return this;
+    file.meta = file.meta || {};
+    for (key in meta) {
+      if (meta.hasOwnProperty(key)) {
+        if (meta[key] === null) {
+          delete file.meta[key];
+        }
+        else {
+          file.meta[key] = meta[key];
+        }
+      }
+    }
+    self._setFile(name, file);
+    self.emit('meta', self.getFiles(name));
+    return self;
   }
 
   /**
-   * Puts the editor into fullscreen mode
-   * @returns {object} EpicEditor will be returned
+   * Gets the past revisions of a file
+   * @param   {string} name Name of the file (case sensitive), defaults to the open file
+   * @returns {array} The revisions, newest first. Each has an id, the content
+   * and modified date it had at the time and when it was created.
    */
-  EpicEditor.prototype.enterFullscreen = function (callback) {
-    callback = callback || function () {};
-    if (this.is('fullscreen')) {
-      callback.call(this);
-      return this;
-    }
-    this._goFullscreen(this.iframeElement, callback);
-    return this;
+  EpicEditor.prototype.getRevisions = function (name) {
+    var revisions;
+    name = name || this.settings.file.name;
+    revisions = this._getRevisions(name);
+    return revisions.reverse().map(function (revision) {
+      return _mergeObjs({}, revision, { created: _toDate(revision.created), modified: _toDate(revision.modified) });
+    });
   }
 
   /**
-   * Closes fullscreen mode if opened
-   * @returns {object} EpicEditor will be returned
+   * Gets a single revision of a file
+   * @param   {string} name Name of the file (case sensitive), defaults to the open file
+   * @param   {number} id The id of the revision
+   * @returns {object|undefined} The revision or undefined if it doesn't exist
    */
-  EpicEditor.prototype.exitFullscreen = function (callback) {
-    callback = callback || function () {};
-    if (!this.is('fullscreen')) {
-      callback.call(this);
-      return this;
+  EpicEditor.prototype.getRevision = function (name, id) {
+    var revisions = this.getRevisions(name)
+      , i;
+    for (i = 0; i < revisions.length; i++) {
+      if (revisions[i].id == id) {
+        return revisions[i];
+      }
     }
-    this._exitFullscreen(this.iframeElement, callback);
-    return this;
   }
 
   /**
-   * Hides the preview and shows the editor again
+   * Makes the content of a revision the current content of its file. The
+   * content being replaced is kept as a new revision so a restore can be undone.
+   * @param   {string} name Name of the file (case sensitive), defaults to the open file
+   * @param   {number} id The id of the revision to restore
    * @returns {object} EpicEditor will be returned
    */
-  EpicEditor.prototype.edit = function () {
-    var self = this;
-    _replaceClass(self.getElement('wrapper'), 'epiceditor-preview-mode', 'epiceditor-edit-mode');
-    self._eeState.preview = false;
-    self._eeState.edit = true;
-    self.editorIframe.style.left = '';
-    self.previewerIframe.style.left = '-999999px';
-    self._focusExceptOnLoad();
-    self.emit('edit');
-    return this;
-  }
+  EpicEditor.prototype.restoreRevision = function (name, id) {
+    var self = this
+      , revision
+      , file;
 
-  /**
-   * Grabs a specificed HTML node. Use it as a shortcut to getting the iframe contents
-   * @param   {String} name The name of the node (can be document, body, editor, previewer, or wrapper)
-   * @returns {Object|Null}
-   */
-  EpicEditor.prototype.getElement = function (name) {
-    var available = {
-      "container": this.element
-    , "wrapper": this.iframe.getElementById('epiceditor-wrapper')
-    , "wrapperIframe": this.iframeElement
-    , "editor": this.editorIframeDocument
-    , "editorIframe": this.editorIframe
-    , "previewer": this.previewerIframeDocument
-    , "previewerIframe": this.previewerIframe
+    name = name || self.settings.file.name;
+    revision = self.getRevision(name, id);
+
+    if (revision === undefined) {
+      return self;
     }
 
-    // Check that the given string is a possible option and verify the editor isn't unloaded
-    // without this, you'd be given a reference to an object that no longer exists in the DOM
-    if (!available[name] || this.is('unloaded')) {
-      return null;
+    // Save what's waiting first so it's kept as the revision being replaced
+    self._savePending();
+
+    file = self._getFile(name);
+    if (file === undefined) {
+      file = self._defaultFileSchema();
     }
     else {
-      return available[name];
+      self._addRevision(name, file);
     }
+    file.content = revision.content;
+    file.modified = new Date();
+    self._setFile(name, file);
+
+    // Show the restored content if the file is open
+    if (name == self.settings.file.name && self.is('loaded')) {
+      self.open(name, true);
+    }
+
+    self.emit('restore', revision);
+    return self;
   }
 
   /**
-   * Returns a boolean of each "state" of the editor. For example "editor.is('loaded')" // returns true/false
-   * @param {String} what the state you want to check for
-   * @returns {Boolean}
+   * Records the given state of a file as a revision. Autosaves only record a
+   * revision if the newest one is older than the revisions.interval option.
+   * @param   {string} name Name of the file
+   * @param   {object} file The file's content and modified date to keep
+   * @returns {undefined}
    */
-  EpicEditor.prototype.is = function (what) {
-    var self = this;
-    switch (what) {
-    case 'loaded':
-      return self._eeState.loaded;
-    case 'unloaded':
-      return self._eeState.unloaded
-    case 'preview':
-      return self._eeState.preview
-    case 'edit':
-      return self._eeState.edit;
-    case 'fullscreen':
-      return self._eeState.fullscreen;
-   // TODO: This "works", but the tests are saying otherwise. Come back to this
-   // and figure out how to fix it.
-   // case 'focused':
-   //   return document.activeElement == self.iframeElement;
-    default:
-      return false;
+  EpicEditor.prototype._addRevision = function (name, file, _isAuto) {
+    var self = this
+      , opts = self.settings.file.revisions
+      , revisions
+      , newest
+      , revision;
+
+    // An empty file, like the one a new file starts out as, has nothing worth
+    // restoring
+    if (!opts || !file.content) {
+      return;
+    }
+
+    revisions = self._getRevisions(name);
+    newest = revisions[revisions.length - 1];
+
+    if (_isAuto && newest && new Date() - new Date(newest.created) < opts.interval) {
+      return;
+    }
+
+    revision = {
+      id: newest ? newest.id + 1 : 1
+    , content: file.content
+    , modified: file.modified
+    , created: new Date()
+    };
+    revisions.push(revision);
+
+    // Drop revisions that are too old and then the oldest over the limit
+    if (opts.maxAge) {
+      revisions = revisions.filter(function (r) {
+        return new Date() - new Date(r.created) <= opts.maxAge;
+      });
     }
+    if (opts.max && revisions.length > opts.max) {
+      revisions = revisions.slice(revisions.length - opts.max);
+    }
+
+    self._setRevisions(name, revisions);
+    self.emit('revision', revision);
   }
 
   /**
-   * Opens a file
-   * @param   {string} name The name of the file you want to open
-   * @returns {object} EpicEditor will be returned
+   * Gets the past revisions of a file, oldest first
+   * @param   {string} name Name of the file
+   * @returns {array}
    */
-  EpicEditor.prototype.open = function (name) {
-    var self = this
-      , defaultContent = self.settings.file.defaultContent
-      , fileObj;
-    name = name || self.settings.file.name;
-    self.settings.file.name = name;
-    if (this._storage[self.settings.localStorageName]) {
-      fileObj = self.exportFile(name);
-      if (fileObj !== undefined) {
-        _setText(self.editor, fileObj);
-        self.emit('read');
-      }
-      else {
-        _setText(self.editor, defaultContent);
-        self.save(); // ensure a save
-        self.emit('create');
-      }
-      self.previewer.innerHTML = self.exportFile(null, 'html');
-      self.emit('open');
+  EpicEditor.prototype._getRevisions = function (name) {
+    return this._readStore(this._revisionKey(name)).revisions || [];
+  }
+
+  /**
+   * Writes the past revisions of a file back to storage
+   * @param   {string} name Name of the file
+   * @param   {array} revisions The revisions, oldest first
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._setRevisions = function (name, revisions) {
+    var key = this._revisionKey(name);
+    if (revisions && revisions.length) {
+      this._writeStore(key, { revisions: revisions });
+    }
+    else if (this._storage.get(key) !== undefined) {
+      this._removeStore(key);
     }
-    return this;
   }
 
   /**
-   * Saves content for offline use
+   * Syncs files with the REST backend set in the sync.url option. Files that
+   * only changed locally are pushed, files that only changed on the server are
+   * pulled and files that changed on both sides emit a conflict event and are
+   * left alone until the conflict is resolved with push() or pull(). Synced
+   * files that were removed locally are deleted from the server.
+   * @param   {string} name Name of a single file to sync, all files are synced if left out
+   * @param   {function} callback Called with an error or null and a report of
+   * what was pushed, pulled, deleted and conflicted
    * @returns {object} EpicEditor will be returned
    */
-  EpicEditor.prototype.save = function (_isPreviewDraft, _isAuto) {
+  EpicEditor.prototype.sync = function (name, callback) {
     var self = this
-      , storage
-      , isUpdate = false
-      , isNew = false
-      , file = self.settings.file.name
-      , previewDraftName = ''
-      , data = this._storage[previewDraftName + self.settings.localStorageName]
-      , content = _getText(this.editor);
+      , report = { pushed: [], pulled: [], deleted: [], conflicts: [], errors: [] };
 
-    if (_isPreviewDraft) {
-      previewDraftName = self._previewDraftLocation;
+    if (_isFunction(name)) {
+      callback = name;
+      name = null;
     }
+    callback = callback || function () {};
 
-    // This could have been false but since we're manually saving
-    // we know it's save to start autoSaving again
-    this._canSave = true;
+    if (!self.settings.sync.url) {
+      callback.call(self, new Error('The sync.url option isn\'t set'), report);
+      return self;
+    }
 
-    // Guard against storage being wiped out without EpicEditor knowing
-    // TODO: Emit saving error - storage seems to have been wiped
-    if (data) {
-      storage = JSON.parse(this._storage[previewDraftName + self.settings.localStorageName]);
+    // Get anything typed since the last autosave into the store first
+    self.flush();
 
-      // If the file doesn't exist we need to create it
-      if (storage[file] === undefined) {
-        storage[file] = self._defaultFileSchema();
-        isNew = true;
+    self.emit('syncstart');
+
+    // A sync that failed as a whole only reports the error
+    function finish(err) {
+      if (err) {
+        self.emit('error', { code: 'SYNC_FAILED', message: err.message, error: err });
+      }
+      else {
+        self.emit('synced', report);
       }
+      callback.call(self, err || null, report);
+    }
 
-      // If it does, we need to check if the content is different and
-      // if it is, send the update event and update the timestamp
-      else if (content !== storage[file].content) {
-        storage[file].modified = new Date();
-        isUpdate = true;
+    _request('GET', self._syncUrl(), self.settings.sync.headers, undefined, function (err, xhr, remote) {
+      var local
+        , deleted
+        , names = []
+        , file
+        , isForgotten = false;
+
+      if (!err && xhr.status >= 300) {
+        err = new Error('Listing files failed with status ' + xhr.status);
       }
-      //don't bother autosaving if the content hasn't actually changed
-      else if (_isAuto) {
+      if (err) {
+        finish(err);
         return;
       }
 
-      storage[file].content = content;
-      this._storage[previewDraftName + self.settings.localStorageName] = JSON.stringify(storage);
+      local = self._getFileStore();
+      remote = remote || {};
 
-      // If it's a new file, send a create event as well as a private one for
-      // use internally.
-      if (isNew) {
-        self.emit('create');
-        self.emit('__create');
+      // A removed file that has been created again is synced like any other
+      deleted = self._getDeletedStore();
+      for (file in deleted) {
+        if (deleted.hasOwnProperty(file) && local.hasOwnProperty(file)) {
+          delete deleted[file];
+          isForgotten = true;
+        }
       }
-
-      // After the content is actually changed, emit update so it emits the
-      // updated content. Also send a private event for interal use.
-      if (isUpdate) {
-        self.emit('update');
-        self.emit('__update');
+      if (isForgotten) {
+        self._setDeletedStore(deleted);
       }
 
-      if (_isAuto) {
-        this.emit('autosave');
+      if (name) {
+        names.push(name);
       }
-      else if (!_isPreviewDraft) {
-        this.emit('save');
-        self.emit('__save');
+      else {
+        for (file in local) {
+          if (local.hasOwnProperty(file)) {
+            names.push(file);
+          }
+        }
+        for (file in remote) {
+          if (remote.hasOwnProperty(file) && !local.hasOwnProperty(file)) {
+            names.push(file);
+          }
+        }
+        for (file in deleted) {
+          if (deleted.hasOwnProperty(file) && !remote.hasOwnProperty(file)) {
+            names.push(file);
+          }
+        }
       }
-    }
 
-    return this;
+      // Sync one file at a time so the report comes back in a stable order
+      function next() {
+        var current = names.shift()
+          , localFile
+          , remoteFile
+          , localChanged
+          , remoteChanged;
+
+        if (current === undefined) {
+          finish();
+          return;
+        }
+
+        localFile = local[current];
+        remoteFile = remote[current];
+
+        function done(err, result) {
+          if (err) {
+            report.errors.push({ name: current, error: err });
+          }
+          else if (result == 'pushed') {
+            report.pushed.push(current);
+          }
+          else if (result == 'pulled') {
+            report.pulled.push(current);
+          }
+          else if (result == 'deleted') {
+            report.deleted.push(current);
+          }
+          else if (result == 'conflict') {
+            report.conflicts.push(current);
+          }
+          next();
+        }
+
+        if (!localFile && deleted.hasOwnProperty(current)) {
+          self._syncDelete(current, deleted[current], done);
+        }
+        else if (!localFile && !remoteFile) {
+          next();
+        }
+        else if (!remoteFile && localFile.revision && localFile.syncedHash === _hash(localFile.content)) {
+          // The server had the file before, so it was deleted there and
+          // there's nothing here worth keeping it for
+          self.remove(current);
+          self._forgetDeleted(current);
+          done(null, 'deleted');
+        }
+        else if (!remoteFile) {
+          self.push(current, true, done);
+        }
+        else if (!localFile) {
+          self.pull(current, done);
+        }
+        else {
+          // A file that was never synced and still has the default content
+          // is just a placeholder, so let the server's copy win
+          if (localFile.syncedHash) {
+            localChanged = localFile.syncedHash !== _hash(localFile.content);
+          }
+          else {
+            localChanged = localFile.content !== '' && localFile.content !== self.settings.file.defaultContent;
+          }
+          remoteChanged = localFile.revision !== remoteFile.revision;
+          if (localChanged && remoteChanged) {
+            self._syncConflict(current, done);
+          }
+          else if (localChanged) {
+            self.push(current, done);
+          }
+          else if (remoteChanged) {
+            self.pull(current, done);
+          }
+          else {
+            next();
+          }
+        }
+      }
+
+      next();
+    });
+
+    return self;
   }
 
   /**
-   * Removes a page
-   * @param   {string} name The name of the file you want to remove from localStorage
+   * Sends a file to the sync backend. Unless forced, the push only goes
+   * through if the server still has the revision the file was last synced at,
+   * or after a conflict the revision the conflict event showed.
+   * @param   {string} name Name of the file, defaults to the open file
+   * @param   {boolean} force Overwrite the server's copy even if it changed
+   * @param   {function} callback Called with an error or null and either
+   * 'pushed' or 'conflict'
    * @returns {object} EpicEditor will be returned
    */
-  EpicEditor.prototype.remove = function (name) {
+  EpicEditor.prototype.push = function (name, force, callback) {
     var self = this
-      , s;
+      , file
+      , headers;
+
+    if (_isFunction(force)) {
+      callback = force;
+      force = false;
+    }
     name = name || self.settings.file.name;
+    callback = callback || function () {};
+    file = self._getFileStore(name);
 
-    // If you're trying to delete a page you have open, block saving
-    if (name == self.settings.file.name) {
-      self._canSave = false;
+    if (file === undefined) {
+      callback.call(self, new Error('The file "' + name + '" doesn\'t exist'));
+      return self;
     }
 
-    s = JSON.parse(this._storage[self.settings.localStorageName]);
-    delete s[name];
-    this._storage[self.settings.localStorageName] = JSON.stringify(s);
-    this.emit('remove');
-    return this;
-  };
+    headers = _mergeObjs({}, self.settings.sync.headers);
+    if (!force) {
+      // Whoever resolves a conflict has seen the server's version by then
+      if (file.conflictRevision || file.revision) {
+        headers['If-Match'] = file.conflictRevision || file.revision;
+      }
+      else {
+        headers['If-None-Match'] = '*';
+      }
+    }
 
-  /**
-   * Renames a file
-   * @param   {string} oldName The old file name
-   * @param   {string} newName The new file name
-   * @returns {object} EpicEditor will be returned
-   */
-  EpicEditor.prototype.rename = function (oldName, newName) {
-    var self = this
-      , s = JSON.parse(this._storage[self.settings.localStorageName]);
-    s[newName] = s[oldName];
-    delete s[oldName];
-    this._storage[self.settings.localStorageName] = JSON.stringify(s);
-    self.open(newName);
-    return this;
-  };
+    _request('PUT', self._syncUrl(name), headers, { content: file.content, created: file.created, modified: file.modified }, function (err, xhr, data) {
+      if (err) {
+        callback.call(self, err);
+      }
+      else if (xhr.status == 412) {
+        self._syncConflict(name, callback);
+      }
+      else if (xhr.status >= 300) {
+        callback.call(self, new Error('Pushing "' + name + '" failed with status ' + xhr.status));
+      }
+      else {
+        self._markSynced(name, file.content, xhr.getResponseHeader('ETag') || (data && data.revision));
+        callback.call(self, null, 'pushed');
+      }
+    });
+
+    return self;
+  }
 
   /**
-   * Imports a file and it's contents and opens it
-   * @param   {string} name The name of the file you want to import (will overwrite existing files!)
-   * @param   {string} content Content of the file you want to import
-   * @param   {string} kind The kind of file you want to import (TBI)
-   * @param   {object} meta Meta data you want to save with your file.
+   * Fetches a file from the sync backend, overwriting the local copy. The
+   * local copy, changes waiting for an autosave included, is kept as a revision.
+   * @param   {string} name Name of the file, defaults to the open file
+   * @param   {function} callback Called with an error or null and 'pulled'
    * @returns {object} EpicEditor will be returned
    */
-  EpicEditor.prototype.importFile = function (name, content, kind, meta) {
-    var self = this;
+  EpicEditor.prototype.pull = function (name, callback) {
+    var self = this
+      , local;
 
     name = name || self.settings.file.name;
-    content = content || '';
-    kind = kind || 'md';
-    meta = meta || {};
-  
-    // Set our current file to the new file and update the content
-    self.settings.file.name = name;
-    _setText(self.editor, content);
+    callback = callback || function () {};
 
-    self.save();
+    self._fetchRemote(name, function (err, remote) {
+      if (err) {
+        callback.call(self, err);
+        return;
+      }
 
-    if (self.is('fullscreen')) {
-      self.preview();
-    }
+      // Anything typed while fetching is saved and kept as a revision before
+      // the pulled content replaces it
+      self._savePending();
+      local = self._getFile(name);
+      if (local && local.content !== remote.content) {
+        self._addRevision(name, local);
+      }
 
-    //firefox has trouble with importing and working out the size right away
-    if (self.settings.autogrow) {
-      setTimeout(function () {
-        self._autogrow();
-      }, 50);
-    }
+      local = _mergeObjs(local || self._defaultFileSchema(), {
+        content: remote.content
+      , created: remote.created
+      , modified: remote.modified || new Date()
+      , revision: remote.revision
+      , syncedHash: _hash(remote.content)
+      });
+      // Pulling resolves any conflict the file was in
+      delete local.conflictRevision;
+      self._setFile(name, local);
 
-    return this;
-  };
+      // Show the pulled content if the file is open
+      if (name == self.settings.file.name && self.is('loaded')) {
+        self.open(name, true);
+      }
+
+      callback.call(self, null, 'pulled');
+    });
+
+    return self;
+  }
 
   /**
-   * Gets the local filestore
-   * @param   {string} name Name of the file in the store
-   * @returns {object|undefined} the local filestore, or a specific file in the store, if a name is given
+   * Gets the URL of a file, or of the file listing, on the sync backend
+   * @param   {string} name Name of the file, leave out for the listing
+   * @returns {string}
    */
-  EpicEditor.prototype._getFileStore = function (name, _isPreviewDraft) {
-    var previewDraftName = ''
-      , store;
-    if (_isPreviewDraft) {
-      previewDraftName = this._previewDraftLocation;
-    }
-    store = JSON.parse(this._storage[previewDraftName + this.settings.localStorageName]);
-    if (name) {
-      return store[name];
-    }
-    else {
-      return store;
-    }
+  EpicEditor.prototype._syncUrl = function (name) {
+    var url = this.settings.sync.url.replace(/\/$/, '');
+    return name ? url + '/' + encodeURIComponent(name) : url;
   }
 
   /**
-   * Exports a file as a string in a supported format
-   * @param   {string} name Name of the file you want to export (case sensitive)
-   * @param   {string} kind Kind of file you want the content in (currently supports html and text, default is the format the browser "wants")
-   * @returns {string|undefined}  The content of the file in the content given or undefined if it doesn't exist
+   * Fetches a file and its revision from the sync backend
+   * @param   {string} name Name of the file
+   * @param   {function} callback Called with an error or null and the file
+   * @returns {undefined}
    */
-  EpicEditor.prototype.exportFile = function (name, kind, _isPreviewDraft) {
-    var self = this
-      , file
-      , content;
+  EpicEditor.prototype._fetchRemote = function (name, callback) {
+    var self = this;
+    _request('GET', self._syncUrl(name), self.settings.sync.headers, undefined, function (err, xhr, data) {
+      if (!err && (xhr.status >= 300 || !data)) {
+        err = new Error('Pulling "' + name + '" failed with status ' + xhr.status);
+      }
+      if (err) {
+        callback(err);
+        return;
+      }
+      data.revision = xhr.getResponseHeader('ETag') || data.revision;
+      callback(null, data);
+    });
+  }
 
-    name = name || self.settings.file.name;
-    kind = kind || 'text';
-   
-    file = self._getFileStore(name, _isPreviewDraft);
+  /**
+   * Handles a file that changed both locally and on the sync backend. If both
+   * sides ended up with the same content the file is simply marked as synced,
+   * otherwise a conflict event is emitted with both versions.
+   * @param   {string} name Name of the file
+   * @param   {function} callback Called with an error or null and either
+   * 'pulled' or 'conflict'
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._syncConflict = function (name, callback) {
+    var self = this;
+    self._fetchRemote(name, function (err, remote) {
+      var local;
+      if (err) {
+        callback.call(self, err);
+        return;
+      }
+      local = self._getFileStore(name);
+      if (local && local.content === remote.content) {
+        self._markSynced(name, remote.content, remote.revision);
+        callback.call(self, null, 'pulled');
+        return;
+      }
+      // A push that resolves the conflict only has to match what's shown
+      // now. The synced revision is kept, so sync() still sees the conflict.
+      if (local) {
+        local.conflictRevision = remote.revision;
+        self._setFile(name, local);
+      }
+      self.emit('conflict', { name: name, local: local, remote: remote, source: 'sync' });
+      callback.call(self, null, 'conflict');
+    });
+  }
 
-    // If the file doesn't exist just return early with undefined
+  /**
+   * Records the revision and content a file was last synced at
+   * @param   {string} name Name of the file
+   * @param   {string} content The content both sides agree on
+   * @param   {string} revision The server's revision of the file
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._markSynced = function (name, content, revision) {
+    var file = this._getFile(name);
     if (file === undefined) {
       return;
     }
-
-    content = file.content;
-   
-    switch (kind) {
-    case 'html':
-      content = _sanitizeRawContent(content);
-      return self.settings.parser(content);
-    case 'text':
-      return _sanitizeRawContent(content);
-    case 'json':
-      file.content = _sanitizeRawContent(file.content);
-      return JSON.stringify(file);
-    case 'raw':
-      return content;
-    default:
-      return content;
-    }
+    file.revision = revision;
+    file.syncedHash = _hash(content);
+    delete file.conflictRevision;
+    this._setFile(name, file);
   }
 
   /**
-   * Gets the contents and metadata for files
-   * @param   {string} name Name of the file whose data you want (case sensitive)
-   * @param   {boolean} excludeContent whether the contents of files should be excluded
-   * @returns {object} An object with the names and data of every file, or just the data of one file if a name was given
+   * Deletes a file that was removed locally from the sync backend. The delete
+   * only goes through if the server still has the revision the file was last
+   * synced at, if somebody changed it since their copy is pulled back instead.
+   * @param   {string} name Name of the file
+   * @param   {string} revision The revision the file was last synced at
+   * @param   {function} callback Called with an error or null and either
+   * 'deleted', 'pulled' or nothing if the server didn't have the file
+   * @returns {undefined}
    */
-  EpicEditor.prototype.getFiles = function (name, excludeContent) {
-    var file
-      , data = this._getFileStore(name);
-    
-    if (name) {
-      if (data !== undefined) {
-        if (excludeContent) {
-          delete data.content;
-        }
-        else {
-          data.content = _sanitizeRawContent(data.content);
-        }
+  EpicEditor.prototype._syncDelete = function (name, revision, callback) {
+    var self = this
+      , headers = _mergeObjs({}, self.settings.sync.headers, { 'If-Match': revision });
+
+    _request('DELETE', self._syncUrl(name), headers, undefined, function (err, xhr) {
+      if (err) {
+        callback.call(self, err);
       }
-      return data;
-    }
-    else {
-      for (file in data) {
-        if (data.hasOwnProperty(file)) {
-          if (excludeContent) {
-            delete data[file].content;
-          }
-          else {
-            data[file].content = _sanitizeRawContent(data[file].content);
-          }
-        }
+      else if (xhr.status == 404) {
+        self._forgetDeleted(name);
+        callback.call(self, null);
+      }
+      else if (xhr.status == 412) {
+        self._forgetDeleted(name);
+        self.pull(name, callback);
+      }
+      else if (xhr.status >= 300) {
+        callback.call(self, new Error('Deleting "' + name + '" failed with status ' + xhr.status));
+      }
+      else {
+        self._forgetDeleted(name);
+        callback.call(self, null, 'deleted');
       }
-      return data;
+    });
+  }
+
+  /**
+   * Stops tracking a removed file once the sync backend no longer has it
+   * @param   {string} name Name of the file
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._forgetDeleted = function (name) {
+    var deleted = this._getDeletedStore();
+    if (deleted.hasOwnProperty(name)) {
+      delete deleted[name];
+      this._setDeletedStore(deleted);
     }
   }
 
+  /**
+   * Gets the revisions of synced files that were removed since the last sync,
+   * keyed by file name
+   * @returns {object}
+   */
+  EpicEditor.prototype._getDeletedStore = function () {
+    return this._readStore(this._deletedLocation + this.settings.localStorageName);
+  }
+
+  /**
+   * Writes the store of removed synced files back to storage
+   * @param   {object} store Revisions keyed by file name
+   * @returns {undefined}
+   */
+  EpicEditor.prototype._setDeletedStore = function (store) {
+    this._writeStore(this._deletedLocation + this.settings.localStorageName, store);
+  }
+
   // EVENTS
   // TODO: Support for namespacing events like "preview.foo"
   /**
@@ -1888,6 +6597,15 @@
 
   EpicEditor.version = '@VERSION';
 
+  // Storage adapters that can be passed as the storage option
+  EpicEditor.storage = {
+    web: _webStorageAdapter
+  , memory: function () {
+      return _webStorageAdapter({});
+    }
+  , indexedDB: _indexedDBAdapter
+  };
+
   // Used to store information to be shared across editors
   EpicEditor._data = {};
 
@@ -5,13 +5,97 @@ var http = require('http')
   , path = require('path')
   , fs = require('fs')
   , mime = require('mime')
-  , port = process.argv[2] || 8888;
+  , port = process.argv[2] || 8888
+  , syncFiles = {}
+  , syncRevision = 0;
+
+/*
+ * A reference backend for EpicEditor's sync option. Files are kept in memory:
+ *
+ *   GET    /sync        Lists every file's revision and modified date
+ *   DELETE /sync        Removes every file
+ *   GET    /sync/:name  Gets a file, its revision is sent as the ETag
+ *   PUT    /sync/:name  Saves a file, honouring If-Match and If-None-Match
+ *   DELETE /sync/:name  Removes a file, honouring If-Match
+ */
+function sync(request, response, name) {
+  var file = syncFiles[name]
+    , list = {}
+    , body = '';
+
+  function send(status, data, etag) {
+    var headers = {'Content-Type': 'application/json'};
+    if (etag) {
+      headers['ETag'] = etag;
+    }
+    response.writeHead(status, headers);
+    response.end(data === undefined ? '' : JSON.stringify(data));
+  }
+
+  if (!name) {
+    if (request.method == 'DELETE') {
+      syncFiles = {};
+      return send(204);
+    }
+    Object.keys(syncFiles).forEach(function (key) {
+      list[key] = { revision: syncFiles[key].revision, modified: syncFiles[key].modified };
+    });
+    return send(200, list);
+  }
+
+  if (request.method == 'GET') {
+    return file ? send(200, file, file.revision) : send(404);
+  }
+
+  if (request.method != 'PUT' && request.method != 'DELETE') {
+    return send(405);
+  }
+
+  if (request.method == 'DELETE' && !file) {
+    return send(404);
+  }
+
+  if ((request.headers['if-match'] && (!file || file.revision != request.headers['if-match'])) ||
+      (request.headers['if-none-match'] == '*' && file)) {
+    return send(412);
+  }
+
+  if (request.method == 'DELETE') {
+    delete syncFiles[name];
+    return send(204);
+  }
+
+  request.on('data', function (chunk) {
+    body += chunk;
+  });
+  request.on('end', function () {
+    var data;
+    try {
+      data = JSON.parse(body || '{}');
+    }
+    catch (e) {
+      return send(400, { error: 'The body is not valid JSON' });
+    }
+    syncRevision++;
+    syncFiles[name] =
+      { content: data.content
+      , created: data.created
+      , modified: data.modified
+      , revision: '"' + syncRevision + '"'
+      };
+    send(200, { revision: syncFiles[name].revision }, syncFiles[name].revision);
+  });
+}
 
 http.createServer(function (request, response) {
 
   var uri = url.parse(request.url).pathname
     , filename = path.join(process.cwd(), uri);
 
+  if (uri == '/sync' || uri.indexOf('/sync/') === 0) {
+    return sync(request, response, decodeURIComponent(uri.slice('/sync/'.length)));
+  }
+
   path.exists(filename, function (exists) {
     if (!exists) {
       response.writeHead(404, {'Content-Type': 'text/plain'});
@@ -0,0 +1,85 @@
+/*global createContainer:false, removeContainer:false, rnd:false */
+
+describe('Compression', function () {
+  var testEl
+    , id
+    , editor
+    , fileKey
+    , content = new Array(50).join('# A heading\n\nSome text that repeats.\n\n');
+
+  function makeEditor(compression) {
+    editor = new EpicEditor(
+      { basePath: '/epiceditor/'
+      , container: testEl
+      , localStorageName: 'compression' + id
+      , compression: compression
+      , file: { name: 'notes', autoSave: false }
+      });
+    return editor.load();
+  }
+
+  beforeEach(function () {
+    id = rnd();
+    fileKey = '__file-compression' + id + '/notes';
+    testEl = createContainer(id);
+  });
+
+  afterEach(function () {
+    editor.unload();
+    removeContainer(id);
+  });
+
+  it('should store files compressed', function () {
+    makeEditor(true);
+    editor.importFile('notes', content);
+    expect(localStorage.getItem(fileKey)).to.match(/^epiceditor-lz:/);
+    expect(localStorage.getItem(fileKey).length).to.be.lessThan(content.length);
+    expect(localStorage.getItem('compression' + id)).to.match(/^epiceditor-lz:/);
+  });
+
+  it('should be transparent to exportFile and getFiles', function () {
+    makeEditor(true);
+    editor.importFile('notes', content, 'md', { title: 'Notes' });
+    expect(editor.exportFile('notes')).to.be(content);
+    expect(editor.getFiles('notes').content).to.be(content);
+    expect(editor.getFiles('notes').meta.title).to.be('Notes');
+  });
+
+  it('should keep characters outside of the basic multilingual plane', function () {
+    makeEditor(true);
+    editor.importFile('notes', 'emoji 😀 and ééé');
+    expect(editor.exportFile('notes')).to.be('emoji 😀 and ééé');
+  });
+
+  it('should compress stores that were written before compression was turned on', function () {
+    makeEditor(false);
+    editor.importFile('notes', content);
+    editor.unload();
+    expect(localStorage.getItem(fileKey)).not.to.match(/^epiceditor-lz:/);
+    makeEditor(true);
+    expect(localStorage.getItem(fileKey)).to.match(/^epiceditor-lz:/);
+    expect(editor.exportFile('notes')).to.be(content);
+  });
+
+  it('should still read compressed stores once compression is turned off', function () {
+    makeEditor(true);
+    editor.importFile('notes', content);
+    editor.unload();
+    makeEditor(false);
+    expect(editor.exportFile('notes')).to.be(content);
+    editor.getElement('editor').body.innerHTML = 'changed';
+    editor.save();
+    expect(localStorage.getItem(fileKey)).not.to.match(/^epiceditor-lz:/);
+  });
+
+  it('should report a compressed store that can\'t be decompressed', function () {
+    var code;
+    makeEditor(true);
+    localStorage.setItem('compression' + id, 'epiceditor-lz:' + String.fromCharCode(5000));
+    editor.on('error', function (err) {
+      code = err.code;
+    });
+    expect(editor.getFiles()).to.eql({});
+    expect(code).to.be('PARSE_ERROR');
+  });
+});
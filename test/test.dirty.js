@@ -0,0 +1,103 @@
+/*global createContainer:false, removeContainer:false, rnd:false */
+
+describe('dirty state', function () {
+  var testEl
+    , id
+    , editor
+    , events;
+
+  function makeEditor(file) {
+    file = file || {};
+    file.name = id;
+    file.autoSave = file.autoSave || false;
+    editor = new EpicEditor({ basePath: '/epiceditor/', container: testEl, file: file });
+    editor.on('dirty', function () {
+      events.push('dirty');
+    });
+    editor.on('clean', function () {
+      events.push('clean');
+    });
+    return editor.load();
+  }
+
+  function unloadEvent() {
+    var e = document.createEvent('Event');
+    e.initEvent('beforeunload', true, true);
+    window.dispatchEvent(e);
+    return e;
+  }
+
+  beforeEach(function () {
+    id = rnd();
+    testEl = createContainer(id);
+    events = [];
+  });
+
+  afterEach(function () {
+    if (editor.is('loaded')) {
+      editor.unload();
+    }
+    removeContainer(id);
+  });
+
+  it('should be clean when a file is opened', function () {
+    makeEditor();
+    expect(editor.is('dirty')).to.be(false);
+    expect(events).to.eql([]);
+  });
+
+  it('should become dirty when the content changes', function (done) {
+    makeEditor();
+    editor.getElement('editor').body.innerHTML = 'typed';
+    expect(editor.is('dirty')).to.be(true);
+    setTimeout(function () {
+      expect(events).to.eql(['dirty']);
+      done();
+    }, 0);
+  });
+
+  it('should stay dirty after an autosave', function () {
+    makeEditor({ autoSave: 1000 });
+    editor.getElement('editor').body.innerHTML = 'typed';
+    editor.save(false, true);
+    expect(editor.exportFile()).to.be('typed');
+    expect(editor.is('dirty')).to.be(true);
+    expect(editor.getFiles(id).uncommitted).to.be(true);
+  });
+
+  it('should become clean when saved', function () {
+    makeEditor({ autoSave: 1000 });
+    editor.getElement('editor').body.innerHTML = 'typed';
+    editor.save(false, true);
+    editor.save();
+    expect(editor.is('dirty')).to.be(false);
+    expect(events).to.eql(['dirty', 'clean']);
+    expect(editor.getFiles(id).uncommitted).to.be(undefined);
+  });
+
+  it('should still be dirty when a file that was only autosaved is opened again', function () {
+    makeEditor({ autoSave: 1000 });
+    editor.getElement('editor').body.innerHTML = 'typed';
+    editor.save(false, true);
+    editor.unload();
+    events = [];
+    editor.load();
+    expect(editor.is('dirty')).to.be(true);
+    expect(events).to.eql(['dirty']);
+  });
+
+  it('should ask before the page is left with changes when confirmUnload is on', function () {
+    makeEditor({ confirmUnload: true });
+    expect(unloadEvent().defaultPrevented).to.be(false);
+    editor.getElement('editor').body.innerHTML = 'typed';
+    expect(unloadEvent().defaultPrevented).to.be(true);
+    editor.save();
+    expect(unloadEvent().defaultPrevented).to.be(false);
+  });
+
+  it('should not ask before the page is left by default', function () {
+    makeEditor();
+    editor.getElement('editor').body.innerHTML = 'typed';
+    expect(unloadEvent().defaultPrevented).to.be(false);
+  });
+});
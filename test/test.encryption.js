@@ -0,0 +1,163 @@
+/*global createContainer:false, removeContainer:false, rnd:false */
+
+describe('Encryption', function () {
+  var testEl
+    , id
+    , editor
+    , errors;
+
+  function makeEditor() {
+    editor = new EpicEditor(
+      { basePath: '/epiceditor/'
+      , container: testEl
+      , localStorageName: 'encryption' + id
+      , encryption: { iterations: 1000 }
+      , file: { name: 'notes', autoSave: false }
+      });
+    editor.on('error', function (err) {
+      errors.push(err.code);
+    });
+    return editor.load();
+  }
+
+  beforeEach(function () {
+    id = rnd();
+    testEl = createContainer(id);
+    errors = [];
+    makeEditor();
+  });
+
+  afterEach(function () {
+    editor.unload();
+    removeContainer(id);
+  });
+
+  it('should start out locked with nothing in the editor', function () {
+    expect(editor.is('locked')).to.be(true);
+    expect(editor.getElement('editor').body.innerHTML).to.be('');
+    expect(editor.getFiles()).to.eql({});
+  });
+
+  it('should refuse to open files while locked', function () {
+    editor.open('notes');
+    expect(errors).to.eql(['LOCKED']);
+    expect(editor.settings.file.name).to.be('notes');
+  });
+
+  it('should open the current file once unlocked', function (done) {
+    editor.unlock('secret', function (err) {
+      expect(err).to.be(null);
+      expect(editor.is('locked')).to.be(false);
+      expect(editor.getFiles()).to.have.property('notes');
+      done();
+    });
+  });
+
+  it('should undo formatting in the file opened by unlocking', function (done) {
+    expect(editor.canUndo()).to.be(false);
+    editor.unlock('secret', function () {
+      var body = editor.getElement('editor').body;
+      editor.importFile('notes', 'plain');
+      expect(editor.canUndo()).to.be(true);
+      editor.format('bold');
+      expect(body.textContent).to.be('plain****');
+      editor.undo();
+      expect(body.textContent).to.be('plain');
+      editor.redo();
+      expect(body.textContent).to.be('plain****');
+      done();
+    });
+  });
+
+  it('should only keep encrypted files in storage', function (done) {
+    editor.unlock('secret', function () {
+      editor.importFile('notes', 'my secret');
+      editor.save(function () {
+        var stored = localStorage.getItem('__file-encryption' + id + '/notes');
+        expect(stored).to.match(/^epiceditor-encrypted:/);
+        expect(stored).not.to.contain('my secret');
+        done();
+      });
+    });
+  });
+
+  it('should clear the editor and forget the files when locked', function (done) {
+    editor.unlock('secret', function () {
+      editor.importFile('notes', 'my secret');
+      editor.lock();
+      expect(editor.is('locked')).to.be(true);
+      expect(editor.getElement('editor').body.innerHTML).to.be('');
+      expect(editor.getFiles()).to.eql({});
+      done();
+    });
+  });
+
+  it('should bring the files back when unlocked again', function (done) {
+    editor.unlock('secret', function () {
+      editor.importFile('notes', 'my secret');
+      editor.lock();
+      editor.unlock('secret', function (err) {
+        expect(err).to.be(null);
+        expect(editor.getElement('editor').body.innerHTML).to.be('my secret');
+        done();
+      });
+    });
+  });
+
+  it('should not unlock with the wrong passphrase', function (done) {
+    editor.unlock('secret', function () {
+      editor.lock();
+      editor.unlock('wrong', function (err) {
+        expect(err).to.be.an(Error);
+        expect(editor.is('locked')).to.be(true);
+        expect(errors).to.contain('UNLOCK_FAILED');
+        done();
+      });
+    });
+  });
+
+  it('should encrypt files stored before encryption was turned on', function (done) {
+    editor.unload();
+    localStorage.setItem('encryption' + id, JSON.stringify({ notes: { content: 'plain secret', created: new Date(), modified: new Date(), meta: {} } }));
+    makeEditor();
+    editor.unlock('secret', function () {
+      expect(editor.getElement('editor').body.innerHTML).to.be('plain secret');
+      expect(localStorage.getItem('__file-encryption' + id + '/notes')).to.match(/^epiceditor-encrypted:/);
+      done();
+    });
+  });
+
+  it('should report stores that don\'t decrypt and leave them untouched', function (done) {
+    var otherId = rnd()
+      , other = new EpicEditor(
+        { basePath: '/epiceditor/'
+        , container: createContainer(otherId)
+        , localStorageName: 'encryption' + otherId
+        , encryption: { iterations: 1000 }
+        , file: { name: 'notes', autoSave: false }
+        }).load()
+      , foreign;
+
+    other.unlock('another secret', function () {
+      other.importFile('notes', 'not yours');
+      other.save(function () {
+        foreign = localStorage.getItem('__file-encryption' + otherId + '/notes');
+        other.unload();
+        removeContainer(otherId);
+
+        editor.unload();
+        localStorage.setItem('encryption' + id, foreign);
+        makeEditor();
+        editor.unlock('secret', function (err) {
+          expect(err).to.be(null);
+          expect(errors).to.contain('UNLOCK_FAILED');
+          editor.importFile('notes', 'still saved');
+          editor.save(function () {
+            expect(localStorage.getItem('encryption' + id)).to.be(foreign);
+            done();
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,164 @@
+/*global createContainer:false, removeContainer:false, rnd:false */
+
+describe('error event', function () {
+  var testEl
+    , id
+    , editor
+    , storageName
+    , errors;
+
+  beforeEach(function () {
+    id = rnd();
+    testEl = createContainer(id);
+    storageName = 'epiceditor-error-' + id;
+    errors = [];
+  });
+
+  afterEach(function () {
+    if (editor.is('loaded')) {
+      editor.unload();
+    }
+    removeContainer(id);
+    localStorage.removeItem(storageName);
+    corruptCopies().forEach(function (key) {
+      localStorage.removeItem(key);
+    });
+  });
+
+  function corruptCopies() {
+    var keys = []
+      , i;
+    for (i = 0; i < localStorage.length; i++) {
+      if (localStorage.key(i).indexOf('__corrupt-' + storageName + '-') === 0) {
+        keys.push(localStorage.key(i));
+      }
+    }
+    return keys;
+  }
+
+  function createEditor(opts) {
+    editor = new EpicEditor(opts ||
+      { basePath: '/epiceditor/'
+      , container: testEl
+      , localStorageName: storageName
+      , file: { autoSave: false }
+      });
+    editor.on('error', function (err) {
+      errors.push(err);
+    });
+    return editor;
+  }
+
+  it('should emit PARSE_ERROR and start a fresh store when the store is not valid JSON', function () {
+    localStorage[storageName] = '{"broken';
+    createEditor().load();
+    expect(errors[0].code).to.be('PARSE_ERROR');
+    expect(errors[0].key).to.be(storageName);
+    expect(editor.exportFile()).to.be('');
+    expect(JSON.parse(localStorage[storageName])[id]).to.be.ok();
+  });
+
+  it('should quarantine the bad store', function () {
+    localStorage[storageName] = '{"broken';
+    createEditor().load();
+    expect(corruptCopies().length).to.be(1);
+    expect(localStorage[corruptCopies()[0]]).to.be('{"broken');
+  });
+
+  it('should keep every quarantined copy instead of overwriting the last one', function () {
+    var first;
+    localStorage[storageName] = '{"broken';
+    createEditor().load();
+    editor.unload();
+    first = corruptCopies()[0];
+    localStorage.removeItem('__file-' + storageName + '/' + id);
+    localStorage[storageName] = '{"broken again';
+    createEditor().load();
+    expect(corruptCopies().length).to.be(2);
+    expect(localStorage[first]).to.be('{"broken');
+  });
+
+  it('should report a quarantine that could not be written and still recover', function () {
+    var adapter = EpicEditor.storage.memory()
+      , set = adapter.set;
+    adapter.set = function (key, value) {
+      if (key.indexOf('__corrupt-') === 0) {
+        var e = new Error('full');
+        e.name = 'QuotaExceededError';
+        throw e;
+      }
+      set(key, value);
+    };
+    adapter.set(storageName, '{"broken');
+    createEditor({ basePath: '/epiceditor/', container: testEl, storage: adapter, localStorageName: storageName, file: { autoSave: false } }).load();
+    expect(errors[0].code).to.be('QUOTA_EXCEEDED');
+    expect(errors[0].key.indexOf('__corrupt-' + storageName + '-')).to.be(0);
+    expect(errors[1].code).to.be('PARSE_ERROR');
+    expect(editor.exportFile()).to.be('');
+  });
+
+  it('should emit CORRUPTED_STORE when the store is not shaped like a store', function () {
+    localStorage[storageName] = '{"foo": 5}';
+    createEditor().load();
+    expect(errors[0].code).to.be('CORRUPTED_STORE');
+    expect(localStorage[corruptCopies()[0]]).to.be('{"foo": 5}');
+  });
+
+  it('should emit MISSING_STORE and keep saving when the store is wiped', function () {
+    createEditor().load();
+    localStorage.removeItem(storageName);
+    editor.getElement('editor').body.innerHTML = 'still here';
+    editor.save();
+    expect(errors[0].code).to.be('MISSING_STORE');
+    expect(JSON.parse(localStorage[storageName])[id]).to.be(true);
+    expect(JSON.parse(localStorage['__file-' + storageName + '/' + id]).content).to.be('still here');
+  });
+
+  it('should emit QUOTA_EXCEEDED when storage is full', function () {
+    var adapter = EpicEditor.storage.memory()
+      , set = adapter.set
+      , full = false;
+    adapter.set = function (key, value) {
+      if (full) {
+        var e = new Error('full');
+        e.name = 'QuotaExceededError';
+        throw e;
+      }
+      set(key, value);
+    };
+    createEditor({ basePath: '/epiceditor/', container: testEl, storage: adapter, file: { autoSave: false } }).load();
+    full = true;
+    editor.getElement('editor').body.innerHTML = 'too much';
+    editor.save(function (err) {
+      expect(err.name).to.be('QuotaExceededError');
+    });
+    expect(errors[0].code).to.be('QUOTA_EXCEEDED');
+  });
+
+  it('should not emit save or update when the write fails', function () {
+    var adapter = EpicEditor.storage.memory()
+      , set = adapter.set
+      , full = false
+      , events = [];
+    adapter.set = function (key, value) {
+      if (full) {
+        var e = new Error('full');
+        e.name = 'QuotaExceededError';
+        throw e;
+      }
+      set(key, value);
+    };
+    createEditor({ basePath: '/epiceditor/', container: testEl, storage: adapter, file: { autoSave: false } }).load();
+    ['save', 'update', 'autosave', 'commit'].forEach(function (type) {
+      editor.on(type, function () {
+        events.push(type);
+      });
+    });
+    full = true;
+    editor.getElement('editor').body.innerHTML = 'too much';
+    editor.save();
+    editor.save(false, true);
+    expect(events).to.eql([]);
+    expect(editor.is('dirty')).to.be(true);
+  });
+});
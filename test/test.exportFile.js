@@ -40,11 +40,57 @@ describe('.exportFile([fileName], [type])', function () {
     expect(obj).to.have.property('modified');
   })
 
+  it('should include meta data when exporting to json', function () {
+    var metaFile = 'metaFile' + id;
+    editor.importFile(metaFile, 'meta', 'md', { author: 'me' });
+    editor.open(id);
+    expect(JSON.parse(editor.exportFile(metaFile, 'json')).meta.author).to.be('me');
+  });
+
   it('should export the current file as HTML with a null parameter as it\'s first', function () {
     contents = editor.exportFile(null, 'html');
     expect(contents).to.be('<h1 id="foo">foo</h1>\n<h2 id="bar">bar</h2>\n');
   });
 
+  it('should export a standalone HTML document with the preview theme inlined', function () {
+    contents = editor.exportFile(null, 'document');
+    expect(contents).to.match(/^<!DOCTYPE html>/);
+    expect(contents).to.contain('<meta charset="utf-8">');
+    expect(contents).to.match(/<style>[\s\S]*#epiceditor-preview[\s\S]*<\/style>/);
+    expect(contents).to.contain('<div id="epiceditor-preview">\n<h1 id="foo">foo</h1>');
+  });
+
+  it('should emit an error and export the document without the theme when it can\'t be read', function () {
+    var preview = editor.settings.theme.preview
+      , error;
+    editor.on('error', function (err) {
+      error = err;
+    });
+    editor.settings.theme.preview = '/not-loaded.css';
+    contents = editor.exportFile(null, 'document');
+    editor.settings.theme.preview = preview;
+    expect(error.code).to.be('THEME_UNAVAILABLE');
+    expect(contents).to.contain('<div id="epiceditor-preview">\n<h1 id="foo">foo</h1>');
+  });
+
+  it('should title an exported document after its first heading', function () {
+    expect(editor.exportFile(null, 'document')).to.contain('<title>foo</title>');
+  });
+
+  it('should title an exported document after its file name when it has no heading', function () {
+    var documentFile = 'notes/documentFile' + id;
+    editor.importFile(documentFile, 'no <b>heading</b> here');
+    editor.open(id);
+    expect(editor.exportFile(documentFile, 'document')).to.contain('<title>documentFile' + id + '</title>');
+  });
+
+  it('should prefer the title in a file\'s meta data and escape it', function () {
+    var documentFile = 'documentMetaFile' + id;
+    editor.importFile(documentFile, '# heading', 'md', { title: 'Tom & Jerry' });
+    editor.open(id);
+    expect(editor.exportFile(documentFile, 'document')).to.contain('<title>Tom &amp; Jerry</title>');
+  });
+
   it('should return undefined when a file doesn\'t exist', function () {
     contents = editor.exportFile('doesntExist' + id);
     expect(contents).to.be(undefined);
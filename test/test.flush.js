@@ -0,0 +1,119 @@
+/*global createContainer:false, removeContainer:false, rnd:false */
+
+describe('.flush([callback])', function () {
+  var testEl
+    , id
+    , editor
+    , autosaves;
+
+  function makeEditor(file) {
+    file.name = id;
+    editor = new EpicEditor({ basePath: '/epiceditor/', container: testEl, file: file }).load();
+    editor.on('autosave', function () {
+      autosaves++;
+    });
+    return editor;
+  }
+
+  beforeEach(function () {
+    id = rnd();
+    testEl = createContainer(id);
+    autosaves = 0;
+  });
+
+  afterEach(function () {
+    editor.unload();
+    removeContainer(id);
+  });
+
+  it('should save changes that are waiting for an autosave right away', function (done) {
+    makeEditor({ autoSave: 1000 });
+    editor.getElement('editor').body.innerHTML = 'flushed';
+    setTimeout(function () {
+      editor.flush(function (err) {
+        expect(err).to.be(null);
+        expect(editor.exportFile()).to.be('flushed');
+      });
+      expect(autosaves).to.be(1);
+      done();
+    }, 0);
+  });
+
+  it('should call back right away when there is nothing to save', function () {
+    var called = false;
+    makeEditor({ autoSave: 1000 });
+    editor.flush(function (err) {
+      called = err === null;
+    });
+    expect(called).to.be(true);
+    expect(autosaves).to.be(0);
+  });
+
+  it('should be pending until the changes are saved', function (done) {
+    makeEditor({ autoSave: 1000 });
+    expect(editor.is('pending')).to.be(false);
+    editor.getElement('editor').body.innerHTML = 'changed';
+    setTimeout(function () {
+      expect(editor.is('pending')).to.be(true);
+      editor.flush();
+      expect(editor.is('pending')).to.be(false);
+      expect(editor.is('dirty')).to.be(true);
+      done();
+    }, 0);
+  });
+
+  it('should leave nothing for the next autosave', function (done) {
+    makeEditor({ autoSave: 50 });
+    editor.getElement('editor').body.innerHTML = 'changed';
+    setTimeout(function () {
+      editor.flush();
+      setTimeout(function () {
+        expect(autosaves).to.be(1);
+        done();
+      }, 100);
+    }, 0);
+  });
+
+  it('should autosave once the content stops changing', function (done) {
+    makeEditor({ autoSave: 50 });
+    editor.getElement('editor').body.innerHTML = 'typed';
+    setTimeout(function () {
+      expect(autosaves).to.be(0);
+      setTimeout(function () {
+        expect(autosaves).to.be(1);
+        expect(editor.exportFile()).to.be('typed');
+        done();
+      }, 100);
+    }, 20);
+  });
+
+  it('should not wait longer than autoSaveMaxWait while the content keeps changing', function (done) {
+    var count = 0
+      , typing;
+    makeEditor({ autoSave: 100, autoSaveMaxWait: 150 });
+    typing = setInterval(function () {
+      editor.getElement('editor').body.innerHTML = 'typing ' + count++;
+    }, 20);
+    setTimeout(function () {
+      clearInterval(typing);
+      expect(autosaves).to.be.greaterThan(0);
+      done();
+    }, 250);
+  });
+
+  it('should not save anything while nothing changes', function (done) {
+    makeEditor({ autoSave: 10 });
+    setTimeout(function () {
+      expect(autosaves).to.be(0);
+      done();
+    }, 100);
+  });
+
+  it('should save changes that are waiting when the editor is unloaded', function () {
+    makeEditor({ autoSave: 1000 });
+    editor.getElement('editor').body.innerHTML = 'before unload';
+    editor.unload();
+    expect(editor.exportFile()).to.be('before unload');
+    editor.load();
+  });
+});
@@ -0,0 +1,121 @@
+/*global createContainer:false, removeContainer:false, rnd:false */
+
+describe('folders', function () {
+  var testEl
+    , id
+    , editor;
+
+  function names(children) {
+    return children.map(function (child) {
+      return child.type + ':' + child.path;
+    });
+  }
+
+  beforeEach(function () {
+    id = rnd();
+    testEl = createContainer(id);
+    editor = new EpicEditor(
+      { basePath: '/epiceditor/'
+      , container: testEl
+      , storage: EpicEditor.storage.memory()
+      , file: { name: 'notes', autoSave: false }
+      }).load();
+    editor.importFile('projects/roadmap', 'roadmap');
+    editor.importFile('projects/2013/q1', 'q1');
+    editor.importFile('todo', 'todo');
+    editor.open('notes');
+  });
+
+  afterEach(function () {
+    editor.unload();
+    removeContainer(id);
+  });
+
+  describe('.listFolder([path])', function () {
+    it('should list the top level when no path is given', function () {
+      expect(names(editor.listFolder())).to.eql(['folder:projects', 'file:notes', 'file:todo']);
+    });
+
+    it('should list the children of a folder', function () {
+      expect(names(editor.listFolder('projects'))).to.eql(['folder:projects/2013', 'file:projects/roadmap']);
+    });
+
+    it('should ignore leading and trailing slashes', function () {
+      expect(names(editor.listFolder('/projects/2013/'))).to.eql(['file:projects/2013/q1']);
+    });
+
+    it('should give the name of each child without its folder', function () {
+      expect(editor.listFolder('projects')[1].name).to.be('roadmap');
+    });
+  });
+
+  describe('.createFolder(path)', function () {
+    it('should keep empty folders around', function () {
+      editor.createFolder('archive/old');
+      expect(names(editor.listFolder())).to.contain('folder:archive');
+      expect(names(editor.listFolder('archive'))).to.eql(['folder:archive/old']);
+    });
+  });
+
+  describe('.removeFolder(path)', function () {
+    it('should remove every file inside the folder', function () {
+      editor.removeFolder('projects');
+      expect(editor.exportFile('projects/roadmap')).to.be(undefined);
+      expect(editor.exportFile('projects/2013/q1')).to.be(undefined);
+      expect(editor.exportFile('todo')).to.be('todo');
+    });
+
+    it('should remove created folders inside the folder', function () {
+      editor.createFolder('projects/empty');
+      editor.removeFolder('projects');
+      expect(names(editor.listFolder())).to.eql(['file:notes', 'file:todo']);
+    });
+  });
+
+  describe('.move(name, folder)', function () {
+    it('should move a file into a folder', function () {
+      editor.move('todo', 'projects');
+      expect(editor.exportFile('todo')).to.be(undefined);
+      expect(editor.exportFile('projects/todo')).to.be('todo');
+    });
+
+    it('should move a file back to the top level', function () {
+      editor.move('projects/roadmap', '');
+      expect(editor.exportFile('roadmap')).to.be('roadmap');
+    });
+  });
+
+  describe('.rename(oldName, newName) on folders', function () {
+    it('should rename every file inside the folder', function () {
+      editor.rename('projects', 'work');
+      expect(editor.exportFile('work/roadmap')).to.be('roadmap');
+      expect(editor.exportFile('work/2013/q1')).to.be('q1');
+      expect(editor.exportFile('projects/roadmap')).to.be(undefined);
+    });
+
+    it('should rename created folders inside the folder', function () {
+      editor.createFolder('projects/empty');
+      editor.rename('projects', 'work');
+      expect(names(editor.listFolder('work'))).to.contain('folder:work/empty');
+    });
+
+    it('should keep the open file open under its new name', function () {
+      editor.open('projects/roadmap');
+      editor.rename('projects', 'work');
+      expect(editor.settings.file.name).to.be('work/roadmap');
+    });
+
+    it('should not switch files when the open file is somewhere else', function () {
+      editor.rename('projects', 'work');
+      expect(editor.settings.file.name).to.be('notes');
+    });
+
+    it('should refuse to move a folder into itself', function () {
+      expect(function () {
+        editor.rename('projects', 'projects/projects');
+      }).to.throwError();
+      expect(editor.exportFile('projects/roadmap')).to.be('roadmap');
+      expect(editor.exportFile('projects/projects/roadmap')).to.be(undefined);
+    });
+  });
+});
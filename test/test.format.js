@@ -0,0 +1,173 @@
+/*global createContainer:false, removeContainer:false, rnd:false */
+
+describe('.format(command, [value])', function () {
+  var testEl
+    , id
+    , editor
+    , body;
+
+  // Puts text in the editor and selects from start to end, with | marking
+  // both ends of the selection or where the caret is
+  function edit(text) {
+    var start = text.indexOf('|')
+      , end
+      , doc = editor.getElement('editor')
+      , range = doc.createRange();
+
+    text = text.slice(0, start) + text.slice(start + 1);
+    end = text.indexOf('|');
+    if (end == -1) {
+      end = start;
+    }
+    else {
+      text = text.slice(0, end) + text.slice(end + 1);
+    }
+    editor.importFile('notes', text);
+    range.setStart(body.firstChild, start);
+    range.setEnd(body.firstChild, end);
+    doc.getSelection().removeAllRanges();
+    doc.getSelection().addRange(range);
+  }
+
+  // The editor's text with the selection marked the same way as for edit()
+  function result() {
+    var doc = editor.getElement('editor')
+      , range = doc.getSelection().getRangeAt(0)
+      , before = doc.createRange()
+      , text = editor.exportFile()
+      , start
+      , end;
+
+    before.setStart(body, 0);
+    before.setEnd(range.startContainer, range.startOffset);
+    start = before.toString().length;
+    before.setEnd(range.endContainer, range.endOffset);
+    end = before.toString().length;
+    if (start == end) {
+      return text.slice(0, start) + '|' + text.slice(start);
+    }
+    return text.slice(0, start) + '|' + text.slice(start, end) + '|' + text.slice(end);
+  }
+
+  function format(command, value) {
+    editor.format(command, value);
+    editor.save();
+    return result();
+  }
+
+  beforeEach(function () {
+    id = rnd();
+    testEl = createContainer(id);
+    editor = new EpicEditor(
+      { basePath: '/epiceditor/'
+      , container: testEl
+      , localStorageName: 'format' + id
+      , highlight: false
+      , file: { name: 'notes', autoSave: false }
+      , button: { bold: true }
+      }).load();
+    body = editor.getElement('editor').body;
+  });
+
+  afterEach(function () {
+    editor.unload();
+    removeContainer(id);
+  });
+
+  it('should wrap the selection in bold, italic and code markers', function () {
+    edit('a |word| here');
+    expect(format('bold')).to.be('a **|word|** here');
+    edit('a |word| here');
+    expect(format('italic')).to.be('a *|word|* here');
+    edit('a |word| here');
+    expect(format('code')).to.be('a `|word|` here');
+  });
+
+  it('should toggle the markers off when they are already applied', function () {
+    edit('a **|word|** here');
+    expect(format('bold')).to.be('a |word| here');
+    edit('a |**word**| here');
+    expect(format('bold')).to.be('a |word| here');
+    edit('a `|word|` here');
+    expect(format('code')).to.be('a |word| here');
+  });
+
+  it('should tell bold and italic apart', function () {
+    edit('a **|word|** here');
+    expect(format('italic')).to.be('a ***|word|*** here');
+    expect(format('bold')).to.be('a *|word|* here');
+    expect(format('italic')).to.be('a |word| here');
+  });
+
+  it('should leave spaces at the ends of the selection outside of the markers', function () {
+    edit('a| word |here');
+    expect(format('bold')).to.be('a **|word|** here');
+  });
+
+  it('should put the caret between the markers when nothing is selected', function () {
+    edit('a |');
+    expect(format('bold')).to.be('a **|**');
+    expect(format('bold')).to.be('a |');
+  });
+
+  it('should make and remove headings of every level', function () {
+    edit('Ti|tle');
+    expect(format('heading2')).to.be('## Ti|tle');
+    expect(format('heading1')).to.be('# Ti|tle');
+    expect(format('heading1')).to.be('Ti|tle');
+  });
+
+  it('should quote and list every selected line', function () {
+    edit('|one\ntwo|');
+    expect(format('quote')).to.be('|> one\n> two|');
+    expect(format('quote')).to.be('|one\ntwo|');
+    expect(format('bulletList')).to.be('|- one\n- two|');
+    expect(format('numberedList')).to.be('|1. one\n2. two|');
+    expect(format('numberedList')).to.be('|one\ntwo|');
+  });
+
+  it('should put code that spans lines in a fenced block and take it out again', function () {
+    edit('|one\ntwo|');
+    expect(format('code')).to.be('```\n|one\ntwo|\n```');
+    expect(format('code')).to.be('|one\ntwo|');
+  });
+
+  it('should make links and images and select the address to type in', function () {
+    edit('see |this|');
+    expect(format('link')).to.be('see [this](|http://|)');
+    edit('see |this|');
+    expect(format('image', 'cat.png')).to.be('see ![|this|](cat.png)');
+  });
+
+  it('should turn links and images back into text', function () {
+    edit('see [|this|](http://example.com) now');
+    expect(format('link')).to.be('see |this| now');
+    edit('see ![|this|](cat.png)');
+    expect(format('link')).to.be('see ![[this](|http://|)](cat.png)');
+    edit('see ![|this|](cat.png)');
+    expect(format('image')).to.be('see |this|');
+  });
+
+  it('should be undone in one step', function () {
+    edit('a |word| here');
+    editor.format('bold');
+    editor.undo();
+    expect(body.textContent).to.be('a word here');
+  });
+
+  it('should ignore commands it doesn\'t know', function () {
+    edit('a |word| here');
+    editor.format('underline');
+    expect(body.textContent).to.be('a word here');
+  });
+
+  it('should format the selection when a formatting button is clicked', function () {
+    var button = editor.getElement('wrapper').getElementsByClassName('epiceditor-format-bold-btn')[0]
+      , click = button.ownerDocument.createEvent('MouseEvents');
+    edit('a |word| here');
+    click.initEvent('click', true, true);
+    button.dispatchEvent(click);
+    editor.save();
+    expect(result()).to.be('a **|word|** here');
+  });
+});
@@ -20,8 +20,8 @@ describe('.getFiles([name])', function () {
     fooFile = 'foo' + id;
     barFile = 'bar' + id;
     editor.load();
-    editor.importFile(fooFile, 'foo     bar');
-    editor.importFile(barFile, 'bar');
+    editor.importFile(fooFile, 'foo     bar', 'md', { tags: ['draft', 'blog'], author: 'me' });
+    editor.importFile(barFile, 'bar', 'md', { tags: ['blog'], author: 'you' });
     done();
   });
 
@@ -56,4 +56,117 @@ describe('.getFiles([name])', function () {
     var file = editor.getFiles(fooFile, true);
     expect(file).not.to.have.property('content');
   });
+
+  it('should include the meta data of files', function () {
+    expect(editor.getFiles(fooFile).meta.author).to.be('me');
+  });
+
+  it('should filter files by meta data', function () {
+    var files = editor.getFiles({ author: 'you' });
+    expect(files).to.only.have.key(barFile);
+  });
+
+  it('should filter by values inside of arrays', function () {
+    expect(editor.getFiles({ tags: 'draft' })).to.only.have.key(fooFile);
+    expect(editor.getFiles({ tags: 'blog' })).to.only.have.keys(fooFile, barFile);
+  });
+
+  it('should require every key of the filter to match', function () {
+    expect(editor.getFiles({ tags: 'blog', author: 'me' })).to.only.have.key(fooFile);
+  });
+});
+
+describe('.listFiles([options])', function () {
+  var testEl
+    , id
+    , editor;
+
+  function addFile(name, created, modified) {
+    editor.importFile(name, JSON.stringify({ content: name, created: new Date(created), modified: new Date(modified) }), 'json');
+  }
+
+  function names(files) {
+    return files.map(function (file) {
+      return file.name;
+    });
+  }
+
+  beforeEach(function () {
+    id = rnd();
+    testEl = createContainer(id);
+    editor = new EpicEditor(
+      { basePath: '/epiceditor/'
+      , container: testEl
+      , localStorageName: 'getFilesQuery' + id
+      , file: { name: 'notes/b', autoSave: false }
+      }).load();
+    addFile('notes/b', 2000, 5000);
+    addFile('notes/a', 3000, 4000);
+    addFile('todo', 1000, 6000);
+    editor.updateMeta('todo', { tags: ['urgent'] });
+  });
+
+  afterEach(function () {
+    editor.unload();
+    removeContainer(id);
+  });
+
+  it('should return a list sorted by name', function () {
+    var files = editor.listFiles({ sort: 'name' });
+    expect(files).to.be.an('array');
+    expect(names(files)).to.eql(['notes/a', 'notes/b', 'todo']);
+    expect(files[0].content).to.be('notes/a');
+    expect(files[0]).to.have.property('modified');
+  });
+
+  it('should sort by date, newest first unless asked otherwise', function () {
+    expect(names(editor.listFiles({ sort: 'modified' }))).to.eql(['todo', 'notes/b', 'notes/a']);
+    expect(names(editor.listFiles({ sort: 'created', order: 'asc' }))).to.eql(['todo', 'notes/b', 'notes/a']);
+    expect(names(editor.listFiles({ sort: 'name', order: 'desc' }))).to.eql(['todo', 'notes/b', 'notes/a']);
+  });
+
+  it('should filter by name prefix', function () {
+    expect(names(editor.listFiles({ prefix: 'notes/' }))).to.eql(['notes/a', 'notes/b']);
+  });
+
+  it('should filter by modified date', function () {
+    expect(names(editor.listFiles({ since: 4500 }))).to.eql(['notes/b', 'todo']);
+    expect(names(editor.listFiles({ since: new Date(4500), until: new Date(5500) }))).to.eql(['notes/b']);
+  });
+
+  it('should filter by meta data', function () {
+    expect(names(editor.listFiles({ meta: { tags: 'urgent' } }))).to.eql(['todo']);
+  });
+
+  it('should return a page of files', function () {
+    expect(names(editor.listFiles({ offset: 1, limit: 1 }))).to.eql(['notes/b']);
+    expect(names(editor.listFiles({ offset: 2, limit: 5 }))).to.eql(['todo']);
+    expect(names(editor.listFiles({ offset: 1 }))).to.eql(['notes/b', 'todo']);
+  });
+
+  it('should return no files for a limit of zero', function () {
+    expect(editor.listFiles({ limit: 0 })).to.eql([]);
+  });
+
+  it('should refuse to sort by anything else than name or date', function () {
+    expect(function () {
+      editor.listFiles({ sort: 'size' });
+    }).to.throwError();
+  });
+
+  it('should list every file without options', function () {
+    expect(names(editor.listFiles())).to.eql(['notes/a', 'notes/b', 'todo']);
+  });
+
+  it('should leave out content when asked to', function () {
+    expect(editor.listFiles({ excludeContent: true })[0]).not.to.have.property('content');
+  });
+
+  it('should not change the stored files when a returned one is changed', function () {
+    var before = localStorage.getItem('__file-getFilesQuery' + id + '/notes/a');
+    editor.listFiles({ sort: 'name' })[0].meta.title = 'changed';
+    editor.getFiles('notes/a').content = 'changed';
+    editor.getFiles('notes/a').meta.title = 'changed';
+    expect(localStorage.getItem('__file-getFilesQuery' + id + '/notes/a')).to.be(before);
+  });
 });
@@ -0,0 +1,144 @@
+/*global createContainer:false, removeContainer:false, rnd:false */
+
+describe('Syntax highlighting', function () {
+  var testEl
+    , id
+    , editor
+    , body;
+
+  function makeEditor(highlight) {
+    var opts =
+      { basePath: '/epiceditor/'
+      , container: testEl
+      , localStorageName: 'highlight' + id
+      , file: { name: 'notes', autoSave: false }
+      };
+    if (highlight !== undefined) {
+      opts.highlight = highlight;
+    }
+    editor = new EpicEditor(opts).load();
+    body = editor.getElement('editor').body;
+    return editor;
+  }
+
+  function tokens(type) {
+    var found = body.querySelectorAll('.epiceditor-md-' + type)
+      , text = []
+      , i;
+    for (i = 0; i < found.length; i++) {
+      text.push(found[i].textContent);
+    }
+    return text;
+  }
+
+  beforeEach(function () {
+    id = rnd();
+    testEl = createContainer(id);
+  });
+
+  afterEach(function () {
+    editor.unload();
+    removeContainer(id);
+  });
+
+  it('should highlight headings, emphasis, code, links, lists and blockquotes', function () {
+    makeEditor(true);
+    editor.importFile('notes', '# Title\n\nSome *em* and **strong** with `code` and [a link](http://example.com).\n\n- item\n1. first\n\n> quoted\n\n```\nfenced\n```');
+    expect(tokens('heading')).to.eql(['# Title']);
+    expect(tokens('em')).to.eql(['*em*']);
+    expect(tokens('strong')).to.eql(['**strong**']);
+    expect(tokens('code')).to.eql(['`code`']);
+    expect(tokens('link')).to.eql(['[a link](http://example.com)']);
+    expect(tokens('url')).to.eql(['](http://example.com)']);
+    expect(tokens('list')).to.eql(['-', '1.']);
+    expect(tokens('quote')).to.eql(['> quoted']);
+    expect(tokens('fence')).to.eql(['```', 'fenced', '```']);
+  });
+
+  it('should mark the Markdown syntax itself', function () {
+    makeEditor(true);
+    editor.importFile('notes', '## Two\n\n**bold**');
+    expect(tokens('syntax')).to.eql(['##', '**', '**']);
+  });
+
+  it('should highlight setext headings', function () {
+    makeEditor(true);
+    editor.importFile('notes', 'Title\n=====');
+    expect(tokens('heading')).to.eql(['Title', '=====']);
+  });
+
+  it('should leave underscores inside words and escaped characters alone', function () {
+    makeEditor(true);
+    editor.importFile('notes', 'snake_case_name and \\*not emphasis\\*');
+    expect(tokens('em')).to.eql([]);
+  });
+
+  it('should not change the text', function () {
+    var content = '# Title\r\n\n* a *b* `c` <http://d.example.com>\n> e\n```\n\t<f>\n```\n';
+    makeEditor(true);
+    editor.importFile('notes', content);
+    expect(body.querySelectorAll('span').length).to.be.greaterThan(0);
+    expect(editor.is('dirty')).to.be(false);
+    editor.save();
+    expect(editor.exportFile('notes')).to.be(content);
+  });
+
+  it('should highlight what is typed shortly after it changes', function (done) {
+    makeEditor(true);
+    body.innerHTML = '# typed';
+    expect(tokens('heading')).to.eql([]);
+    setTimeout(function () {
+      expect(tokens('heading')).to.eql(['# typed']);
+      editor.save();
+      expect(editor.exportFile('notes')).to.be('# typed');
+      done();
+    }, 200);
+  });
+
+  it('should keep the caret where it was in the text', function (done) {
+    var doc
+      , range;
+    makeEditor(true);
+    doc = editor.getElement('editor');
+    body.innerHTML = 'some **bold** text';
+    range = doc.createRange();
+    range.setStart(body.firstChild, 10);
+    range.setEnd(body.firstChild, 10);
+    doc.getSelection().removeAllRanges();
+    doc.getSelection().addRange(range);
+    setTimeout(function () {
+      var selection = doc.getSelection().getRangeAt(0)
+        , before = doc.createRange();
+      expect(tokens('strong')).to.eql(['**bold**']);
+      before.setStart(body, 0);
+      before.setEnd(selection.startContainer, selection.startOffset);
+      expect(before.toString()).to.be('some **bol');
+      done();
+    }, 200);
+  });
+
+  it('should not add a step to the undo history', function (done) {
+    makeEditor(true);
+    body.innerHTML = '# typed';
+    setTimeout(function () {
+      expect(tokens('heading')).to.eql(['# typed']);
+      editor.undo();
+      expect(editor.canUndo()).to.be(false);
+      expect(body.textContent).to.be('');
+      done();
+    }, 700);
+  });
+
+  it('should show plain text when highlighting is turned off', function () {
+    makeEditor(false);
+    editor.importFile('notes', '# Title *em*');
+    expect(body.innerHTML).to.be('# Title *em*');
+  });
+
+  it('should leave highlighting off unless it\'s turned on', function () {
+    makeEditor();
+    editor.importFile('notes', '# Title *em*');
+    expect(editor.settings.highlight).to.be(false);
+    expect(body.innerHTML).to.be('# Title *em*');
+  });
+});
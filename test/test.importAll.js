@@ -0,0 +1,168 @@
+/*global createContainer:false, removeContainer:false, rnd:false */
+
+describe('.exportAll() and .importAll(archive, [strategy])', function () {
+  var testEl
+    , id
+    , editor
+    , archive;
+
+  beforeEach(function () {
+    id = rnd();
+    testEl = createContainer(id);
+    editor = new EpicEditor(
+      { basePath: '/epiceditor/'
+      , container: testEl
+      , localStorageName: 'importAll' + id
+      , file: { name: 'a', autoSave: false }
+      }).load();
+    editor.importFile('a', 'first', 'md', { title: 'A' });
+    editor.importFile('b', 'second');
+    editor.createFolder('notes');
+    archive = editor.exportAll();
+  });
+
+  afterEach(function () {
+    editor.unload();
+    removeContainer(id);
+  });
+
+  it('should export every file and folder as a versioned archive', function () {
+    var parsed = JSON.parse(archive);
+    expect(parsed.format).to.be('epiceditor');
+    expect(parsed.version).to.be(1);
+    expect(parsed.files.a.content).to.be('first');
+    expect(parsed.files.a.meta).to.eql({ title: 'A' });
+    expect(parsed.files.a).to.have.property('created');
+    expect(parsed.files.a).to.have.property('modified');
+    expect(parsed.files.b.content).to.be('second');
+    expect(parsed.folders).to.have.property('notes');
+  });
+
+  it('should add missing files without opening them', function () {
+    editor.remove('b');
+    editor.open('a');
+    expect(editor.importAll(archive).added).to.eql(['b']);
+    expect(editor.exportFile('b')).to.be('second');
+    expect(editor.settings.file.name).to.be('a');
+  });
+
+  it('should skip files that are the same or newer when merging', function () {
+    var report;
+    editor.open('b');
+    editor.getElement('editor').body.innerHTML = 'newer';
+    editor.save();
+    report = editor.importAll(archive);
+    expect(report.skipped).to.contain('a');
+    expect(report.skipped).to.contain('b');
+    expect(editor.exportFile('b')).to.be('newer');
+  });
+
+  it('should update files the archive has a newer version of and refresh the open file', function () {
+    var parsed = JSON.parse(archive)
+      , report;
+    parsed.files.a.content = 'restored';
+    parsed.files.a.modified = new Date(new Date().getTime() + 60000);
+    editor.open('a');
+    report = editor.importAll(parsed);
+    expect(report.updated).to.eql(['a']);
+    expect(editor.exportFile('a')).to.be('restored');
+    expect(editor.getElement('editor').body.innerHTML).to.be('restored');
+    expect(editor.getRevisions('a')[0].content).to.be('first');
+  });
+
+  it('should keep files that aren\'t in the archive when merging', function () {
+    editor.importFile('c', 'third');
+    expect(editor.importAll(archive).removed).to.eql([]);
+    expect(editor.exportFile('c')).to.be('third');
+  });
+
+  it('should remove files and folders that aren\'t in the archive when replacing', function () {
+    var report;
+    editor.importFile('c', 'third');
+    editor.createFolder('other');
+    editor.open('a');
+    report = editor.importAll(archive, 'replace');
+    expect(report.removed).to.eql(['c']);
+    expect(editor.getFiles('c')).to.be(undefined);
+    expect(editor.listFolder().map(function (item) { return item.name; })).to.eql(['notes', 'a', 'b']);
+  });
+
+  it('should empty the editor and keep saving when replacing removes the open file', function () {
+    editor.importFile('c', 'third');
+    editor.importAll(archive, 'replace');
+    expect(editor.getElement('editor').body.innerHTML).to.be('');
+    editor.getElement('editor').body.innerHTML = 'retyped';
+    editor.save(false, true);
+    expect(editor.exportFile('c')).to.be('retyped');
+  });
+
+  it('should overwrite newer files when replacing', function () {
+    editor.open('b');
+    editor.getElement('editor').body.innerHTML = 'newer';
+    editor.save();
+    expect(editor.importAll(archive, 'replace').updated).to.eql(['b']);
+    expect(editor.exportFile('b')).to.be('second');
+  });
+
+  it('should leave the sync state of this workspace out of the archive', function () {
+    var key = '__file-importAll' + id + '/a'
+      , file = JSON.parse(localStorage.getItem(key))
+      , parsed;
+    file.revision = 'r1';
+    file.syncedHash = 'hash';
+    file.uncommitted = true;
+    localStorage.setItem(key, JSON.stringify(file));
+    parsed = JSON.parse(editor.exportAll());
+    expect(parsed.files.a).not.to.have.property('revision');
+    expect(parsed.files.a).not.to.have.property('syncedHash');
+    expect(parsed.files.a).not.to.have.property('uncommitted');
+    expect(JSON.parse(editor.exportFile('a', 'json'))).not.to.have.property('revision');
+  });
+
+  it('should ignore sync state in an archive and keep the local file\'s', function () {
+    var key = '__file-importAll' + id + '/a'
+      , parsed = JSON.parse(archive)
+      , file = JSON.parse(localStorage.getItem(key));
+    file.revision = 'local';
+    file.syncedHash = 'local hash';
+    localStorage.setItem(key, JSON.stringify(file));
+    parsed.files.a.content = 'restored';
+    parsed.files.a.modified = new Date(new Date().getTime() + 60000);
+    parsed.files.a.revision = 'elsewhere';
+    parsed.files.a.uncommitted = true;
+    parsed.files.c = { content: 'third', revision: 'elsewhere', syncedHash: 'other hash', uncommitted: true };
+    editor.open('b');
+    editor.importAll(parsed);
+    file = JSON.parse(localStorage.getItem(key));
+    expect(file.content).to.be('restored');
+    expect(file.revision).to.be('local');
+    expect(file.syncedHash).to.be('local hash');
+    expect(file).not.to.have.property('uncommitted');
+    file = JSON.parse(localStorage.getItem('__file-importAll' + id + '/c'));
+    expect(file).not.to.have.property('revision');
+    expect(file).not.to.have.property('syncedHash');
+    expect(file).not.to.have.property('uncommitted');
+  });
+
+  it('should fire the importall event with the report', function () {
+    var fired;
+    editor.remove('b');
+    editor.on('importall', function (report) {
+      fired = report;
+    });
+    editor.importAll(archive);
+    expect(fired.added).to.eql(['b']);
+  });
+
+  it('should refuse archives it can\'t read and change nothing', function () {
+    var errors = [];
+    editor.on('error', function (err) {
+      errors.push(err.code);
+    });
+    expect(editor.importAll('{not json')).to.be(null);
+    expect(editor.importAll({ files: {} }, 'replace')).to.be(null);
+    expect(editor.importAll({ format: 'epiceditor', version: 99, files: {} }, 'replace')).to.be(null);
+    expect(errors).to.eql(['PARSE_ERROR', 'PARSE_ERROR', 'PARSE_ERROR']);
+    expect(editor.exportFile('b')).to.be('second');
+  });
+});
@@ -1,6 +1,6 @@
 /*global createContainer:false, removeContainer:false, rnd:false */
 
-describe('.importFile([fileName],[content])', function () {
+describe('.importFile([fileName],[content],[kind],[meta])', function () {
   var testEl
     , id
     , editor
@@ -53,6 +53,97 @@ describe('.importFile([fileName],[content])', function () {
     expect(eventFired).to.be(false);
   });
 
-  // TODO: Tests for importFile's kind parameter when implemented
-  // TODO: Tests for importFile's meta parameter when implemented
+  it('should save the meta data with the file', function () {
+    editor.importFile(fooFile, 'foo', 'md', { title: 'Foo', tags: ['draft'] });
+    expect(editor.getFiles(fooFile).meta).to.eql({ title: 'Foo', tags: ['draft'] });
+  });
+
+  it('should keep the meta data when importing again without it', function () {
+    editor.importFile(fooFile, 'foo', 'md', { title: 'Foo' });
+    editor.importFile(fooFile, 'bar');
+    expect(editor.getFiles(fooFile).meta.title).to.be('Foo');
+  });
+
+  it('should convert html to Markdown', function () {
+    editor.importFile(fooFile, '<h1>Title</h1><p>Some <strong>bold</strong> and <em>italic</em> <a href="/x">text</a></p><ul><li>one</li><li>two</li></ul>', 'html');
+    expect(editor.exportFile(fooFile)).to.be('# Title\n\nSome **bold** and _italic_ [text](/x)\n\n- one\n- two');
+  });
+
+  it('should keep code blocks intact when converting html', function () {
+    editor.importFile(fooFile, '<pre><code>  var x = 1;\n</code></pre>', 'html');
+    expect(editor.exportFile(fooFile)).to.be('```\n  var x = 1;\n```');
+  });
+
+  it('should not run scripts in imported html', function () {
+    window.importFileRan = false;
+    editor.importFile(fooFile, '<img src="x" onerror="window.importFileRan = true"><script>window.importFileRan = true</script>', 'html');
+    expect(window.importFileRan).to.be(false);
+  });
+
+  it('should escape Markdown in plain text', function () {
+    editor.importFile(fooFile, '# not a heading *or* _emphasis_', 'text');
+    expect(editor.exportFile(fooFile, 'html')).to.be('<p># not a heading *or* _emphasis_</p>\n');
+  });
+
+  it('should keep line breaks in plain text', function () {
+    editor.importFile(fooFile, 'one\ntwo', 'text');
+    expect(editor.exportFile(fooFile, 'html')).to.be('<p>one<br>two</p>\n');
+  });
+
+  it('should import json exported by exportFile with its timestamps and meta data', function () {
+    var json;
+    editor.importFile(fooFile, 'round trip', 'md', { title: 'Trip' });
+    json = editor.exportFile(fooFile, 'json');
+    editor.importFile(fooFile + 'copy', json, 'json');
+    expect(editor.exportFile(fooFile + 'copy')).to.be('round trip');
+    expect(editor.getFiles(fooFile + 'copy').created.getTime()).to.be(new Date(JSON.parse(json).created).getTime());
+    expect(editor.getFiles(fooFile + 'copy').modified.getTime()).to.be(new Date(JSON.parse(json).modified).getTime());
+    expect(editor.getFiles(fooFile + 'copy').meta).to.eql({ title: 'Trip' });
+  });
+
+  it('should emit an error and import nothing when the json is invalid', function () {
+    var error;
+    editor.on('error', function (err) {
+      error = err;
+    });
+    editor.importFile(fooFile, '{nope', 'json');
+    expect(error.code).to.be('PARSE_ERROR');
+    expect(editor.exportFile(fooFile)).to.be(undefined);
+  });
+
+  it('should reject json that isn\'t an exported file', function () {
+    var errors = [];
+    editor.on('error', function (err) {
+      errors.push(err);
+    });
+    ['null', '3', '"x"', '[]', '{"content": 5}'].forEach(function (json) {
+      editor.importFile(fooFile, json, 'json');
+    });
+    expect(errors.length).to.be(5);
+    expect(errors[0].code).to.be('PARSE_ERROR');
+    expect(editor.exportFile(fooFile)).to.be(undefined);
+  });
+
+  it('should keep the text of links and images that point nowhere', function () {
+    editor.importFile(fooFile, '<p><a name="top">Top</a> <img alt="logo"></p>', 'html');
+    expect(editor.exportFile(fooFile)).to.be('Top logo');
+  });
+
+  it('should keep link and image destinations with spaces and parentheses inside the link', function () {
+    var preview = document.createElement('div');
+    editor.importFile(fooFile, '<p><a href="/wiki/Foo_(bar) baz">Foo</a> <img src="my pic.png" alt="[pic]"></p>', 'html');
+    expect(editor.exportFile(fooFile)).to.be('[Foo](/wiki/Foo_%28bar%29%20baz) ![\\[pic\\]](my%20pic.png)');
+    preview.innerHTML = editor.settings.parser(editor.exportFile(fooFile));
+    expect(preview.getElementsByTagName('a')[0].getAttribute('href')).to.be('/wiki/Foo_%28bar%29%20baz');
+    expect(preview.getElementsByTagName('img')[0].getAttribute('src')).to.be('my%20pic.png');
+  });
+
+  it('should escape quotes in link and image titles', function () {
+    var preview = document.createElement('div');
+    editor.importFile(fooFile, '<p><a href="a.html" title=\'Say "hi"\'>A</a> <img src="b.png" alt="B" title=\'a "b" &amp;c\'></p>', 'html');
+    expect(editor.exportFile(fooFile)).to.be('[A](a.html "Say &quot;hi&quot;") ![B](b.png "a &quot;b&quot; &amp;c")');
+    preview.innerHTML = editor.settings.parser(editor.exportFile(fooFile));
+    expect(preview.getElementsByTagName('a')[0].title).to.be('Say "hi"');
+    expect(preview.getElementsByTagName('img')[0].title).to.be('a "b" &c');
+  });
 });
@@ -0,0 +1,283 @@
+/*global createContainer:false, removeContainer:false, rnd:false */
+
+describe('Storage migrations', function () {
+  var testEl
+    , id
+    , editor
+    , storeName;
+
+  function makeEditor() {
+    editor = new EpicEditor(
+      { basePath: '/epiceditor/'
+      , container: testEl
+      , localStorageName: storeName
+      , file: { name: 'notes', autoSave: false }
+      });
+    return editor.load();
+  }
+
+  function schemaVersion() {
+    return JSON.parse(localStorage.getItem('__schema-' + storeName)).version;
+  }
+
+  beforeEach(function () {
+    id = rnd();
+    storeName = 'migrations' + id;
+    testEl = createContainer(id);
+  });
+
+  afterEach(function () {
+    editor.unload();
+    removeContainer(id);
+  });
+
+  it('should mark a new workspace with the latest schema version', function () {
+    makeEditor();
+    expect(schemaVersion()).to.be(3);
+    expect(editor.getFiles()).to.have.property('notes');
+  });
+
+  it('should upgrade a store from before there was a schema version', function () {
+    var file;
+    localStorage.setItem(storeName, JSON.stringify(
+      { notes: { content: 'old', created: 1356998400000, modified: 'not a date' }
+      , broken: { content: null, created: '2013-01-01T00:00:00.000Z', modified: '2013-01-02T00:00:00.000Z', meta: [] }
+      }));
+    makeEditor();
+    file = editor.getFiles('notes');
+    expect(file.content).to.be('old');
+    expect(new Date(file.created).getTime()).to.be(1356998400000);
+    expect(isNaN(new Date(file.modified).getTime())).to.be(false);
+    expect(file.meta).to.eql({});
+    file = editor.getFiles('broken');
+    expect(file.content).to.be('');
+    expect(file.modified.toISOString()).to.be('2013-01-02T00:00:00.000Z');
+    expect(file.meta).to.eql({});
+    expect(schemaVersion()).to.be(3);
+  });
+
+  it('should split a store holding every file into a key per file', function () {
+    var revisions = { notes: [{ id: 1, content: 'older', created: 1, modified: 1 }] };
+    localStorage.setItem(storeName, JSON.stringify(
+      { notes: { content: 'first', created: 1, modified: 2, meta: {} }
+      , other: { content: 'second', created: 1, modified: 2, meta: {} }
+      }));
+    localStorage.setItem('__schema-' + storeName, JSON.stringify({ version: 1 }));
+    localStorage.setItem('__revisions-' + storeName, JSON.stringify(revisions));
+    makeEditor();
+    expect(JSON.parse(localStorage.getItem(storeName))).to.eql({ notes: true, other: true });
+    expect(JSON.parse(localStorage.getItem('__file-' + storeName + '/other')).content).to.be('second');
+    expect(localStorage.getItem('__revisions-' + storeName)).to.be(null);
+    expect(editor.getRevisions('notes')[0].content).to.be('older');
+    expect(editor.exportFile('other')).to.be('second');
+    expect(schemaVersion()).to.be(3);
+  });
+
+  it('should leave the old stores alone when splitting them runs out of room', function () {
+    var adapter = EpicEditor.storage.memory()
+      , set = adapter.set
+      , store = JSON.stringify(
+        { notes: { content: 'first', created: 1, modified: 2, meta: {} }
+        , other: { content: 'second', created: 1, modified: 2, meta: {} }
+        })
+      , revisions = JSON.stringify({ notes: [{ id: 1, content: 'older', created: 1, modified: 1 }] })
+      , fileWrites = 0
+      , errors = [];
+    adapter.set(storeName, store);
+    adapter.set('__schema-' + storeName, JSON.stringify({ version: 1 }));
+    adapter.set('__revisions-' + storeName, revisions);
+    adapter.set('__draft-' + storeName, store);
+    adapter.set = function (key, value) {
+      var e;
+      if (key.indexOf('__file-') === 0 && ++fileWrites == 2) {
+        e = new Error('full');
+        e.name = 'QuotaExceededError';
+        throw e;
+      }
+      set(key, value);
+    };
+    editor = new EpicEditor(
+      { basePath: '/epiceditor/'
+      , container: testEl
+      , localStorageName: storeName
+      , storage: adapter
+      , file: { name: 'notes', autoSave: false }
+      });
+    editor.on('error', function (err) {
+      errors.push(err.code);
+    });
+    editor.load();
+    expect(errors).to.contain('QUOTA_EXCEEDED');
+    expect(errors).to.contain('MIGRATION_FAILED');
+    expect(editor.is('locked')).to.be(true);
+    expect(adapter.get(storeName)).to.be(store);
+    expect(adapter.get('__revisions-' + storeName)).to.be(revisions);
+    expect(JSON.parse(adapter.get('__schema-' + storeName)).version).to.be(1);
+    expect(adapter.get('__draft-' + storeName)).to.be(undefined);
+    expect(adapter.list().filter(function (key) {
+      return key.indexOf('__file-') === 0 || key.indexOf('__revisions-' + storeName + '/') === 0;
+    })).to.eql([]);
+  });
+
+  // An adapter that commits writes later, like IndexedDB, and can be told
+  // which write fails
+  function asyncAdapter(fails) {
+    var memory = EpicEditor.storage.memory();
+    return {
+      async: true
+    , memory: memory
+    , get: memory.get
+    , list: memory.list
+    , set: function (key, value, done) {
+        memory.set(key, value);
+        setTimeout(function () {
+          if (done) {
+            done(fails(key) ? new Error('Writing failed') : null);
+          }
+        }, 5);
+      }
+    , remove: function (key, done) {
+        memory.remove(key);
+        setTimeout(function () {
+          if (done) {
+            done(null);
+          }
+        }, 5);
+      }
+    };
+  }
+
+  function oldStores(adapter) {
+    adapter.memory.set(storeName, JSON.stringify(
+      { notes: { content: 'first', created: 1, modified: 2, meta: {} }
+      , other: { content: 'second', created: 1, modified: 2, meta: {} }
+      }));
+    adapter.memory.set('__schema-' + storeName, JSON.stringify({ version: 1 }));
+    adapter.memory.set('__revisions-' + storeName, JSON.stringify({ notes: [{ id: 1, content: 'older', created: 1, modified: 1 }] }));
+  }
+
+  it('should wait for an asynchronous adapter to commit the split files before replacing the old stores', function (done) {
+    var adapter = asyncAdapter(function () {
+      return false;
+    });
+    oldStores(adapter);
+    editor = new EpicEditor(
+      { basePath: '/epiceditor/'
+      , container: testEl
+      , localStorageName: storeName
+      , storage: adapter
+      , file: { name: 'notes', autoSave: false }
+      }).load();
+    expect(editor.is('locked')).to.be(true);
+    expect(adapter.get('__revisions-' + storeName)).not.to.be(undefined);
+    setTimeout(function () {
+      expect(editor.is('locked')).to.be(false);
+      expect(JSON.parse(adapter.get(storeName))).to.eql({ notes: true, other: true });
+      expect(adapter.get('__revisions-' + storeName)).to.be(undefined);
+      expect(JSON.parse(adapter.get('__schema-' + storeName)).version).to.be(3);
+      expect(editor.getElement('editor').body.innerHTML).to.be('first');
+      expect(editor.getRevisions('notes')[0].content).to.be('older');
+      done();
+    }, 100);
+  });
+
+  it('should leave the old stores alone when an asynchronous adapter fails to commit a split file', function (done) {
+    var errors = []
+      , adapter = asyncAdapter(function (key) {
+        return key == '__file-' + storeName + '/other';
+      })
+      , store;
+    oldStores(adapter);
+    store = adapter.get(storeName);
+    editor = new EpicEditor(
+      { basePath: '/epiceditor/'
+      , container: testEl
+      , localStorageName: storeName
+      , storage: adapter
+      , file: { name: 'notes', autoSave: false }
+      });
+    editor.on('error', function (err) {
+      errors.push(err.code);
+    });
+    editor.load();
+    setTimeout(function () {
+      expect(errors).to.contain('WRITE_FAILED');
+      expect(errors).to.contain('MIGRATION_FAILED');
+      expect(editor.is('locked')).to.be(true);
+      expect(adapter.get(storeName)).to.be(store);
+      expect(adapter.get('__revisions-' + storeName)).not.to.be(undefined);
+      expect(JSON.parse(adapter.get('__schema-' + storeName)).version).to.be(1);
+      expect(adapter.list().filter(function (key) {
+        return key.indexOf('__file-') === 0;
+      })).to.eql([]);
+      done();
+    }, 100);
+  });
+
+  it('should turn the no-break spaces older versions read back into spaces', function () {
+    localStorage.setItem(storeName, JSON.stringify({ notes: true }));
+    localStorage.setItem('__file-' + storeName + '/notes', JSON.stringify({ content: 'a\u00a0 b', created: 1, modified: 2, meta: {} }));
+    localStorage.setItem('__revisions-' + storeName + '/notes', JSON.stringify({ revisions: [{ id: 1, content: '\u00a0 \u00a0 code', created: 1, modified: 1 }] }));
+    localStorage.setItem('__schema-' + storeName, JSON.stringify({ version: 2 }));
+    makeEditor();
+    expect(editor.exportFile('notes')).to.be('a  b');
+    expect(editor.getRevisions('notes')[0].content).to.be('    code');
+    expect(schemaVersion()).to.be(3);
+  });
+
+  it('should keep the no-break spaces that were typed between words', function () {
+    localStorage.setItem(storeName, JSON.stringify({ notes: true }));
+    localStorage.setItem('__file-' + storeName + '/notes', JSON.stringify({ content: '10\u00a0km\n\u00a0indented\r\nend\u00a0\nfoo\u00a0\u00a0bar', created: 1, modified: 2, meta: {} }));
+    localStorage.setItem('__schema-' + storeName, JSON.stringify({ version: 2 }));
+    makeEditor();
+    expect(editor.exportFile('notes')).to.be('10\u00a0km\n indented\r\nend \nfoo\u00a0\u00a0bar');
+    expect(schemaVersion()).to.be(3);
+  });
+
+  it('should leave a store in the current format as it is', function () {
+    var file = JSON.stringify(
+      { content: 'current'
+      , created: '2013-01-01T00:00:00.000Z'
+      , modified: '2013-01-02T00:00:00.000Z'
+      , meta: { tags: ['a'] }
+      });
+    localStorage.setItem(storeName, JSON.stringify({ notes: true }));
+    localStorage.setItem('__file-' + storeName + '/notes', file);
+    localStorage.setItem('__schema-' + storeName, JSON.stringify({ version: 3 }));
+    makeEditor();
+    expect(localStorage.getItem('__file-' + storeName + '/notes')).to.be(file);
+    expect(editor.getFiles('notes').meta).to.eql({ tags: ['a'] });
+  });
+
+  it('should not touch stores written by a newer version', function () {
+    var store = JSON.stringify({ notes: { content: 'future', created: 1, modified: 1 } });
+    localStorage.setItem(storeName, store);
+    localStorage.setItem('__schema-' + storeName, JSON.stringify({ version: 99 }));
+    makeEditor();
+    expect(localStorage.getItem(storeName)).to.be(store);
+    expect(schemaVersion()).to.be(99);
+  });
+
+  it('should emit SCHEMA_TOO_NEW to listeners attached before loading', function () {
+    var errors = [];
+    localStorage.setItem(storeName, JSON.stringify({ notes: true }));
+    localStorage.setItem('__schema-' + storeName, JSON.stringify({ version: 99 }));
+    editor = new EpicEditor(
+      { basePath: '/epiceditor/'
+      , container: testEl
+      , localStorageName: storeName
+      , file: { name: 'notes', autoSave: false }
+      });
+    editor.on('error', function (err) {
+      errors.push(err.code);
+    });
+    editor.load();
+    expect(errors[0]).to.be('SCHEMA_TOO_NEW');
+  });
+
+  it('should hand back dates as Date objects', function () {
+    makeEditor();
+    expect(editor.getFiles('notes').created).to.be.a(Date);
+    expect(editor.getFiles('notes').modified).to.be.a(Date);
+  });
+});
@@ -75,6 +75,33 @@ describe('EpicEditor([options])', function () {
       expect(wrapper.getElementsByClassName('epiceditor-toggle-edit-btn').length)
         .to.equal(1);
     });
+    it('should not show any formatting buttons by default', function () {
+      editor = new EpicEditor(opts).load();
+      var wrapper = editor.getElement('wrapper');
+      expect(wrapper.getElementsByClassName('epiceditor-format-btn').length)
+        .to.equal(0);
+      expect(wrapper.getElementsByClassName('epiceditor-format-bar').length)
+        .to.equal(0);
+    });
+    it('should turn formatting buttons on one at a time', function () {
+      opts.button = { bold: true, heading4: true };
+      editor = new EpicEditor(opts).load();
+      var wrapper = editor.getElement('wrapper');
+      expect(wrapper.getElementsByClassName('epiceditor-format-bold-btn').length)
+        .to.equal(1);
+      expect(wrapper.getElementsByClassName('epiceditor-format-heading4-btn').length)
+        .to.equal(1);
+      expect(wrapper.getElementsByClassName('epiceditor-format-italic-btn').length)
+        .to.equal(0);
+      expect(wrapper.getElementsByClassName('epiceditor-format-bar').length)
+        .to.equal(1);
+    });
+    it('should not show any formatting buttons if the buttons config is set to false', function () {
+      opts.button = false;
+      editor = new EpicEditor(opts).load();
+      expect(editor.getElement('wrapper').getElementsByClassName('epiceditor-format-btn').length)
+        .to.equal(0);
+    });
     it('should always hide buttons if bar is hide', function () {
       opts.button = {bar: 'hide'};
       editor = new EpicEditor(opts).load();
@@ -174,6 +201,16 @@ describe('EpicEditor([options])', function () {
       expect(editor.getElement('wrapper').getElementsByClassName('epiceditor-fullscreen-btn')[0].title)
         .to.be('Qux');
     });
+    it('should label the formatting buttons with their strings', function () {
+      opts.string = {
+        bold: 'Fett'
+      }
+      opts.button = { bold: true };
+      editor = new EpicEditor(opts).load();
+      var button = editor.getElement('wrapper').getElementsByClassName('epiceditor-format-bold-btn')[0];
+      expect(button.title).to.be('Fett');
+      expect(button.textContent).to.be('Fett');
+    });
   });
   describe('options.theme', function () {
     var editorStylesheet;
@@ -293,8 +330,9 @@ describe('EpicEditor([options])', function () {
 
       // Add content before the editor loads
       eeTestStorage = JSON.parse(localStorage['epiceditor'] || "{}");
-      eeTestStorage[id] = { content: id };
+      eeTestStorage[id] = true;
       localStorage['epiceditor'] = JSON.stringify(eeTestStorage);
+      localStorage['__file-epiceditor/' + id] = JSON.stringify({ content: id });
     });
     afterEach(function () {
       document.body.removeChild(textareaElement);
@@ -312,73 +350,54 @@ describe('EpicEditor([options])', function () {
       var editor = new EpicEditor(opts).load();
       expect(textareaElement.value).to.be(id);
     });
-    it('should sync the content of the editor when the editor is updated', function (done) {
+    it('should sync the content of the editor when the editor is updated', function () {
       var editor = new EpicEditor(opts).load();
       expect(textareaElement.value).to.be(id);
 
       editor.getElement('editor').body.innerHTML = 'Manually added';
-      setTimeout(function () {
-        expect(textareaElement.value).to.be('Manually added');
-        done();
-      }, 100)
+      // Save the change right away instead of waiting for the autosave
+      editor.flush();
+      expect(textareaElement.value).to.be('Manually added');
     });
-    it('should sync the content of the editor when content is imported', function (done) {
+    it('should sync the content of the editor when content is imported', function () {
       var editor = new EpicEditor(opts).load();
       expect(textareaElement.value).to.be(id);
 
       editor.importFile(null, 'Imported');
-      setTimeout(function () {
-        expect(textareaElement.value).to.be('Imported');
-        done();
-      }, 100)
+      expect(textareaElement.value).to.be('Imported');
     });
-    it('should sync the content of the editor when content is imported with a different name', function (done) {
+    it('should sync the content of the editor when content is imported with a different name', function () {
       var editor = new EpicEditor(opts).load();
       expect(textareaElement.value).to.be(id);
 
       editor.importFile(id + 'blahblah', 'Imported');
-      setTimeout(function () {
-        expect(textareaElement.value).to.be('Imported');
-        done();
-      }, 100)
+      expect(textareaElement.value).to.be('Imported');
     });
-    it('should sync the content of the editor when the editor is updated AND autoSave is OFF', function (done) {
+    it('should sync the content of the editor when the editor is updated AND autoSave is OFF', function () {
       opts.file.autoSave = false;
       var editor = new EpicEditor(opts).load();
       editor.getElement('editor').body.innerHTML = 'Should update';
-      setTimeout(function () {
-        expect(textareaElement.value).to.be('Should update');
-        done();
-      }, 100);
+      editor.flush();
+      expect(textareaElement.value).to.be('Should update');
     });
-    it('should STOP syncing the content of the editor when the editor is unloaded', function (done) {
+    it('should STOP syncing the content of the editor when the editor is unloaded', function () {
       var editor = new EpicEditor(opts).load();
       expect(textareaElement.value).to.be(id);
       editor.importFile(id, '1');
-
-      setTimeout(function () {
-        editor.unload();
-        editor.importFile(id, '2');
-        expect(textareaElement.value).to.be('1');
-        done();
-      }, 100);
+      editor.unload();
+      editor.importFile(id, '2');
+      expect(textareaElement.value).to.be('1');
     });
-    it('should start resyncing the content of the editor when the editor is reloaded', function (done) {
+    it('should start resyncing the content of the editor when the editor is reloaded', function () {
       var editor = new EpicEditor(opts).load();
       expect(textareaElement.value).to.be(id);
       editor.importFile(id, '1');
-
-      setTimeout(function () {
-        editor.unload();
-        editor.importFile(id, '2');
-        expect(textareaElement.value).to.be('1');
-        editor.load();
-        editor.importFile(id, '3');
-        setTimeout(function () {
-          expect(textareaElement.value).to.be('3');
-          done();
-        }, 100);
-      }, 100);
+      editor.unload();
+      editor.importFile(id, '2');
+      expect(textareaElement.value).to.be('1');
+      editor.load();
+      editor.importFile(id, '3');
+      expect(textareaElement.value).to.be('3');
     });
     it('should put the content of the textarea as the content of the editor', function () {
       textareaElement.value = 'Use this';
@@ -33,4 +33,15 @@ describe('.rename(oldName, newName)', function () {
     editor.rename(oldName, newName);
     expect(editor.exportFile(oldName)).to.be(undefined);
   });
+
+  it('should move changes waiting for an autosave along with the file', function (done) {
+    editor.importFile('pending' + id, 'saved');
+    editor.getElement('editor').body.innerHTML = 'typed';
+    setTimeout(function () {
+      editor.rename('pending' + id, 'moved' + id);
+      expect(editor.exportFile('moved' + id)).to.be('typed');
+      expect(editor.exportFile('pending' + id)).to.be(undefined);
+      done();
+    }, 10);
+  });
 });
@@ -0,0 +1,159 @@
+/*global createContainer:false, removeContainer:false, rnd:false */
+
+describe('.getRevisions([name])', function () {
+  var testEl
+    , id
+    , editor
+    , opts;
+
+  beforeEach(function () {
+    id = rnd();
+    testEl = createContainer(id);
+    opts =
+      { basePath: '/epiceditor/'
+      , container: testEl
+      , file: { autoSave: false }
+      };
+  });
+
+  afterEach(function () {
+    editor.unload();
+    removeContainer(id);
+  });
+
+  it('should keep the previous content as a revision when a file is updated', function () {
+    editor = new EpicEditor(opts).load();
+    editor.importFile(id, 'first');
+    editor.importFile(id, 'second');
+    expect(editor.getRevisions(id).length).to.be(1);
+    expect(editor.getRevisions(id)[0].content).to.be('first');
+  });
+
+  it('should return the newest revision first', function () {
+    editor = new EpicEditor(opts).load();
+    editor.importFile(id, 'first');
+    editor.importFile(id, 'second');
+    editor.importFile(id, 'third');
+    expect(editor.getRevisions()[0].content).to.be('second');
+    expect(editor.getRevisions()[1].content).to.be('first');
+  });
+
+  it('should not keep more revisions than revisions.max', function () {
+    opts.file.revisions = { max: 2 };
+    editor = new EpicEditor(opts).load();
+    editor.importFile(id, 'first');
+    editor.importFile(id, 'second');
+    editor.importFile(id, 'third');
+    editor.importFile(id, 'fourth');
+    expect(editor.getRevisions().length).to.be(2);
+    expect(editor.getRevisions()[1].content).to.be('second');
+  });
+
+  it('should not keep revisions older than revisions.maxAge', function () {
+    var revisions = [{ id: 1, content: 'ancient', modified: new Date(0), created: new Date(0) }];
+    localStorage['__revisions-epiceditor/' + id] = JSON.stringify({ revisions: revisions });
+
+    opts.file.revisions = { maxAge: 60000 };
+    editor = new EpicEditor(opts).load();
+    editor.importFile(id, 'first');
+    editor.importFile(id, 'second');
+    expect(editor.getRevisions().length).to.be(1);
+    expect(editor.getRevisions()[0].content).to.be('first');
+  });
+
+  it('should only record a revision once per interval when autosaving', function () {
+    editor = new EpicEditor(opts).load();
+    editor.importFile(id, 'first');
+    editor.getElement('editor').body.innerHTML = 'second';
+    editor.save(false, true);
+    editor.getElement('editor').body.innerHTML = 'third';
+    editor.save(false, true);
+    expect(editor.getRevisions().length).to.be(1);
+  });
+
+  it('should not record revisions when revisions is false', function () {
+    opts.file.revisions = false;
+    editor = new EpicEditor(opts).load();
+    editor.importFile(id, 'first');
+    editor.importFile(id, 'second');
+    expect(editor.getRevisions().length).to.be(0);
+  });
+
+  it('should fire the revision event', function () {
+    var revision;
+    editor = new EpicEditor(opts).load();
+    editor.on('revision', function (r) {
+      revision = r;
+    });
+    editor.importFile(id, 'first');
+    editor.importFile(id, 'second');
+    expect(revision.content).to.be('first');
+  });
+
+  it('should move revisions along with a renamed file', function () {
+    editor = new EpicEditor(opts).load();
+    editor.importFile(id, 'first');
+    editor.importFile(id, 'second');
+    editor.rename(id, id + 'renamed');
+    expect(editor.getRevisions(id).length).to.be(0);
+    expect(editor.getRevisions(id + 'renamed').length).to.be(1);
+  });
+});
+
+describe('.restoreRevision(name, id)', function () {
+  var testEl
+    , id
+    , editor
+    , eventFired;
+
+  beforeEach(function () {
+    id = rnd();
+    testEl = createContainer(id);
+    editor = new EpicEditor({ basePath: '/epiceditor/', container: testEl, file: { autoSave: false } }).load();
+    editor.importFile(id, 'keep me');
+    editor.importFile(id, 'replace me');
+    eventFired = false;
+  });
+
+  afterEach(function () {
+    editor.unload();
+    removeContainer(id);
+  });
+
+  it('should get a single revision by its id', function () {
+    var revision = editor.getRevisions(id)[0];
+    expect(editor.getRevision(id, revision.id).content).to.be('keep me');
+    expect(editor.getRevision(id, 9999)).to.be(undefined);
+  });
+
+  it('should make the revision the current content', function () {
+    editor.restoreRevision(id, editor.getRevisions(id)[0].id);
+    expect(editor.exportFile(id)).to.be('keep me');
+    expect(editor.getElement('editor').body.innerHTML).to.be('keep me');
+  });
+
+  it('should keep the replaced content as a new revision', function () {
+    editor.restoreRevision(id, editor.getRevisions(id)[0].id);
+    expect(editor.getRevisions(id)[0].content).to.be('replace me');
+  });
+
+  it('should keep changes waiting for an autosave as the revision being replaced', function (done) {
+    editor.settings.file.autoSave = 1000;
+    editor.getElement('editor').body.innerHTML = 'typed';
+    setTimeout(function () {
+      editor.restoreRevision(id, editor.getRevisions(id)[0].id);
+      expect(editor.exportFile(id)).to.be('keep me');
+      expect(editor.getElement('editor').body.innerHTML).to.be('keep me');
+      expect(editor.getRevisions(id)[0].content).to.be('typed');
+      done();
+    }, 10);
+  });
+
+  it('should fire the restore event', function () {
+    editor.on('restore', function () {
+      eventFired = true;
+    });
+    editor.restoreRevision(id, editor.getRevisions(id)[0].id);
+    expect(eventFired).to.be(true);
+  });
+});
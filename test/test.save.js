@@ -34,7 +34,7 @@ describe('.save()', function () {
   it('should save new content', function () {
     editor.getElement('editor').body.innerHTML = 'bar';
     editor.save();
-    expect(JSON.parse(localStorage['epiceditor'])[id].content).to.be('bar');
+    expect(JSON.parse(localStorage['__file-epiceditor/' + id]).content).to.be('bar');
   });
 
   it('should fire the create event when saving a new file', function () {
@@ -116,13 +116,38 @@ describe('.save()', function () {
   });
 
   it('should update the timestamp on save when the content has been updated', function () {
-    var currentModifiedDate = JSON.parse(localStorage['epiceditor'])[id].modified;
+    var currentModifiedDate = JSON.parse(localStorage['__file-epiceditor/' + id]).modified;
     editor.on('update', function () {
       eventFired = true;
     });
     editor.getElement('editor').body.innerHTML = 'bar';
     editor.save();
-    expect(currentModifiedDate).to.not.be(JSON.parse(localStorage['epiceditor'])[id].modified);
+    expect(currentModifiedDate).to.not.be(JSON.parse(localStorage['__file-epiceditor/' + id]).modified);
+  });
+
+  it('should call the callback once the save has been committed', function (done) {
+    editor.getElement('editor').body.innerHTML = 'bar';
+    editor.save(function (err) {
+      expect(err).to.be(null);
+      expect(JSON.parse(localStorage['__file-epiceditor/' + id]).content).to.be('bar');
+      done();
+    });
+  });
+
+  it('should fire the commit event after a save is committed', function () {
+    editor.on('commit', function () {
+      eventFired = true;
+    });
+    editor.save();
+    expect(eventFired).to.be(true);
+  });
+
+  it('should not fire the commit event for preview drafts', function () {
+    editor.on('commit', function () {
+      badEventFired = true;
+    });
+    editor.save(true);
+    expect(badEventFired).to.be(false);
   });
 
 });
@@ -0,0 +1,88 @@
+/*global createContainer:false, removeContainer:false, rnd:false */
+
+describe('.search(query, [options])', function () {
+  var testEl
+    , id
+    , editor;
+
+  beforeEach(function () {
+    id = rnd();
+    testEl = createContainer(id);
+    editor = new EpicEditor(
+      { basePath: '/epiceditor/'
+      , container: testEl
+      , localStorageName: 'search' + id
+      , file: { name: 'a', autoSave: false }
+      }).load();
+    editor.importFile('a', '# Cats\n\nThe **cat** sat on the mat.\nConcatenate strings.');
+    editor.importFile('b', 'Dogs only, no felines here.');
+    editor.importFile('c', 'A [link](http://cat.example.com) and CAT in capitals.');
+  });
+
+  afterEach(function () {
+    editor.unload();
+    removeContainer(id);
+  });
+
+  it('should find substrings in every file, ignoring case by default', function () {
+    var results = editor.search('cat');
+    expect(results.map(function (result) { return result.name; })).to.eql(['a', 'c']);
+    expect(results[0].matches.length).to.be(3);
+    expect(results[1].matches.length).to.be(2);
+  });
+
+  it('should give the index, length and line of every match', function () {
+    var match = editor.search('sat')[0].matches[0];
+    expect(match.index).to.be(editor.exportFile('a').indexOf('sat'));
+    expect(match.length).to.be(3);
+    expect(match.line).to.be(3);
+  });
+
+  it('should give a snippet of the text around every match', function () {
+    var match = editor.search('sat', { context: 4 })[0].matches[0];
+    expect(match.snippet).to.be('…t** sat on …');
+  });
+
+  it('should only match whole words in word mode', function () {
+    var results = editor.search('cat', { mode: 'word' });
+    expect(results[0].matches.length).to.be(1);
+    expect(results[1].matches.length).to.be(2);
+  });
+
+  it('should match case when asked to', function () {
+    var results = editor.search('CAT', { caseSensitive: true });
+    expect(results.length).to.be(1);
+    expect(results[0].name).to.be('c');
+  });
+
+  it('should take regular expressions', function () {
+    expect(editor.search('fel\\w+', { mode: 'regex' })[0].name).to.be('b');
+    expect(editor.search(/D\w+s/)[0].matches[0].length).to.be(4);
+  });
+
+  it('should keep the flags of a regular expression', function () {
+    expect(editor.search(/^concat/m).length).to.be(0);
+    expect(editor.search(/^concat/im)[0].name).to.be('a');
+  });
+
+  it('should emit an error and find nothing for an invalid regular expression', function () {
+    var error;
+    editor.on('error', function (err) {
+      error = err;
+    });
+    expect(editor.search('cat(', { mode: 'regex' })).to.eql([]);
+    expect(error.code).to.be('PARSE_ERROR');
+  });
+
+  it('should search the rendered text when asked to', function () {
+    var results = editor.search('cat', { source: 'rendered', mode: 'word' });
+    expect(results[0].matches.length).to.be(1);
+    expect(results[0].matches[0].snippet).not.to.contain('**');
+    // The link's address isn't part of the rendered text
+    expect(results[1].matches.length).to.be(1);
+  });
+
+  it('should return nothing for an empty query', function () {
+    expect(editor.search('')).to.eql([]);
+  });
+});
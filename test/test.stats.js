@@ -0,0 +1,123 @@
+/*global createContainer:false, removeContainer:false, rnd:false */
+
+describe('.getStats([name])', function () {
+  var testEl
+    , id
+    , editor;
+
+  function makeEditor(opts) {
+    opts = opts || {};
+    opts.basePath = '/epiceditor/';
+    opts.container = testEl;
+    opts.localStorageName = 'stats' + id;
+    opts.file = { name: 'a', autoSave: false };
+    editor = new EpicEditor(opts).load();
+    return editor;
+  }
+
+  beforeEach(function () {
+    id = rnd();
+    testEl = createContainer(id);
+  });
+
+  afterEach(function () {
+    editor.unload();
+    removeContainer(id);
+  });
+
+  it('should count words and characters without the Markdown syntax', function () {
+    var stats;
+    makeEditor();
+    editor.importFile('a', '# Cats\n\nThe **cat** sat on [the mat](http://example.com).');
+    stats = editor.getStats();
+    expect(stats.words).to.be(7);
+    expect(stats.characters).to.be('CatsThe cat sat on the mat.'.length);
+    expect(stats.charactersNoSpaces).to.be('CatsThecatsatonthemat.'.length);
+  });
+
+  it('should count lines, paragraphs and headings', function () {
+    var stats;
+    makeEditor();
+    editor.importFile('a', '# One\n\nFirst paragraph\nstill first.\n\n## Two\n\nSecond paragraph.\n\n- a list item');
+    stats = editor.getStats();
+    expect(stats.lines).to.be(10);
+    expect(stats.paragraphs).to.be(3);
+    expect(stats.headings).to.be(2);
+  });
+
+  it('should not count punctuation on its own as a word', function () {
+    makeEditor();
+    editor.importFile('a', 'Before - after');
+    expect(editor.getStats().words).to.be(2);
+  });
+
+  it('should count an empty file as nothing', function () {
+    var stats;
+    makeEditor();
+    stats = editor.getStats();
+    expect(stats.words).to.be(0);
+    expect(stats.characters).to.be(0);
+    expect(stats.lines).to.be(0);
+    expect(stats.readingTime).to.be(0);
+  });
+
+  it('should estimate the reading time in minutes from the words per minute', function () {
+    makeEditor({ stats: { wordsPerMinute: 2 } });
+    editor.importFile('a', 'one two three four five');
+    expect(editor.getStats().readingTime).to.be(3);
+  });
+
+  it('should count other files from storage and the open file as it is in the editor', function () {
+    makeEditor();
+    editor.importFile('b', 'one two three');
+    editor.open('a');
+    editor.getElement('editor').body.innerHTML = 'not saved yet';
+    expect(editor.getStats('b').words).to.be(3);
+    expect(editor.getStats().words).to.be(3);
+    expect(editor.getStats('missing')).to.be(undefined);
+  });
+
+  it('should fire the stats event with the counts when the file is updated', function () {
+    var fired;
+    makeEditor();
+    editor.on('stats', function (stats) {
+      fired = stats;
+    });
+    editor.getElement('editor').body.innerHTML = 'a few words';
+    editor.save();
+    expect(fired.words).to.be(3);
+  });
+
+  it('should not parse the same content again', function () {
+    var parsed = 0;
+    makeEditor({ parser: function (content) {
+      parsed++;
+      return '<p>' + content + '</p>';
+    } });
+    editor.getElement('editor').body.innerHTML = 'counted once';
+    parsed = 0;
+    expect(editor.getStats().words).to.be(2);
+    expect(editor.getStats().words).to.be(2);
+    expect(parsed).to.be(1);
+    editor.getElement('editor').body.innerHTML = 'counted once more';
+    expect(editor.getStats().words).to.be(3);
+    expect(parsed).to.be(2);
+  });
+
+  it('should not let changes to the counts it returned change the next ones', function () {
+    makeEditor();
+    editor.getElement('editor').body.innerHTML = 'two words';
+    editor.getStats().words = 10;
+    expect(editor.getStats().words).to.be(2);
+  });
+
+  it('should only show the counts in the editor when asked to', function () {
+    makeEditor();
+    expect(editor.iframe.getElementById('epiceditor-stats')).to.be(null);
+    editor.unload();
+    makeEditor({ stats: { display: true }, string: { stats: '{words} words in {lines} lines' } });
+    editor.getElement('editor').body.innerHTML = 'shown words';
+    editor.save();
+    expect(editor.iframe.getElementById('epiceditor-stats').textContent).to.be('2 words in 1 lines');
+  });
+});
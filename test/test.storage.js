@@ -0,0 +1,166 @@
+/*global createContainer:false, removeContainer:false, rnd:false */
+
+describe('options.storage', function () {
+  var testEl
+    , id
+    , editor
+    , store
+    , adapter;
+
+  beforeEach(function () {
+    id = rnd();
+    testEl = createContainer(id);
+    store = {};
+    adapter = EpicEditor.storage.web(store);
+  });
+
+  afterEach(function () {
+    if (editor && editor.is('loaded')) {
+      editor.unload();
+    }
+    removeContainer(id);
+  });
+
+  it('should save files through the given adapter', function () {
+    editor = new EpicEditor({ basePath: '/epiceditor/', container: testEl, storage: adapter }).load();
+    editor.importFile(id, 'hello world');
+    expect(JSON.parse(store['__file-epiceditor/' + id]).content).to.be('hello world');
+  });
+
+  it('should not touch localStorage when an adapter is given', function () {
+    localStorage.clear();
+    editor = new EpicEditor({ basePath: '/epiceditor/', container: testEl, storage: adapter }).load();
+    editor.importFile(id, 'hello world');
+    expect(localStorage.epiceditor).to.be(undefined);
+  });
+
+  it('should read files that already exist in the adapter', function () {
+    var files = {};
+    files[id] = { content: 'from the adapter', created: new Date(), modified: new Date() };
+    store.epiceditor = JSON.stringify(files);
+    editor = new EpicEditor({ basePath: '/epiceditor/', container: testEl, storage: adapter }).load();
+    expect(editor.exportFile()).to.be('from the adapter');
+  });
+
+  it('should keep adapters that inherit their methods', function () {
+    function Adapter() {
+      this.data = {};
+    }
+    Adapter.prototype.get = function (key) { return this.data[key]; };
+    Adapter.prototype.set = function (key, value) { this.data[key] = value; };
+    Adapter.prototype.list = function () { return []; };
+    Adapter.prototype.remove = function (key) { delete this.data[key]; };
+    adapter = new Adapter();
+
+    editor = new EpicEditor({ basePath: '/epiceditor/', container: testEl, storage: adapter }).load();
+    expect(editor._storage).to.be(adapter);
+    expect(JSON.parse(adapter.data.epiceditor)[id]).to.be.ok();
+  });
+
+  it('should throw when the adapter is missing a method', function () {
+    expect(function () {
+      editor = new EpicEditor({ container: testEl, storage: { get: function () {} } });
+    }).to.throwError();
+  });
+
+  it('should work with sessionStorage', function () {
+    sessionStorage.clear();
+    editor = new EpicEditor({ basePath: '/epiceditor/', container: testEl, storage: EpicEditor.storage.web(sessionStorage) }).load();
+    editor.importFile(id, 'session');
+    expect(JSON.parse(sessionStorage['__file-epiceditor/' + id]).content).to.be('session');
+  });
+
+  it('should list and remove keys of the adapter', function () {
+    adapter.set('foo', 'bar');
+    expect(adapter.list()).to.contain('foo');
+    adapter.remove('foo');
+    expect(adapter.get('foo')).to.be(undefined);
+  });
+});
+
+describe('EpicEditor.storage.indexedDB', function () {
+  var testEl
+    , id
+    , editor;
+
+  beforeEach(function () {
+    id = rnd();
+    testEl = createContainer(id);
+  });
+
+  afterEach(function (done) {
+    var request;
+    if (editor && editor.is('loaded')) {
+      editor.unload();
+    }
+    removeContainer(id);
+    if (!window.indexedDB) {
+      return done();
+    }
+    request = window.indexedDB.deleteDatabase('epiceditor-test-' + id);
+    request.onsuccess = request.onerror = request.onblocked = function () {
+      done();
+    };
+  });
+
+  it('should hand back an async adapter', function (done) {
+    EpicEditor.storage.indexedDB('epiceditor-test-' + id, function (err, storage) {
+      expect(err).to.be(null);
+      expect(storage.async).to.be(true);
+      done();
+    });
+  });
+
+  it('should call the save callback once IndexedDB has committed the file', function (done) {
+    EpicEditor.storage.indexedDB('epiceditor-test-' + id, function (err, storage) {
+      editor = new EpicEditor({ basePath: '/epiceditor/', container: testEl, storage: storage }).load();
+      editor.getElement('editor').body.innerHTML = 'committed';
+      editor.save(function (err) {
+        expect(err).to.be(null);
+        done();
+      });
+    });
+  });
+
+  it('should read back files saved by a previous session', function (done) {
+    var dbName = 'epiceditor-test-' + id;
+    EpicEditor.storage.indexedDB(dbName, function (err, storage) {
+      editor = new EpicEditor({ basePath: '/epiceditor/', container: testEl, storage: storage }).load();
+      editor.getElement('editor').body.innerHTML = 'persisted';
+      editor.save(function () {
+        EpicEditor.storage.indexedDB(dbName, function (err, reopened) {
+          expect(JSON.parse(reopened.get('__file-epiceditor/' + id)).content).to.be('persisted');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should report writes after another page deleted the database through the callback', function (done) {
+    var dbName = 'epiceditor-test-' + id;
+    EpicEditor.storage.indexedDB(dbName, function (err, storage) {
+      var request = window.indexedDB.deleteDatabase(dbName);
+      request.onsuccess = function () {
+        storage.set('key', 'value', function (err) {
+          expect(err).to.be.ok();
+          done();
+        });
+      };
+    });
+  });
+
+  it('should tell watchers about writes made by another page', function (done) {
+    var dbName = 'epiceditor-test-' + id;
+    EpicEditor.storage.indexedDB(dbName, function (err, mine) {
+      EpicEditor.storage.indexedDB(dbName, function (err, theirs) {
+        var unwatch = mine.watch(function (key) {
+          expect(key).to.be('key');
+          expect(mine.get('key')).to.be('value');
+          unwatch();
+          done();
+        });
+        theirs.set('key', 'value');
+      });
+    });
+  });
+});
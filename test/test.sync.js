@@ -0,0 +1,265 @@
+/*global createContainer:false, removeContainer:false, rnd:false, $:false */
+
+describe('.sync([name], [callback])', function () {
+  var idA
+    , idB
+    , editorA
+    , editorB
+    , fileName;
+
+  function createEditor(id) {
+    return new EpicEditor(
+      { basePath: '/epiceditor/'
+      , container: createContainer(id)
+      , localStorageName: 'epiceditor-sync-' + id
+      , file: { name: fileName, autoSave: false }
+      , sync: { url: '/sync' }
+      }).load();
+  }
+
+  beforeEach(function (done) {
+    idA = rnd();
+    idB = rnd();
+    fileName = 'synced' + idA;
+    editorA = createEditor(idA);
+    editorB = createEditor(idB);
+    $.ajax({ type: 'DELETE', url: '/sync', complete: function () { done(); } });
+  });
+
+  function removeStores(id) {
+    var keys = []
+      , i;
+    for (i = 0; i < localStorage.length; i++) {
+      if (localStorage.key(i).indexOf('epiceditor-sync-' + id) != -1) {
+        keys.push(localStorage.key(i));
+      }
+    }
+    for (i = 0; i < keys.length; i++) {
+      localStorage.removeItem(keys[i]);
+    }
+  }
+
+  afterEach(function () {
+    editorA.unload();
+    editorB.unload();
+    removeContainer(idA);
+    removeContainer(idB);
+    removeStores(idA);
+    removeStores(idB);
+  });
+
+  it('should push local files that the server doesn\'t have', function (done) {
+    editorA.importFile(fileName, 'from A');
+    editorA.sync(function (err, report) {
+      expect(err).to.be(null);
+      expect(report.pushed).to.contain(fileName);
+      expect(editorA.getFiles(fileName).revision).to.be.ok();
+      done();
+    });
+  });
+
+  it('should pull files that changed on the server', function (done) {
+    editorA.importFile(fileName, 'from A');
+    editorA.sync(function () {
+      editorB.sync(function (err, report) {
+        expect(report.pulled).to.contain(fileName);
+        expect(editorB.exportFile(fileName)).to.be('from A');
+        expect(editorB.getElement('editor').body.innerHTML).to.be('from A');
+        done();
+      });
+    });
+  });
+
+  it('should push files that only changed locally', function (done) {
+    editorA.importFile(fileName, 'first');
+    editorA.sync(function () {
+      editorA.importFile(fileName, 'second');
+      editorA.sync(function (err, report) {
+        expect(report.pushed).to.contain(fileName);
+        expect(report.conflicts.length).to.be(0);
+        done();
+      });
+    });
+  });
+
+  it('should emit a conflict when both sides changed', function (done) {
+    var conflict;
+    editorB.on('conflict', function (data) {
+      conflict = data;
+    });
+    editorA.importFile(fileName, 'first');
+    editorA.sync(function () {
+      editorB.sync(function () {
+        editorA.importFile(fileName, 'changed by A');
+        editorB.importFile(fileName, 'changed by B');
+        editorA.sync(function () {
+          editorB.sync(function (err, report) {
+            expect(report.conflicts).to.contain(fileName);
+            expect(conflict.name).to.be(fileName);
+            expect(conflict.local.content).to.be('changed by B');
+            expect(conflict.remote.content).to.be('changed by A');
+            expect(editorB.exportFile(fileName)).to.be('changed by B');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should resolve a conflict by force pushing', function (done) {
+    editorA.importFile(fileName, 'A');
+    editorB.importFile(fileName, 'B');
+    editorA.sync(function () {
+      editorB.push(fileName, true, function (err, result) {
+        expect(result).to.be('pushed');
+        editorA.sync(function () {
+          expect(editorA.exportFile(fileName)).to.be('B');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should push without forcing once a conflict has been seen', function (done) {
+    editorA.importFile(fileName, 'first');
+    editorA.sync(function () {
+      editorB.sync(function () {
+        editorA.importFile(fileName, 'changed by A');
+        editorB.importFile(fileName, 'changed by B');
+        editorA.sync(function () {
+          editorB.push(fileName, function (err, result) {
+            expect(result).to.be('conflict');
+            editorB.importFile(fileName, 'merged by B');
+            editorB.push(fileName, function (err, result) {
+              expect(result).to.be('pushed');
+              editorA.sync(function (err, report) {
+                expect(report.pulled).to.contain(fileName);
+                expect(editorA.exportFile(fileName)).to.be('merged by B');
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should still conflict if the server changed again since the conflict', function (done) {
+    editorA.importFile(fileName, 'first');
+    editorA.sync(function () {
+      editorB.sync(function () {
+        editorA.importFile(fileName, 'changed by A');
+        editorB.importFile(fileName, 'changed by B');
+        editorA.sync(function () {
+          editorB.push(fileName, function () {
+            editorA.importFile(fileName, 'changed by A again');
+            editorA.sync(function () {
+              editorB.push(fileName, function (err, result) {
+                expect(result).to.be('conflict');
+                editorB.sync(function (err, report) {
+                  expect(report.conflicts).to.contain(fileName);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should delete files that were removed on either side', function (done) {
+    editorA.importFile(fileName, 'doomed');
+    editorA.sync(function () {
+      editorB.sync(function () {
+        editorA.remove(fileName);
+        editorA.sync(function (err, report) {
+          expect(err).to.be(null);
+          expect(report.deleted).to.contain(fileName);
+          expect(editorA.getFiles(fileName)).to.be(undefined);
+          editorB.sync(function (err, report) {
+            expect(report.deleted).to.contain(fileName);
+            expect(editorB.getFiles(fileName)).to.be(undefined);
+            $.ajax({ url: '/sync', dataType: 'json', success: function (files) {
+              expect(files).not.to.have.property(fileName);
+              done();
+            }});
+          });
+        });
+      });
+    });
+  });
+
+  it('should pull a removed file back if it changed on the server since', function (done) {
+    editorA.importFile(fileName, 'first');
+    editorA.sync(function () {
+      editorB.sync(function () {
+        editorB.importFile(fileName, 'changed by B');
+        editorB.sync(function () {
+          editorA.remove(fileName);
+          editorA.sync(function (err, report) {
+            expect(report.deleted).not.to.contain(fileName);
+            expect(report.pulled).to.contain(fileName);
+            expect(editorA.exportFile(fileName)).to.be('changed by B');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should keep changes waiting for an autosave as a revision when pulling', function (done) {
+    editorA.importFile(fileName, 'from A');
+    editorA.sync(function () {
+      editorB.settings.file.autoSave = 1000;
+      editorB.getElement('editor').body.innerHTML = 'typed in B';
+      setTimeout(function () {
+        editorB.pull(fileName, function (err) {
+          expect(err).to.be(null);
+          expect(editorB.exportFile(fileName)).to.be('from A');
+          expect(editorB.getElement('editor').body.innerHTML).to.be('from A');
+          expect(editorB.getRevisions(fileName)[0].content).to.be('typed in B');
+          done();
+        });
+      }, 10);
+    });
+  });
+
+  it('should fire the syncstart and synced events', function (done) {
+    var started = false;
+    editorA.on('syncstart', function () {
+      started = true;
+    });
+    editorA.on('synced', function (report) {
+      expect(started).to.be(true);
+      expect(report).to.have.property('pushed');
+      done();
+    });
+    editorA.sync();
+  });
+
+  it('should emit error and not synced when the sync fails', function (done) {
+    var synced = false
+      , errors = [];
+    editorA.settings.sync.url = '/no-such-backend';
+    editorA.on('synced', function () {
+      synced = true;
+    });
+    editorA.on('error', function (err) {
+      errors.push(err);
+    });
+    editorA.sync(function (err) {
+      expect(err).to.be.an(Error);
+      expect(errors[0].code).to.be('SYNC_FAILED');
+      expect(synced).to.be(false);
+      done();
+    });
+  });
+
+  it('should call back with an error when sync.url isn\'t set', function () {
+    editorA.settings.sync.url = null;
+    editorA.sync(function (err) {
+      expect(err).to.be.an(Error);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/*global createContainer:false, removeContainer:false, rnd:false */
+
+describe('Editor text', function () {
+  var testEl
+    , id
+    , editor
+    , samples =
+      { 'tabs': '\tindented\n\t\tcode\tand\ttabs'
+      , 'trailing spaces': 'line break  \nnext line   '
+      , 'runs of spaces': 'a  b   c    d'
+      , 'leading spaces': '    code block\n  two'
+      , 'CRLF line endings': 'first\r\nsecond\r\n\r\nthird'
+      , 'mixed line endings': 'one\ntwo\r\nthree\rfour'
+      , 'unicode spaces': 'no\u00a0break em\u2003space ideographic\u3000space zero\u200bwidth'
+      , 'a newline at the end': 'last line\n'
+      , 'blank lines at the end': 'text\n\n\n'
+      , 'only newlines': '\n\n'
+      , 'markup': '<b>bold</b> &amp; &nbsp; &lt;'
+      , 'emoji and accents': 'caf\u00e9 \ud83d\ude00 na\u00efve'
+      };
+
+  function makeEditor() {
+    editor = new EpicEditor(
+      { basePath: '/epiceditor/'
+      , container: testEl
+      , localStorageName: 'text' + id
+      , file: { name: 'a', autoSave: false }
+      }).load();
+    return editor;
+  }
+
+  beforeEach(function () {
+    id = rnd();
+    testEl = createContainer(id);
+    makeEditor();
+  });
+
+  afterEach(function () {
+    editor.unload();
+    removeContainer(id);
+  });
+
+  Object.keys(samples).forEach(function (name) {
+    it('should keep ' + name + ' exactly through opening and saving', function () {
+      editor.importFile('a', samples[name]);
+      editor.open('b');
+      editor.open('a');
+      expect(editor.is('dirty')).to.be(false);
+      editor.save();
+      expect(editor.exportFile('a')).to.be(samples[name]);
+      expect(editor.exportFile('a', 'json')).to.contain(JSON.stringify(samples[name]));
+    });
+  });
+
+  it('should keep the text exactly through unloading and loading again', function () {
+    editor.importFile('a', samples.tabs + samples['CRLF line endings'] + samples['unicode spaces']);
+    editor.unload();
+    makeEditor();
+    editor.save();
+    expect(editor.exportFile('a')).to.be(samples.tabs + samples['CRLF line endings'] + samples['unicode spaces']);
+  });
+
+  it('should put the text into the editor as text, not markup', function () {
+    editor.importFile('a', samples.markup);
+    expect(editor.getElement('editor').body.textContent).to.be(samples.markup);
+  });
+
+  it('should read the lines browsers wrap in <div>s', function () {
+    editor.getElement('editor').body.innerHTML = 'one<div>two</div><div><br></div><div>four</div>';
+    editor.save();
+    expect(editor.exportFile()).to.be('one\ntwo\n\nfour');
+  });
+
+  it('should read <br>s as line breaks but not the one that ends the text', function () {
+    editor.getElement('editor').body.innerHTML = 'one<br>two<br><br>';
+    editor.save();
+    expect(editor.exportFile()).to.be('one\ntwo\n');
+  });
+});
@@ -0,0 +1,179 @@
+/*global createContainer:false, removeContainer:false, rnd:false */
+
+describe('Trash', function () {
+  var testEl
+    , id
+    , editor;
+
+  function makeEditor(autoPurge) {
+    editor = new EpicEditor(
+      { basePath: '/epiceditor/'
+      , container: testEl
+      , localStorageName: 'trash' + id
+      , file: { name: 'open', autoSave: false, trash: { autoPurge: autoPurge } }
+      });
+    return editor.load();
+  }
+
+  beforeEach(function () {
+    id = rnd();
+    testEl = createContainer(id);
+    makeEditor(false);
+    editor.importFile('gone', 'first', 'md', { title: 'Gone' });
+    editor.importFile('gone', 'second');
+    editor.open('open');
+  });
+
+  afterEach(function () {
+    editor.unload();
+    removeContainer(id);
+  });
+
+  describe('.remove([name])', function () {
+    it('should trash changes waiting for an autosave with the open file', function () {
+      editor.open('gone');
+      editor.settings.file.autoSave = 1000;
+      editor.getElement('editor').body.innerHTML = 'typed';
+      editor.remove('gone');
+      expect(editor.getTrash()[0].content).to.be('typed');
+    });
+
+    it('should empty the editor and save what\'s typed next when the open file is removed', function (done) {
+      editor.open('gone');
+      editor.remove('gone');
+      expect(editor.getElement('editor').body.innerHTML).to.be('');
+      expect(editor.exportFile('gone')).to.be(undefined);
+      editor.settings.file.autoSave = 10;
+      editor.getElement('editor').body.innerHTML = 'retyped';
+      setTimeout(function () {
+        expect(editor.exportFile('gone')).to.be('retyped');
+        expect(editor.getTrash()[0].content).to.be('second');
+        done();
+      }, 100);
+    });
+  });
+
+  describe('.getTrash()', function () {
+    it('should keep removed files with their content and when they were deleted', function () {
+      var trash;
+      editor.remove('gone');
+      trash = editor.getTrash();
+      expect(trash.length).to.be(1);
+      expect(trash[0].name).to.be('gone');
+      expect(trash[0].content).to.be('second');
+      expect(trash[0].meta).to.eql({ title: 'Gone' });
+      expect(trash[0]).to.have.property('deleted');
+      expect(trash[0]).to.have.property('id');
+    });
+
+    it('should list the most recently removed file first', function () {
+      editor.importFile('other', 'other');
+      editor.open('open');
+      editor.remove('gone');
+      editor.remove('other');
+      expect(editor.getTrash()[0].name).to.be('other');
+      expect(editor.getTrash()[1].name).to.be('gone');
+    });
+
+    it('should not put files that don\'t exist in the trash', function () {
+      editor.remove('neverExisted');
+      expect(editor.getTrash()).to.eql([]);
+    });
+
+    it('should purge files older than trash.autoPurge', function () {
+      var key = '__trash-trash' + id
+        , trash;
+      editor.remove('gone');
+      trash = JSON.parse(localStorage.getItem(key));
+      trash[editor.getTrash()[0].id].deleted = new Date(2000, 0, 1);
+      localStorage.setItem(key, JSON.stringify(trash));
+      editor.importFile('fresh', 'fresh');
+      editor.remove('fresh');
+      editor.unload();
+      makeEditor(60000);
+      expect(editor.getTrash().length).to.be(1);
+      expect(editor.getTrash()[0].name).to.be('fresh');
+    });
+  });
+
+  describe('.restoreTrash(id, [name])', function () {
+    it('should restore a file with its revisions under its old name', function () {
+      editor.remove('gone');
+      editor.restoreTrash(editor.getTrash()[0].id);
+      expect(editor.exportFile('gone')).to.be('second');
+      expect(editor.getFiles('gone').meta).to.eql({ title: 'Gone' });
+      expect(editor.getRevisions('gone')[0].content).to.be('first');
+      expect(editor.getTrash()).to.eql([]);
+    });
+
+    it('should restore a file under a new name', function () {
+      editor.remove('gone');
+      editor.restoreTrash(editor.getTrash()[0].id, 'back');
+      expect(editor.exportFile('back')).to.be('second');
+      expect(editor.exportFile('gone')).to.be(undefined);
+    });
+
+    it('should move a file that\'s in the way to the trash', function () {
+      editor.remove('gone');
+      editor.importFile('gone', 'new');
+      editor.open('open');
+      editor.restoreTrash(editor.getTrash()[0].id);
+      expect(editor.exportFile('gone')).to.be('second');
+      expect(editor.getTrash()[0].content).to.be('new');
+    });
+
+    it('should trash changes waiting for an autosave with the file that\'s in the way', function (done) {
+      editor.remove('gone');
+      editor.importFile('gone', 'new');
+      editor.settings.file.autoSave = 1000;
+      editor.getElement('editor').body.innerHTML = 'typed';
+      setTimeout(function () {
+        editor.restoreTrash(editor.getTrash()[0].id);
+        expect(editor.exportFile('gone')).to.be('second');
+        expect(editor.getElement('editor').body.innerHTML).to.be('second');
+        expect(editor.getTrash()[0].content).to.be('typed');
+        done();
+      }, 10);
+    });
+
+    it('should reopen the open file and let it be saved again', function () {
+      editor.open('gone');
+      editor.remove('gone');
+      editor.restoreTrash(editor.getTrash()[0].id);
+      expect(editor.getElement('editor').body.innerHTML).to.be('second');
+      editor.getElement('editor').body.innerHTML = 'third';
+      editor.save(false, true);
+      expect(editor.exportFile('gone')).to.be('third');
+    });
+
+    it('should fire the untrash event', function () {
+      var restored;
+      editor.on('untrash', function (file) {
+        restored = file.content;
+      });
+      editor.remove('gone');
+      editor.restoreTrash(editor.getTrash()[0].id);
+      expect(restored).to.be('second');
+    });
+  });
+
+  describe('.purgeTrash([id])', function () {
+    beforeEach(function () {
+      editor.importFile('other', 'other');
+      editor.open('open');
+      editor.remove('gone');
+      editor.remove('other');
+    });
+
+    it('should permanently delete a single file', function () {
+      editor.purgeTrash(editor.getTrash()[0].id);
+      expect(editor.getTrash().length).to.be(1);
+      expect(editor.getTrash()[0].name).to.be('gone');
+    });
+
+    it('should empty the trash without an id', function () {
+      editor.purgeTrash();
+      expect(editor.getTrash()).to.eql([]);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+/*global createContainer:false, removeContainer:false, rnd:false */
+
+describe('.undo() and .redo()', function () {
+  var testEl
+    , id
+    , editor
+    , body;
+
+  function keydown(keyCode, options) {
+    var doc = editor.getElement('editor')
+      , e = doc.createEvent('Event')
+      , key;
+    e.initEvent('keydown', true, true);
+    e.keyCode = keyCode;
+    for (key in options) {
+      if (options.hasOwnProperty(key)) {
+        e[key] = options[key];
+      }
+    }
+    doc.dispatchEvent(e);
+    return e;
+  }
+
+  beforeEach(function () {
+    id = rnd();
+    testEl = createContainer(id);
+    editor = new EpicEditor(
+      { basePath: '/epiceditor/'
+      , container: testEl
+      , localStorageName: 'undo' + id
+      , file: { name: 'notes', defaultContent: 'start', autoSave: false }
+      }).load();
+    body = editor.getElement('editor').body;
+  });
+
+  afterEach(function () {
+    editor.unload();
+    removeContainer(id);
+  });
+
+  it('should have nothing to undo or redo when a file is opened', function () {
+    expect(editor.canUndo()).to.be(false);
+    expect(editor.canRedo()).to.be(false);
+  });
+
+  it('should undo and redo typing', function () {
+    body.innerHTML = 'typed';
+    expect(editor.canUndo()).to.be(true);
+    editor.undo();
+    expect(body.innerHTML).to.be('start');
+    expect(editor.canRedo()).to.be(true);
+    editor.redo();
+    expect(body.innerHTML).to.be('typed');
+    expect(editor.canRedo()).to.be(false);
+  });
+
+  it('should undo changes made by importFile', function () {
+    editor.importFile('notes', 'imported');
+    editor.undo();
+    expect(body.innerHTML).to.be('start');
+  });
+
+  it('should undo a run of typing at once', function (done) {
+    body.innerHTML = 't';
+    setTimeout(function () {
+      body.innerHTML = 'ty';
+      setTimeout(function () {
+        body.innerHTML = 'typ';
+        editor.undo();
+        expect(body.innerHTML).to.be('start');
+        expect(editor.canUndo()).to.be(false);
+        done();
+      }, 10);
+    }, 10);
+  });
+
+  it('should undo typing after a pause separately', function (done) {
+    body.innerHTML = 'first';
+    setTimeout(function () {
+      body.innerHTML = 'second';
+      editor.undo();
+      expect(body.innerHTML).to.be('first');
+      editor.undo();
+      expect(body.innerHTML).to.be('start');
+      done();
+    }, 600);
+  });
+
+  it('should forget what was undone once there is a new change', function () {
+    body.innerHTML = 'typed';
+    editor.undo();
+    body.innerHTML = 'other';
+    expect(editor.canRedo()).to.be(false);
+  });
+
+  it('should not undo into another file', function () {
+    body.innerHTML = 'typed';
+    editor.open('other');
+    expect(editor.canUndo()).to.be(false);
+  });
+
+  it('should not undo into the file open before importing another one', function () {
+    body.innerHTML = 'typed';
+    editor.importFile('other', 'imported');
+    expect(editor.canUndo()).to.be(false);
+    expect(body.innerHTML).to.be('imported');
+  });
+
+  it('should save typing waiting for an autosave before importing another file', function (done) {
+    editor.settings.file.autoSave = 1000;
+    body.innerHTML = 'typed';
+    setTimeout(function () {
+      editor.importFile('other', 'imported');
+      expect(editor.exportFile('notes')).to.be('typed');
+      done();
+    }, 10);
+  });
+
+  it('should save what was undone', function () {
+    editor.importFile('notes', 'imported');
+    editor.undo();
+    editor.flush();
+    expect(editor.exportFile('notes')).to.be('start');
+  });
+
+  it('should put the selection back', function (done) {
+    var doc = editor.getElement('editor')
+      , range = doc.createRange();
+    editor.importFile('notes', 'hello world');
+    range.setStart(body.firstChild, 5);
+    range.setEnd(body.firstChild, 5);
+    doc.getSelection().removeAllRanges();
+    doc.getSelection().addRange(range);
+    setTimeout(function () {
+      body.innerHTML = 'changed';
+      editor.undo();
+      expect(body.innerHTML).to.be('hello world');
+      expect(doc.getSelection().anchorOffset).to.be(5);
+      done();
+    }, 600);
+  });
+
+  it('should undo with ctrl + z and redo with ctrl + y', function () {
+    body.innerHTML = 'typed';
+    keydown(17);
+    expect(keydown(90).defaultPrevented).to.be(true);
+    expect(body.innerHTML).to.be('start');
+    keydown(89, { metaKey: true });
+    expect(body.innerHTML).to.be('typed');
+  });
+});
@@ -0,0 +1,51 @@
+/*global createContainer:false, removeContainer:false, rnd:false */
+
+describe('.updateMeta([name], meta)', function () {
+  var testEl
+    , id
+    , editor
+    , eventFired;
+
+  beforeEach(function () {
+    id = rnd();
+    testEl = createContainer(id);
+    editor = new EpicEditor({ basePath: '/epiceditor/', container: testEl, file: { autoSave: false } }).load();
+    editor.importFile(id, 'content', 'md', { title: 'Old', author: 'me' });
+    eventFired = false;
+  });
+
+  afterEach(function () {
+    editor.unload();
+    removeContainer(id);
+  });
+
+  it('should merge the given meta data into the file\'s', function () {
+    editor.updateMeta(id, { title: 'New', tags: ['draft'] });
+    expect(editor.getFiles(id).meta).to.eql({ title: 'New', author: 'me', tags: ['draft'] });
+  });
+
+  it('should remove keys set to null', function () {
+    editor.updateMeta(id, { author: null });
+    expect(editor.getFiles(id).meta).to.eql({ title: 'Old' });
+  });
+
+  it('should not touch the content or modified date', function () {
+    var modified = editor.getFiles(id).modified;
+    editor.updateMeta(id, { title: 'New' });
+    expect(editor.exportFile(id)).to.be('content');
+    expect(editor.getFiles(id).modified.getTime()).to.be(modified.getTime());
+  });
+
+  it('should update the open file when no name is given', function () {
+    editor.updateMeta(null, { title: 'Open' });
+    expect(editor.getFiles(id).meta.title).to.be('Open');
+  });
+
+  it('should fire the meta event', function () {
+    editor.on('meta', function (file) {
+      eventFired = file.meta.title == 'New';
+    });
+    editor.updateMeta(id, { title: 'New' });
+    expect(eventFired).to.be(true);
+  });
+});
@@ -0,0 +1,137 @@
+/*global createContainer:false, removeContainer:false, rnd:false */
+
+describe('changes from other tabs', function () {
+  var testEl
+    , id
+    , editor
+    , adapter
+    , notify;
+
+  // Writes to the store the way another tab would, behind the editor's back
+  function changeElsewhere(content) {
+    var key = '__file-epiceditor/' + id
+      , file = JSON.parse(adapter.get(key));
+    file.content = content;
+    adapter.set(key, JSON.stringify(file));
+    notify(key);
+  }
+
+  beforeEach(function () {
+    id = rnd();
+    testEl = createContainer(id);
+    adapter = EpicEditor.storage.memory();
+    adapter.watch = function (callback) {
+      notify = callback;
+      return function () {
+        notify = function () {};
+      };
+    };
+    editor = new EpicEditor(
+      { basePath: '/epiceditor/'
+      , container: testEl
+      , storage: adapter
+      , file: { defaultContent: 'original', autoSave: false }
+      }).load();
+  });
+
+  afterEach(function () {
+    editor.unload();
+    removeContainer(id);
+  });
+
+  it('should show the new content when the open file has no local edits', function () {
+    changeElsewhere('from another tab');
+    expect(editor.getElement('editor').body.innerHTML).to.be('from another tab');
+  });
+
+  it('should fire the refresh event when the content is refreshed', function () {
+    var eventFired = false;
+    editor.on('refresh', function () {
+      eventFired = true;
+    });
+    changeElsewhere('from another tab');
+    expect(eventFired).to.be(true);
+  });
+
+  it('should emit a conflict instead when both sides have edits', function () {
+    var conflict;
+    editor.on('conflict', function (data) {
+      conflict = data;
+    });
+    editor.getElement('editor').body.innerHTML = 'typed here';
+    changeElsewhere('from another tab');
+    expect(conflict.source).to.be('storage');
+    expect(conflict.local.content).to.be('typed here');
+    expect(conflict.remote.content).to.be('from another tab');
+    expect(editor.getElement('editor').body.innerHTML).to.be('typed here');
+  });
+
+  it('should only emit a conflict once for the same change', function () {
+    var conflicts = [];
+    editor.on('conflict', function (data) {
+      conflicts.push(data);
+    });
+    editor.getElement('editor').body.innerHTML = 'typed here';
+    changeElsewhere('from another tab');
+    notify('__file-epiceditor/' + id);
+    expect(conflicts.length).to.be(1);
+    changeElsewhere('changed again');
+    expect(conflicts.length).to.be(2);
+    expect(conflicts[1].remote.content).to.be('changed again');
+  });
+
+  it('should show the remote content once the local edits match it after a conflict', function () {
+    var refreshed = false;
+    editor.on('refresh', function () {
+      refreshed = true;
+    });
+    editor.getElement('editor').body.innerHTML = 'typed here';
+    changeElsewhere('from another tab');
+    editor.getElement('editor').body.innerHTML = 'from another tab';
+    expect(editor.is('dirty')).to.be(false);
+    changeElsewhere('newer still');
+    expect(refreshed).to.be(true);
+    expect(editor.getElement('editor').body.innerHTML).to.be('newer still');
+  });
+
+  it('should keep the other tab\'s version as a revision even if an autosave writes over it', function () {
+    editor.getElement('editor').body.innerHTML = 'saved here';
+    editor.save();
+    editor.getElement('editor').body.innerHTML = 'typed here';
+    changeElsewhere('from another tab');
+    editor.flush();
+    expect(editor.exportFile()).to.be('typed here');
+    expect(editor.getRevisions()[0].content).to.be('from another tab');
+  });
+
+  it('should only let save() write over the other tab\'s version without revisions', function () {
+    editor.settings.file.revisions = false;
+    editor.getElement('editor').body.innerHTML = 'typed here';
+    changeElsewhere('from another tab');
+    editor.flush();
+    expect(editor.exportFile()).to.be('from another tab');
+    expect(editor.is('dirty')).to.be(true);
+    editor.save();
+    expect(editor.exportFile()).to.be('typed here');
+    editor.getElement('editor').body.innerHTML = 'typed again';
+    editor.flush();
+    expect(editor.exportFile()).to.be('typed again');
+  });
+
+  it('should ignore changes to other keys', function () {
+    editor.getElement('editor').body.innerHTML = 'typed here';
+    notify('something-else');
+    expect(editor.getElement('editor').body.innerHTML).to.be('typed here');
+  });
+
+  it('should stop watching when unloaded', function () {
+    var eventFired = false;
+    editor.on('refresh', function () {
+      eventFired = true;
+    });
+    editor.unload();
+    changeElsewhere('from another tab');
+    expect(eventFired).to.be(false);
+    editor.load();
+  });
+});